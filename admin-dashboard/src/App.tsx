@@ -7,7 +7,10 @@ import {
   PersonIcon,
   SettingsIcon,
   ChartVerticalIcon,
-  StarIcon
+  StarIcon,
+  CalendarIcon,
+  GiftCardIcon,
+  DiscountIcon
 } from '@shopify/polaris-icons';
 
 // Import components
@@ -16,6 +19,9 @@ import CustomerLookup from './components/CustomerLookup.tsx';
 import PointsManager from './components/PointsManager.tsx';
 import Analytics from './components/Analytics.tsx';
 import Configuration from './components/Configuration.tsx';
+import Campaigns from './components/Campaigns.tsx';
+import Rewards from './components/Rewards.tsx';
+import SpinWheel from './components/SpinWheel.tsx';
 
 // Polaris theme
 import '@shopify/polaris/build/esm/styles.css';
@@ -56,10 +62,31 @@ function App() {
             url: '/points'
           },
           {
-            label: 'Configuration',
-            icon: SettingsIcon,
+            label: 'Campaigns',
+            icon: CalendarIcon,
             selected: selectedNavigation === 4,
             onClick: () => setSelectedNavigation(4),
+            url: '/campaigns'
+          },
+          {
+            label: 'Rewards',
+            icon: DiscountIcon,
+            selected: selectedNavigation === 5,
+            onClick: () => setSelectedNavigation(5),
+            url: '/rewards'
+          },
+          {
+            label: 'Spin Wheel',
+            icon: GiftCardIcon,
+            selected: selectedNavigation === 6,
+            onClick: () => setSelectedNavigation(6),
+            url: '/spin-wheel'
+          },
+          {
+            label: 'Configuration',
+            icon: SettingsIcon,
+            selected: selectedNavigation === 7,
+            onClick: () => setSelectedNavigation(7),
             url: '/settings'
           }
         ]}
@@ -110,6 +137,9 @@ function App() {
             <Route path="/analytics" element={<Analytics />} />
             <Route path="/customers" element={<CustomerLookup />} />
             <Route path="/points" element={<PointsManager />} />
+            <Route path="/campaigns" element={<Campaigns />} />
+            <Route path="/rewards" element={<Rewards />} />
+            <Route path="/spin-wheel" element={<SpinWheel />} />
             <Route path="/settings" element={<Configuration />} />
           </Routes>
         </Frame>
@@ -0,0 +1,355 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Form,
+  FormLayout,
+  TextField,
+  Button,
+  Select,
+  Checkbox,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Text,
+  Badge,
+  ResourceList,
+  ResourceItem,
+  Spinner,
+  Toast,
+  Frame
+} from '@shopify/polaris';
+import { apiService, Campaign } from '../services/api.ts';
+
+const Campaigns: React.FC = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [campaigns, setCampaigns] = useState<Campaign[]>([]);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [toastActive, setToastActive] = useState(false);
+
+  // Form state
+  const [name, setName] = useState('');
+  const [bonusType, setBonusType] = useState('multiplier');
+  const [value, setValue] = useState('2');
+  const [startsAt, setStartsAt] = useState('');
+  const [endsAt, setEndsAt] = useState('');
+  const [tiers, setTiers] = useState('');
+  const [customerTags, setCustomerTags] = useState('');
+  const [firstOrderOnly, setFirstOrderOnly] = useState(false);
+  const [maxPointsPerCustomer, setMaxPointsPerCustomer] = useState('0');
+
+  useEffect(() => {
+    loadCampaigns();
+  }, [statusFilter]);
+
+  const loadCampaigns = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const campaignData = await apiService.getCampaigns(statusFilter);
+      setCampaigns(campaignData);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load campaigns');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const splitList = (list: string) => list.split(',').map(item => item.trim()).filter(Boolean);
+
+  const handleSchedule = async () => {
+    if (!name || !startsAt || !endsAt || !value) {
+      setError('Please fill in name, value, start and end');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      await apiService.createCampaign({
+        name,
+        bonus_type: bonusType as 'multiplier' | 'flat',
+        value: parseFloat(value),
+        starts_at: new Date(startsAt).toISOString(),
+        ends_at: new Date(endsAt).toISOString(),
+        audience: {
+          tiers: splitList(tiers),
+          customer_tags: splitList(customerTags),
+          first_order_only: firstOrderOnly
+        },
+        max_points_per_customer: parseInt(maxPointsPerCustomer) || 0
+      });
+
+      setSuccess(`Campaign "${name}" scheduled`);
+      setToastActive(true);
+
+      // Clear form
+      setName('');
+      setValue('2');
+      setStartsAt('');
+      setEndsAt('');
+      setTiers('');
+      setCustomerTags('');
+      setFirstOrderOnly(false);
+      setMaxPointsPerCustomer('0');
+
+      await loadCampaigns();
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to schedule campaign');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleEnd = async (campaign: Campaign) => {
+    try {
+      setError(null);
+      await apiService.endCampaign(campaign._id);
+
+      setSuccess(`Campaign "${campaign.name}" ended`);
+      setToastActive(true);
+
+      await loadCampaigns();
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || 'Failed to end campaign');
+    }
+  };
+
+  const getStatusBadgeTone = (status: string) => {
+    switch (status) {
+      case 'active': return 'success';
+      case 'scheduled': return 'info';
+      default: return undefined;
+    }
+  };
+
+  const formatDate = (dateString: string) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const describeBonus = (campaign: Campaign) => {
+    return campaign.bonus_type === 'multiplier'
+      ? `${campaign.value}x points`
+      : `+${campaign.value} points per order`;
+  };
+
+  const describeAudience = (campaign: Campaign) => {
+    const parts: string[] = [];
+    if (campaign.audience?.tiers?.length) parts.push(`Tiers: ${campaign.audience.tiers.join(', ')}`);
+    if (campaign.audience?.customer_tags?.length) parts.push(`Tags: ${campaign.audience.customer_tags.join(', ')}`);
+    if (campaign.audience?.first_order_only) parts.push('First order only');
+    return parts.length > 0 ? parts.join(' • ') : 'All customers';
+  };
+
+  const toastMarkup = toastActive ? (
+    <Toast
+      content={success || ''}
+      onDismiss={() => setToastActive(false)}
+    />
+  ) : null;
+
+  return (
+    <Frame>
+      {toastMarkup}
+      <Page
+        title="Bonus Campaigns"
+        subtitle="Schedule double points weekends, holiday events and other time-boxed promotions"
+      >
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical" title="Error">
+                <p>{error}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          {/* Campaign List */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <Text variant="headingMd" as="h2">Campaigns</Text>
+                  <Select
+                    label="Status"
+                    labelInline
+                    options={[
+                      { label: 'All', value: 'all' },
+                      { label: 'Active', value: 'active' },
+                      { label: 'Scheduled', value: 'scheduled' },
+                      { label: 'Ended', value: 'ended' }
+                    ]}
+                    value={statusFilter}
+                    onChange={setStatusFilter}
+                  />
+                </InlineStack>
+
+                {loading ? (
+                  <div style={{ textAlign: 'center', padding: '2rem' }}>
+                    <Spinner size="large" />
+                  </div>
+                ) : campaigns.length === 0 ? (
+                  <Text variant="bodyMd" as="p" tone="subdued" alignment="center">
+                    No campaigns found.
+                  </Text>
+                ) : (
+                  <ResourceList
+                    resourceName={{ singular: 'campaign', plural: 'campaigns' }}
+                    items={campaigns}
+                    renderItem={(campaign) => (
+                      <ResourceItem id={campaign._id} onClick={() => {}}>
+                        <InlineStack align="space-between">
+                          <BlockStack gap="100">
+                            <Text variant="bodyMd" fontWeight="bold" as="h3">
+                              {campaign.name} • {describeBonus(campaign)}
+                            </Text>
+                            <Text variant="bodyMd" as="p" tone="subdued">
+                              {formatDate(campaign.starts_at)} – {formatDate(campaign.ended_at || campaign.ends_at)}
+                            </Text>
+                            <Text variant="bodyMd" as="p" tone="subdued">
+                              {describeAudience(campaign)}
+                              {campaign.max_points_per_customer > 0 && ` • Max ${campaign.max_points_per_customer} points per customer`}
+                            </Text>
+                          </BlockStack>
+                          <InlineStack gap="200" align="center">
+                            <Badge tone={getStatusBadgeTone(campaign.status)}>
+                              {campaign.status}
+                            </Badge>
+                            {campaign.status !== 'ended' && (
+                              <Button tone="critical" onClick={() => handleEnd(campaign)}>
+                                End campaign
+                              </Button>
+                            )}
+                          </InlineStack>
+                        </InlineStack>
+                      </ResourceItem>
+                    )}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Schedule Campaign */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Schedule Campaign</Text>
+                <Form onSubmit={handleSchedule}>
+                  <FormLayout>
+                    <TextField
+                      label="Name"
+                      value={name}
+                      onChange={setName}
+                      placeholder="Double Points Weekend"
+                      autoComplete="off"
+                    />
+
+                    <InlineStack gap="400">
+                      <Select
+                        label="Bonus Type"
+                        options={[
+                          { label: 'Points multiplier', value: 'multiplier' },
+                          { label: 'Flat bonus per order', value: 'flat' }
+                        ]}
+                        value={bonusType}
+                        onChange={setBonusType}
+                      />
+                      <TextField
+                        label={bonusType === 'multiplier' ? 'Multiplier' : 'Bonus Points'}
+                        value={value}
+                        onChange={setValue}
+                        type="number"
+                        min="0"
+                        step={bonusType === 'multiplier' ? 0.5 : 1}
+                        suffix={bonusType === 'multiplier' ? 'x' : 'points'}
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+
+                    <InlineStack gap="400">
+                      <TextField
+                        label="Starts"
+                        value={startsAt}
+                        onChange={setStartsAt}
+                        type="datetime-local"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Ends"
+                        value={endsAt}
+                        onChange={setEndsAt}
+                        type="datetime-local"
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+
+                    <InlineStack gap="400">
+                      <TextField
+                        label="Tiers"
+                        value={tiers}
+                        onChange={setTiers}
+                        placeholder="Gold, Platinum"
+                        helpText="Comma-separated; leave empty for all tiers"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Customer Tags"
+                        value={customerTags}
+                        onChange={setCustomerTags}
+                        placeholder="vip"
+                        helpText="Comma-separated Shopify customer tags"
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+
+                    <Checkbox
+                      label="First order only"
+                      checked={firstOrderOnly}
+                      onChange={setFirstOrderOnly}
+                    />
+
+                    <TextField
+                      label="Maximum Bonus Per Customer"
+                      value={maxPointsPerCustomer}
+                      onChange={setMaxPointsPerCustomer}
+                      type="number"
+                      min="0"
+                      helpText="Total bonus points one customer can earn from this campaign (0 = no cap)"
+                      suffix="points"
+                      autoComplete="off"
+                    />
+
+                    <InlineStack align="end">
+                      <Button
+                        variant="primary"
+                        onClick={handleSchedule}
+                        loading={saving}
+                        disabled={!name || !startsAt || !endsAt}
+                      >
+                        Schedule Campaign
+                      </Button>
+                    </InlineStack>
+                  </FormLayout>
+                </Form>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </Frame>
+  );
+};
+
+export default Campaigns;
@@ -12,12 +12,27 @@ import {
   InlineStack,
   BlockStack,
   Checkbox,
+  Select,
   Spinner,
   Toast,
   Frame,
   Divider
 } from '@shopify/polaris';
-import { apiService, StoreConfig } from '../services/api.ts';
+import { apiService, StoreConfig, TierDefinition } from '../services/api.ts';
+
+interface TierFormState {
+  name: string;
+  threshold: string;
+  min_spend: string;
+  min_orders: string;
+  earning_multiplier: string;
+  redemption_bonus: string;
+  badge_color: string;
+}
+
+// Whole number from a text field, or null when it is empty (a deliberate 0 is kept)
+const parseOptionalInt = (value: string): number | null =>
+  isNaN(parseInt(value)) ? null : parseInt(value);
 
 const Configuration: React.FC = () => {
   const [loading, setLoading] = useState(true);
@@ -34,12 +49,41 @@ const Configuration: React.FC = () => {
   const [minimumOrderAmount, setMinimumOrderAmount] = useState('0');
   const [welcomeBonus, setWelcomeBonus] = useState('100');
   const [pointsExpiryDays, setPointsExpiryDays] = useState('365');
+  const [extendExpiryOnActivity, setExtendExpiryOnActivity] = useState(false);
+  const [expiryWarningsEnabled, setExpiryWarningsEnabled] = useState(false);
+  const [expiryWarningDays, setExpiryWarningDays] = useState('30, 7');
+  const [roundingMode, setRoundingMode] = useState('floor');
+  const [maxPointsPerOrder, setMaxPointsPerOrder] = useState('0');
+
+  // Earning base settings
+  const [includeTax, setIncludeTax] = useState(false);
+  const [includeShipping, setIncludeShipping] = useState(false);
+  const [subtractDiscounts, setSubtractDiscounts] = useState(true);
+  const [excludeGiftCards, setExcludeGiftCards] = useState(true);
+  const [excludedProductTags, setExcludedProductTags] = useState('no-points');
+
+  // Pending hold settings
+  const [holdEnabled, setHoldEnabled] = useState(false);
+  const [holdReleaseEvent, setHoldReleaseEvent] = useState('order_fulfilled');
+  const [holdDays, setHoldDays] = useState('14');
+  const [clawbackPolicy, setClawbackPolicy] = useState('allow_negative');
+
+  // Redemption settings
+  const [pointsPerCurrencyUnit, setPointsPerCurrencyUnit] = useState('100');
+  const [minimumRedemption, setMinimumRedemption] = useState('100');
+  const [redemptionStep, setRedemptionStep] = useState('100');
+  const [maxRedemptionPerOrder, setMaxRedemptionPerOrder] = useState('');
 
-  // Tier settings
-  const [bronzeThreshold, setBronzeThreshold] = useState('0');
-  const [silverThreshold, setSilverThreshold] = useState('500');
-  const [goldThreshold, setGoldThreshold] = useState('1500');
-  const [platinumThreshold, setPlatinumThreshold] = useState('5000');
+  // Tier ladder (numeric fields kept as strings while editing)
+  const [tiers, setTiers] = useState<TierFormState[]>([]);
+  const [qualificationMode, setQualificationMode] = useState('lifetime');
+  const [qualificationMetric, setQualificationMetric] = useState('points');
+  const [qualificationCombine, setQualificationCombine] = useState('and');
+  const [spendSource, setSpendSource] = useState('ledger');
+  const [windowMonths, setWindowMonths] = useState('12');
+  const [downgradeGraceDays, setDowngradeGraceDays] = useState('30');
+  const [tierEmailsEnabled, setTierEmailsEnabled] = useState(false);
+  const [tierEmailsIncludeDowngrades, setTierEmailsIncludeDowngrades] = useState(false);
 
   useEffect(() => {
     loadConfiguration();
@@ -54,7 +98,7 @@ const Configuration: React.FC = () => {
       setConfig(configData);
 
       // Populate form fields
-      const { points_settings, tier_settings } = configData;
+      const { points_settings, redemption_settings, tier_settings } = configData;
       
       setStaticPointsPerOrder(points_settings.static_points_per_order?.toString() || '50');
       setUseStaticPoints(points_settings.use_static_points ?? true);
@@ -62,11 +106,50 @@ const Configuration: React.FC = () => {
       setMinimumOrderAmount(points_settings.minimum_order_amount?.toString() || '0');
       setWelcomeBonus(points_settings.welcome_bonus?.toString() || '100');
       setPointsExpiryDays(points_settings.points_expiry_days?.toString() || '365');
+      setExtendExpiryOnActivity(points_settings.extend_expiry_on_activity ?? false);
+      setExpiryWarningsEnabled(points_settings.expiry_warnings?.enabled ?? false);
+      setExpiryWarningDays((points_settings.expiry_warnings?.days_before || [30, 7]).join(', '));
+      setRoundingMode(points_settings.rounding_mode || 'floor');
+      setMaxPointsPerOrder(points_settings.max_points_per_order?.toString() || '0');
 
-      setBronzeThreshold(tier_settings.bronze_threshold?.toString() || '0');
-      setSilverThreshold(tier_settings.silver_threshold?.toString() || '500');
-      setGoldThreshold(tier_settings.gold_threshold?.toString() || '1500');
-      setPlatinumThreshold(tier_settings.platinum_threshold?.toString() || '5000');
+      const earningBase = points_settings.earning_base;
+      setIncludeTax(earningBase?.include_tax ?? false);
+      setIncludeShipping(earningBase?.include_shipping ?? false);
+      setSubtractDiscounts(earningBase?.subtract_discounts ?? true);
+      setExcludeGiftCards(earningBase?.exclude_gift_cards ?? true);
+      setExcludedProductTags((earningBase?.excluded_product_tags || []).join(', '));
+
+      const pendingHold = points_settings.pending_hold;
+      setHoldEnabled(pendingHold?.enabled ?? false);
+      setHoldReleaseEvent(pendingHold?.release_event || 'order_fulfilled');
+      setHoldDays(pendingHold?.hold_days?.toString() || '14');
+      setClawbackPolicy(points_settings.clawback_policy || 'allow_negative');
+
+      setPointsPerCurrencyUnit(redemption_settings?.points_per_currency_unit?.toString() || '100');
+      setMinimumRedemption(redemption_settings?.minimum_points?.toString() || '100');
+      setRedemptionStep(redemption_settings?.points_step?.toString() || '100');
+      setMaxRedemptionPerOrder(redemption_settings?.max_points_per_order?.toString() || '');
+
+      const qualification = tier_settings.qualification;
+      setQualificationMode(qualification?.mode || 'lifetime');
+      setQualificationMetric(qualification?.metric || 'points');
+      setQualificationCombine(qualification?.combine || 'and');
+      setSpendSource(qualification?.spend_source || 'ledger');
+      setWindowMonths(qualification?.window_months?.toString() || '12');
+      setDowngradeGraceDays(qualification?.downgrade_grace_days?.toString() || '30');
+      setTierEmailsEnabled(tier_settings.change_emails?.enabled ?? false);
+      setTierEmailsIncludeDowngrades(tier_settings.change_emails?.include_downgrades ?? false);
+
+      const ladder = configData.tier_ladder?.length ? configData.tier_ladder : tier_settings.tiers || [];
+      setTiers(ladder.map((tier: TierDefinition) => ({
+        name: tier.name,
+        threshold: tier.threshold.toString(),
+        min_spend: (tier.min_spend ?? 0).toString(),
+        min_orders: (tier.min_orders ?? 0).toString(),
+        earning_multiplier: (tier.earning_multiplier ?? 1).toString(),
+        redemption_bonus: (tier.redemption_bonus ?? 0).toString(),
+        badge_color: tier.badge_color || '#6B7280'
+      })));
     } catch (err: any) {
       setError(err.message || 'Failed to load configuration');
     } finally {
@@ -74,7 +157,49 @@ const Configuration: React.FC = () => {
     }
   };
 
+  const describeTierCriteria = (tier: TierFormState) => {
+    if (qualificationMetric === 'spend') return `$${tier.threshold}+ spent`;
+    if (qualificationMetric === 'orders') return `${tier.threshold}+ orders`;
+    if (qualificationMetric === 'points') return `${tier.threshold}+ points`;
+
+    const requirements = [
+      parseFloat(tier.threshold) > 0 && `${tier.threshold}+ points`,
+      parseFloat(tier.min_spend) > 0 && `$${tier.min_spend}+ spent`,
+      parseInt(tier.min_orders) > 0 && `${tier.min_orders}+ orders`
+    ].filter(Boolean);
+
+    return requirements.length > 0
+      ? requirements.join(qualificationCombine === 'or' ? ' or ' : ' and ')
+      : 'Everyone';
+  };
+
+  const addTier = () => {
+    setTiers([...tiers, {
+      name: '',
+      threshold: '',
+      min_spend: '0',
+      min_orders: '0',
+      earning_multiplier: '1',
+      redemption_bonus: '0',
+      badge_color: '#6B7280'
+    }]);
+  };
+
+  const updateTier = (index: number, field: keyof TierFormState, value: string) => {
+    setTiers(tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier)));
+  };
+
+  const removeTier = (index: number) => {
+    setTiers(tiers.filter((_, i) => i !== index));
+  };
+
   const handleSave = async () => {
+    if (tiers.some(tier => !tier.name.trim())) {
+      setError('Every tier needs a name');
+      return;
+    }
+
+
     try {
       setSaving(true);
       setError(null);
@@ -83,28 +208,79 @@ const Configuration: React.FC = () => {
         points_settings: {
           static_points_per_order: parseInt(staticPointsPerOrder) || 50,
           use_static_points: useStaticPoints,
-          points_per_dollar: parseInt(pointsPerDollar) || 1,
-          minimum_order_amount: parseInt(minimumOrderAmount) || 0,
+          points_per_dollar: parseFloat(pointsPerDollar) || 1,
+          minimum_order_amount: parseFloat(minimumOrderAmount) || 0,
           welcome_bonus: parseInt(welcomeBonus) || 100,
-          points_expiry_days: parseInt(pointsExpiryDays) || 365
+          points_expiry_days: isNaN(parseInt(pointsExpiryDays)) ? 365 : parseInt(pointsExpiryDays),
+          extend_expiry_on_activity: extendExpiryOnActivity,
+          expiry_warnings: {
+            enabled: expiryWarningsEnabled,
+            days_before: expiryWarningDays
+              .split(',')
+              .map(days => parseInt(days.trim()))
+              .filter(days => days > 0)
+          },
+          rounding_mode: roundingMode as 'floor' | 'round' | 'ceil',
+          max_points_per_order: parseInt(maxPointsPerOrder) || 0,
+          earning_base: {
+            include_tax: includeTax,
+            include_shipping: includeShipping,
+            subtract_discounts: subtractDiscounts,
+            exclude_gift_cards: excludeGiftCards,
+            excluded_product_tags: excludedProductTags
+              .split(',')
+              .map(tag => tag.trim())
+              .filter(Boolean)
+          },
+          pending_hold: {
+            enabled: holdEnabled,
+            release_event: holdReleaseEvent as 'order_created' | 'order_paid' | 'order_fulfilled',
+            hold_days: parseInt(holdDays) || 0
+          },
+          clawback_policy: clawbackPolicy as 'allow_negative' | 'write_off' | 'block_redemption'
+        },
+        redemption_settings: {
+          points_per_currency_unit: parseInt(pointsPerCurrencyUnit) || 100,
+          minimum_points: parseOptionalInt(minimumRedemption) ?? 100,
+          points_step: parseInt(redemptionStep) || 100,
+          max_points_per_order: parseOptionalInt(maxRedemptionPerOrder)
         },
         tier_settings: {
-          bronze_threshold: parseInt(bronzeThreshold) || 0,
-          silver_threshold: parseInt(silverThreshold) || 500,
-          gold_threshold: parseInt(goldThreshold) || 1500,
-          platinum_threshold: parseInt(platinumThreshold) || 5000
+          tiers: tiers.map(tier => ({
+            name: tier.name.trim(),
+            threshold: parseFloat(tier.threshold) || 0,
+            min_spend: parseFloat(tier.min_spend) || 0,
+            min_orders: parseInt(tier.min_orders) || 0,
+            earning_multiplier: parseFloat(tier.earning_multiplier) || 1,
+            redemption_bonus: parseFloat(tier.redemption_bonus) || 0,
+            badge_color: tier.badge_color
+          })),
+          qualification: {
+            mode: qualificationMode as 'lifetime' | 'rolling' | 'calendar_year',
+            metric: qualificationMetric as 'points' | 'spend' | 'orders' | 'combined',
+            combine: qualificationCombine as 'and' | 'or',
+            spend_source: spendSource as 'ledger' | 'shopify',
+            window_months: parseInt(windowMonths) || 12,
+            downgrade_grace_days: isNaN(parseInt(downgradeGraceDays)) ? 30 : parseInt(downgradeGraceDays)
+          },
+          change_emails: {
+            enabled: tierEmailsEnabled,
+            include_downgrades: tierEmailsIncludeDowngrades
+          }
         }
       };
 
-      await apiService.updatePointsConfig(updatedConfig);
+      const result = await apiService.updatePointsConfig(updatedConfig);
       
-      setSuccess('Configuration saved successfully!');
+      setSuccess(result.retier_started
+        ? 'Configuration saved. Customers are being moved to their new tiers.'
+        : 'Configuration saved successfully!');
       setToastActive(true);
       
       // Reload configuration to get latest data
       await loadConfiguration();
     } catch (err: any) {
-      setError(err.message || 'Failed to save configuration');
+      setError(err.response?.data?.message || err.message || 'Failed to save configuration');
     } finally {
       setSaving(false);
     }
@@ -178,7 +354,7 @@ const Configuration: React.FC = () => {
                         onChange={setStaticPointsPerOrder}
                         type="number"
                         min="0"
-                        helpText="Fixed number of points awarded for each order (currently: 50 points per order)"
+                        helpText={`Fixed number of points awarded for each order (currently: ${config?.points_settings.static_points_per_order ?? 50} points per order)`}
                         suffix="points"
                         autoComplete="off"
                       />
@@ -195,20 +371,44 @@ const Configuration: React.FC = () => {
                           suffix="points per $1"
                           autoComplete="off"
                         />
-                        <TextField
-                          label="Minimum Order Amount"
-                          value={minimumOrderAmount}
-                          onChange={setMinimumOrderAmount}
-                          type="number"
-                          min="0"
-                          step={0.01}
-                          helpText="Minimum order value to earn points"
-                          prefix="$"
-                          autoComplete="off"
+                        <Select
+                          label="Rounding"
+                          options={[
+                            { label: 'Round down', value: 'floor' },
+                            { label: 'Round to nearest', value: 'round' },
+                            { label: 'Round up', value: 'ceil' }
+                          ]}
+                          value={roundingMode}
+                          onChange={setRoundingMode}
+                          helpText="How fractional points are rounded"
                         />
                       </InlineStack>
                     )}
 
+                    <InlineStack gap="400">
+                      <TextField
+                        label="Minimum Order Amount"
+                        value={minimumOrderAmount}
+                        onChange={setMinimumOrderAmount}
+                        type="number"
+                        min="0"
+                        step={0.01}
+                        helpText="Minimum order value to earn points"
+                        prefix="$"
+                        autoComplete="off"
+                      />
+                      <TextField
+                        label="Maximum Points Per Order"
+                        value={maxPointsPerOrder}
+                        onChange={setMaxPointsPerOrder}
+                        type="number"
+                        min="0"
+                        helpText="Cap on points earned from a single order (0 = no cap)"
+                        suffix="points"
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+
                     <InlineStack gap="400">
                       <TextField
                         label="Welcome Bonus"
@@ -231,69 +431,365 @@ const Configuration: React.FC = () => {
                         autoComplete="off"
                       />
                     </InlineStack>
+
+                    <Checkbox
+                      label="Activity extends expiry"
+                      checked={extendExpiryOnActivity}
+                      onChange={setExtendExpiryOnActivity}
+                      helpText="Reset the expiry date on all unspent points whenever the customer earns or redeems"
+                    />
+
+                    <Checkbox
+                      label="Email customers before points expire"
+                      checked={expiryWarningsEnabled}
+                      onChange={setExpiryWarningsEnabled}
+                    />
+
+                    {expiryWarningsEnabled && (
+                      <TextField
+                        label="Warn Before Expiry"
+                        value={expiryWarningDays}
+                        onChange={setExpiryWarningDays}
+                        placeholder="30, 7"
+                        helpText="Comma-separated days before expiry to send a warning"
+                        suffix="days"
+                        autoComplete="off"
+                      />
+                    )}
                   </FormLayout>
                 </Form>
               </BlockStack>
             </Card>
           </Layout.Section>
 
-          {/* Customer Tier Settings */}
+          {/* Earning Base Settings */}
           <Layout.Section>
             <Card>
               <BlockStack gap="400">
-                <Text variant="headingMd" as="h2">Customer Tier Thresholds</Text>
+                <Text variant="headingMd" as="h2">What Earns Points</Text>
                 <Form onSubmit={handleSave}>
                   <FormLayout>
                     <Text variant="bodyMd" as="p" tone="subdued">
-                      Set the minimum points required for each customer tier. Customers automatically move between tiers based on their total earned points.
+                      Choose which parts of an order count towards the earnable subtotal used for value-based points and the minimum order amount.
                     </Text>
-                    
+
+                    <Checkbox
+                      label="Subtract discounts"
+                      checked={subtractDiscounts}
+                      onChange={setSubtractDiscounts}
+                      helpText="Customers earn on what they paid after discount codes"
+                    />
+                    <Checkbox
+                      label="Include shipping"
+                      checked={includeShipping}
+                      onChange={setIncludeShipping}
+                    />
+                    <Checkbox
+                      label="Include tax"
+                      checked={includeTax}
+                      onChange={setIncludeTax}
+                    />
+                    <Checkbox
+                      label="Exclude gift cards"
+                      checked={excludeGiftCards}
+                      onChange={setExcludeGiftCards}
+                      helpText="Gift card purchases do not earn points"
+                    />
+
+                    <TextField
+                      label="Non-earning Product Tags"
+                      value={excludedProductTags}
+                      onChange={setExcludedProductTags}
+                      placeholder="no-points, clearance"
+                      helpText="Comma-separated product tags that never earn points"
+                      autoComplete="off"
+                    />
+                  </FormLayout>
+                </Form>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Pending Points Settings */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Pending Points</Text>
+                <Form onSubmit={handleSave}>
+                  <FormLayout>
+                    <Checkbox
+                      label="Hold order points before they can be spent"
+                      checked={holdEnabled}
+                      onChange={setHoldEnabled}
+                      helpText="Points show as pending until the hold period passes, so orders can be paid, fulfilled or returned first"
+                    />
+
+                    {holdEnabled && (
+                      <InlineStack gap="400">
+                        <Select
+                          label="Start Hold After"
+                          options={[
+                            { label: 'Order is placed', value: 'order_created' },
+                            { label: 'Order is paid', value: 'order_paid' },
+                            { label: 'Order is fulfilled', value: 'order_fulfilled' }
+                          ]}
+                          value={holdReleaseEvent}
+                          onChange={setHoldReleaseEvent}
+                        />
+                        <TextField
+                          label="Hold Period"
+                          value={holdDays}
+                          onChange={setHoldDays}
+                          type="number"
+                          min="0"
+                          suffix="days"
+                          autoComplete="off"
+                        />
+                      </InlineStack>
+                    )}
+
+                    <Select
+                      label="When Refunded Points Are Already Spent"
+                      options={[
+                        { label: 'Let the balance go negative', value: 'allow_negative' },
+                        { label: 'Write off the difference', value: 'write_off' },
+                        { label: 'Block redemptions until earned back', value: 'block_redemption' }
+                      ]}
+                      value={clawbackPolicy}
+                      onChange={setClawbackPolicy}
+                      helpText="Points earned on cancelled or refunded orders are taken back; this decides what happens if the customer has already spent them"
+                    />
+                  </FormLayout>
+                </Form>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Redemption Settings */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Redeeming Points</Text>
+                <Form onSubmit={handleSave}>
+                  <FormLayout>
+                    <TextField
+                      label="Points per $1.00 Off"
+                      value={pointsPerCurrencyUnit}
+                      onChange={setPointsPerCurrencyUnit}
+                      type="number"
+                      min="1"
+                      helpText="Used by the checkout widgets, the checkout extension and discount codes created from points"
+                      autoComplete="off"
+                    />
                     <InlineStack gap="400">
                       <TextField
-                        label="Bronze Tier"
-                        value={bronzeThreshold}
-                        onChange={setBronzeThreshold}
+                        label="Minimum Redemption"
+                        value={minimumRedemption}
+                        onChange={setMinimumRedemption}
                         type="number"
-                        min="0"
-                        helpText="Starting tier for all customers"
+                        min="1"
                         suffix="points"
-                        disabled
                         autoComplete="off"
                       />
                       <TextField
-                        label="Silver Tier"
-                        value={silverThreshold}
-                        onChange={setSilverThreshold}
+                        label="Redeem in Steps Of"
+                        value={redemptionStep}
+                        onChange={setRedemptionStep}
                         type="number"
-                        min="0"
-                        helpText="Points needed for Silver tier"
+                        min="1"
                         suffix="points"
+                        helpText="The minimum and maximum must be multiples of this"
                         autoComplete="off"
                       />
-                    </InlineStack>
-
-                    <InlineStack gap="400">
                       <TextField
-                        label="Gold Tier"
-                        value={goldThreshold}
-                        onChange={setGoldThreshold}
+                        label="Maximum per Order"
+                        value={maxRedemptionPerOrder}
+                        onChange={setMaxRedemptionPerOrder}
                         type="number"
                         min="0"
-                        helpText="Points needed for Gold tier"
                         suffix="points"
+                        placeholder="No limit"
                         autoComplete="off"
                       />
+                    </InlineStack>
+                  </FormLayout>
+                </Form>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Customer Tier Settings */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between">
+                  <Text variant="headingMd" as="h2">Customer Tiers</Text>
+                  <Button onClick={addTier}>Add tier</Button>
+                </InlineStack>
+                <Form onSubmit={handleSave}>
+                  <FormLayout>
+                    <Text variant="bodyMd" as="p" tone="subdued">
+                      Define your tier ladder. Customers automatically move between tiers as they qualify; the tier with a 0 threshold is the starting tier.
+                    </Text>
+
+                    <InlineStack gap="400">
+                      <Select
+                        label="Qualify By"
+                        options={[
+                          { label: 'Points earned', value: 'points' },
+                          { label: 'Money spent', value: 'spend' },
+                          { label: 'Number of orders', value: 'orders' },
+                          { label: 'Combined criteria', value: 'combined' }
+                        ]}
+                        value={qualificationMetric}
+                        onChange={setQualificationMetric}
+                      />
+                      {qualificationMetric === 'combined' && (
+                        <Select
+                          label="Tier Needs"
+                          options={[
+                            { label: 'All requirements', value: 'and' },
+                            { label: 'Any requirement', value: 'or' }
+                          ]}
+                          value={qualificationCombine}
+                          onChange={setQualificationCombine}
+                        />
+                      )}
+                      {qualificationMetric !== 'points' && (
+                        <Select
+                          label="Spend & Orders From"
+                          options={[
+                            { label: 'Orders that earned points', value: 'ledger' },
+                            { label: 'Shopify customer totals (lifetime only)', value: 'shopify' }
+                          ]}
+                          value={spendSource}
+                          onChange={setSpendSource}
+                        />
+                      )}
+                      <Select
+                        label="Counting Period"
+                        options={[
+                          { label: 'Lifetime', value: 'lifetime' },
+                          { label: 'Rolling window', value: 'rolling' },
+                          { label: 'Calendar year', value: 'calendar_year' }
+                        ]}
+                        value={qualificationMode}
+                        onChange={setQualificationMode}
+                      />
+                      {qualificationMode === 'rolling' && (
+                        <TextField
+                          label="Window"
+                          value={windowMonths}
+                          onChange={setWindowMonths}
+                          type="number"
+                          min="1"
+                          suffix="months"
+                          autoComplete="off"
+                        />
+                      )}
                       <TextField
-                        label="Platinum Tier"
-                        value={platinumThreshold}
-                        onChange={setPlatinumThreshold}
+                        label="Downgrade Grace Period"
+                        value={downgradeGraceDays}
+                        onChange={setDowngradeGraceDays}
                         type="number"
                         min="0"
-                        helpText="Points needed for Platinum tier"
-                        suffix="points"
+                        helpText="Days customers keep their tier after no longer qualifying"
+                        suffix="days"
                         autoComplete="off"
                       />
                     </InlineStack>
+
+                    <InlineStack gap="400">
+                      <Checkbox
+                        label="Email customers when they reach a new tier"
+                        checked={tierEmailsEnabled}
+                        onChange={setTierEmailsEnabled}
+                      />
+                      {tierEmailsEnabled && (
+                        <Checkbox
+                          label="Also email when they drop a tier"
+                          checked={tierEmailsIncludeDowngrades}
+                          onChange={setTierEmailsIncludeDowngrades}
+                        />
+                      )}
+                    </InlineStack>
+
+                    {tiers.map((tier, index) => (
+                      <BlockStack gap="300" key={index}>
+                        {index > 0 && <Divider />}
+                        <InlineStack gap="400" blockAlign="end">
+                          <TextField
+                            label="Tier Name"
+                            value={tier.name}
+                            onChange={(value) => updateTier(index, 'name', value)}
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label={qualificationMetric === 'combined' ? 'Min Points' : 'Threshold'}
+                            value={tier.threshold}
+                            onChange={(value) => updateTier(index, 'threshold', value)}
+                            type="number"
+                            min="0"
+                            prefix={qualificationMetric === 'spend' ? '$' : undefined}
+                            suffix={qualificationMetric === 'orders' ? 'orders' : qualificationMetric === 'spend' ? undefined : 'points'}
+                            autoComplete="off"
+                          />
+                          {qualificationMetric === 'combined' && (
+                            <>
+                              <TextField
+                                label="Min Spend"
+                                value={tier.min_spend}
+                                onChange={(value) => updateTier(index, 'min_spend', value)}
+                                type="number"
+                                min="0"
+                                prefix="$"
+                                autoComplete="off"
+                              />
+                              <TextField
+                                label="Min Orders"
+                                value={tier.min_orders}
+                                onChange={(value) => updateTier(index, 'min_orders', value)}
+                                type="number"
+                                min="0"
+                                autoComplete="off"
+                              />
+                            </>
+                          )}
+                          <TextField
+                            label="Badge Color"
+                            value={tier.badge_color}
+                            onChange={(value) => updateTier(index, 'badge_color', value)}
+                            prefix={<span style={{ display: 'inline-block', width: 12, height: 12, borderRadius: 6, background: tier.badge_color }} />}
+                            autoComplete="off"
+                          />
+                        </InlineStack>
+                        <InlineStack gap="400" blockAlign="center">
+                          <TextField
+                            label="Earning Multiplier"
+                            value={tier.earning_multiplier}
+                            onChange={(value) => updateTier(index, 'earning_multiplier', value)}
+                            type="number"
+                            min="1"
+                            step={0.25}
+                            suffix="x"
+                            autoComplete="off"
+                          />
+                          <TextField
+                            label="Redemption Bonus"
+                            value={tier.redemption_bonus}
+                            onChange={(value) => updateTier(index, 'redemption_bonus', value)}
+                            type="number"
+                            min="0"
+                            helpText="Extra discount value when redeeming"
+                            suffix="%"
+                            autoComplete="off"
+                          />
+                          <Button tone="critical" variant="plain" onClick={() => removeTier(index)} disabled={tiers.length === 1}>
+                            Remove
+                          </Button>
+                        </InlineStack>
+                      </BlockStack>
+                    ))}
                   </FormLayout>
                 </Form>
               </BlockStack>
@@ -317,15 +813,16 @@ const Configuration: React.FC = () => {
                           <strong>Points per Order:</strong> {staticPointsPerOrder} points (regardless of order value)
                         </Text>
                       ) : (
-                        <>
-                          <Text variant="bodyMd" as="p">
-                            <strong>Points per Dollar:</strong> {pointsPerDollar} points per $1 spent
-                          </Text>
-                          <Text variant="bodyMd" as="p">
-                            <strong>Minimum Order:</strong> ${minimumOrderAmount}
-                          </Text>
-                        </>
+                        <Text variant="bodyMd" as="p">
+                          <strong>Points per Dollar:</strong> {pointsPerDollar} points per $1 spent (rounded {roundingMode === 'floor' ? 'down' : roundingMode === 'ceil' ? 'up' : 'to nearest'})
+                        </Text>
                       )}
+                      <Text variant="bodyMd" as="p">
+                        <strong>Minimum Order:</strong> ${minimumOrderAmount}
+                      </Text>
+                      <Text variant="bodyMd" as="p">
+                        <strong>Maximum per Order:</strong> {parseInt(maxPointsPerOrder) > 0 ? `${maxPointsPerOrder} points` : 'No cap'}
+                      </Text>
                       <Text variant="bodyMd" as="p">
                         <strong>Welcome Bonus:</strong> {welcomeBonus} points
                       </Text>
@@ -336,10 +833,19 @@ const Configuration: React.FC = () => {
                     <BlockStack gap="200">
                       <Text variant="headingMd" as="h3">Customer Tiers</Text>
                       <InlineStack gap="400">
-                        <Text variant="bodyMd" as="p">Bronze: {bronzeThreshold}+ points</Text>
-                        <Text variant="bodyMd" as="p">Silver: {silverThreshold}+ points</Text>
-                        <Text variant="bodyMd" as="p">Gold: {goldThreshold}+ points</Text>
-                        <Text variant="bodyMd" as="p">Platinum: {platinumThreshold}+ points</Text>
+                        {[...tiers]
+                          .sort((a, b) =>
+                            ((parseFloat(a.threshold) || 0) - (parseFloat(b.threshold) || 0)) ||
+                            ((parseFloat(a.min_spend) || 0) - (parseFloat(b.min_spend) || 0)) ||
+                            ((parseInt(a.min_orders) || 0) - (parseInt(b.min_orders) || 0))
+                          )
+                          .map(tier => (
+                            <Text variant="bodyMd" as="p" key={tier.name}>
+                              {tier.name}: {describeTierCriteria(tier)}
+                              {parseFloat(tier.earning_multiplier) > 1 && ` • ${tier.earning_multiplier}x earning`}
+                              {parseFloat(tier.redemption_bonus) > 0 && ` • +${tier.redemption_bonus}% redemption`}
+                            </Text>
+                          ))}
                       </InlineStack>
                     </BlockStack>
                   </BlockStack>
@@ -16,7 +16,7 @@ import {
   ResourceItem,
   Banner
 } from '@shopify/polaris';
-import { apiService, CustomerPoints, PointsTransaction } from '../services/api.ts';
+import { apiService, CustomerPoints, PointsTransaction, TierChange } from '../services/api.ts';
 
 const CustomerLookup: React.FC = () => {
   const [searchEmail, setSearchEmail] = useState('');
@@ -24,6 +24,7 @@ const CustomerLookup: React.FC = () => {
   const [loading, setLoading] = useState(false);
   const [customer, setCustomer] = useState<CustomerPoints | null>(null);
   const [transactions, setTransactions] = useState<PointsTransaction[]>([]);
+  const [tierHistory, setTierHistory] = useState<TierChange[]>([]);
   const [error, setError] = useState<string | null>(null);
   const [searchMethod, setSearchMethod] = useState<'email' | 'id'>('email');
 
@@ -38,6 +39,7 @@ const CustomerLookup: React.FC = () => {
       setError(null);
       setCustomer(null);
       setTransactions([]);
+      setTierHistory([]);
 
       let customerData: CustomerPoints;
 
@@ -53,8 +55,12 @@ const CustomerLookup: React.FC = () => {
 
       // Load transactions if customer exists
       if (customerData.customer_id) {
-        const transactionData = await apiService.getCustomerTransactions(customerData.customer_id, 20);
+        const [transactionData, tierHistoryData] = await Promise.all([
+          apiService.getCustomerTransactions(customerData.customer_id, 20),
+          apiService.getTierHistory(customerData.customer_id, 10)
+        ]);
         setTransactions(transactionData);
+        setTierHistory(tierHistoryData);
       }
     } catch (err: any) {
       if (err.response?.status === 404) {
@@ -183,8 +189,18 @@ const CustomerLookup: React.FC = () => {
                     <BlockStack gap="200">
                       <BlockStack gap="100">
                         <Text variant="headingLg" as="h3">{customer.current_balance.toLocaleString()}</Text>
-                        <Text variant="bodyMd" as="p" tone="subdued">Current Points Balance</Text>
+                        <Text variant="bodyMd" as="p" tone="subdued">Available Points Balance</Text>
                       </BlockStack>
+                      <BlockStack gap="100">
+                        <Text variant="headingLg" as="h3">{(customer.pending_balance || 0).toLocaleString()}</Text>
+                        <Text variant="bodyMd" as="p" tone="subdued">Pending Points</Text>
+                      </BlockStack>
+                      {customer.points_debt > 0 && (
+                        <BlockStack gap="100">
+                          <Text variant="headingLg" as="h3" tone="critical">{customer.points_debt.toLocaleString()}</Text>
+                          <Text variant="bodyMd" as="p" tone="subdued">Points Owed From Refunds</Text>
+                        </BlockStack>
+                      )}
                       <BlockStack gap="100">
                         <Text variant="headingLg" as="h3">{customer.total_earned.toLocaleString()}</Text>
                         <Text variant="bodyMd" as="p" tone="subdued">Total Points Earned</Text>
@@ -198,9 +214,25 @@ const CustomerLookup: React.FC = () => {
 
                   <Layout.Section variant="oneThird">
                     <BlockStack gap="300" align="center">
-                      <Badge tone={getTierBadgeStatus(customer.tier)} size="large">
-                        {customer.tier.toUpperCase() + ' TIER'}
-                      </Badge>
+                      <InlineStack gap="200" blockAlign="center">
+                        {customer.tier_perks?.badge_color && (
+                          <span style={{ display: 'inline-block', width: 12, height: 12, borderRadius: 6, background: customer.tier_perks.badge_color }} />
+                        )}
+                        <Badge tone={getTierBadgeStatus(customer.tier)} size="large">
+                          {customer.tier.toUpperCase() + ' TIER'}
+                        </Badge>
+                      </InlineStack>
+                      {customer.tier_downgrade_at && (
+                        <Text variant="bodyMd" as="p" tone="caution">
+                          Drops a tier on {formatDate(customer.tier_downgrade_at)} unless they requalify
+                        </Text>
+                      )}
+                      {customer.tier_perks && (
+                        <Text variant="bodyMd" as="p" tone="subdued">
+                          {customer.tier_perks.earning_multiplier}x earning
+                          {customer.tier_perks.redemption_bonus > 0 && ` • +${customer.tier_perks.redemption_bonus}% redemption value`}
+                        </Text>
+                      )}
                       <Text variant="bodyMd" as="p">
                         Last updated: {formatDate(customer.updated_at)}
                       </Text>
@@ -212,6 +244,40 @@ const CustomerLookup: React.FC = () => {
           </Layout.Section>
         )}
 
+        {/* Tier History */}
+        {customer && tierHistory.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Tier History</Text>
+                <ResourceList
+                  resourceName={{ singular: 'tier change', plural: 'tier changes' }}
+                  items={tierHistory}
+                  renderItem={(change) => (
+                    <ResourceItem id={change.id} onClick={() => {}}>
+                      <InlineStack align="space-between">
+                        <BlockStack gap="100">
+                          <Text variant="bodyMd" fontWeight="bold" as="h3">
+                            {change.from_tier || 'New member'} → {change.to_tier}
+                          </Text>
+                          <Text variant="bodyMd" as="p" tone="subdued">
+                            {formatDate(change.created_at)} • {change.reason.replace(/_/g, ' ')}
+                          </Text>
+                        </BlockStack>
+                        {change.direction && (
+                          <Badge tone={change.direction === 'up' ? 'success' : change.direction === 'down' ? 'warning' : undefined}>
+                            {change.direction}
+                          </Badge>
+                        )}
+                      </InlineStack>
+                    </ResourceItem>
+                  )}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
         {/* Transaction History */}
         {customer && transactions.length > 0 && (
           <Layout.Section>
@@ -236,6 +302,16 @@ const CustomerLookup: React.FC = () => {
                               {order_total && ` • Order Total: ${order_total}`}
                               {metadata?.order_number && ` • Order #${metadata.order_number}`}
                             </Text>
+                            {transaction.status === 'pending' && (
+                              <Text variant="bodyMd" as="p" tone="subdued">
+                                Pending{transaction.available_at ? ` until ${formatDate(transaction.available_at)}` : ' until the order is released'}
+                              </Text>
+                            )}
+                            {!!transaction.remaining_points && transaction.expires_at && (
+                              <Text variant="bodyMd" as="p" tone="subdued">
+                                {transaction.remaining_points} unspent points expire {formatDate(transaction.expires_at)}
+                              </Text>
+                            )}
                             {metadata?.admin_note && (
                               <Text variant="bodyMd" as="p" tone="subdued">
                                 Note: {metadata.admin_note}
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Page,
   Layout,
@@ -32,6 +32,13 @@ const PointsManager: React.FC = () => {
   const [success, setSuccess] = useState<string | null>(null);
   const [toastActive, setToastActive] = useState(false);
 
+  // One key per adjustment, so resubmitting after a timeout can't apply it twice
+  const [idempotencyKey, setIdempotencyKey] = useState(() => crypto.randomUUID());
+
+  useEffect(() => {
+    setIdempotencyKey(crypto.randomUUID());
+  }, [customerId, points, description, adminNote, operation]);
+
   const operationOptions = [
     { label: 'Add Points', value: 'add' },
     { label: 'Deduct Points', value: 'deduct' }
@@ -87,7 +94,8 @@ const PointsManager: React.FC = () => {
         customerId,
         finalPoints,
         finalDescription,
-        adminNote || undefined
+        adminNote || undefined,
+        idempotencyKey
       );
 
       setSuccess(`Successfully ${operation === 'add' ? 'awarded' : 'deducted'} ${pointsValue} points!`);
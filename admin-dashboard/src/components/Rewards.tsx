@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Form,
+  FormLayout,
+  TextField,
+  Button,
+  Select,
+  InlineStack,
+  BlockStack,
+  Banner,
+  Text,
+  Badge,
+  ResourceList,
+  ResourceItem,
+  Spinner,
+  Toast,
+  Frame
+} from '@shopify/polaris';
+import { apiService, Reward } from '../services/api.ts';
+
+type RewardType = Reward['reward_type'];
+
+const REWARD_TYPE_OPTIONS = [
+  { label: 'Amount off', value: 'fixed_amount' },
+  { label: 'Percentage off', value: 'percentage' },
+  { label: 'Free shipping', value: 'free_shipping' },
+  { label: 'Free product', value: 'free_product' },
+  { label: 'Gift card', value: 'gift_card' }
+];
+
+const Rewards: React.FC = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [rewards, setRewards] = useState<Reward[]>([]);
+  const [error, setError] = useState<string | null>(null);
+  const [success, setSuccess] = useState<string | null>(null);
+  const [toastActive, setToastActive] = useState(false);
+
+  // Form state
+  const [name, setName] = useState('');
+  const [description, setDescription] = useState('');
+  const [rewardType, setRewardType] = useState<string>('fixed_amount');
+  const [pointsCost, setPointsCost] = useState('500');
+  const [value, setValue] = useState('5');
+  const [productId, setProductId] = useState('');
+  const [variantId, setVariantId] = useState('');
+  const [quantity, setQuantity] = useState('1');
+  const [tiers, setTiers] = useState('');
+  const [minimumCartAmount, setMinimumCartAmount] = useState('0');
+  const [collectionIds, setCollectionIds] = useState('');
+  const [codeExpiryDays, setCodeExpiryDays] = useState('30');
+
+  useEffect(() => {
+    loadRewards();
+  }, []);
+
+  const loadRewards = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const rewardData = await apiService.getRewards();
+      setRewards(rewardData);
+    } catch (err: any) {
+      setError(err.message || 'Failed to load rewards');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const splitList = (list: string) => list.split(',').map(item => item.trim()).filter(Boolean);
+
+  const needsValue = ['fixed_amount', 'percentage', 'gift_card'].includes(rewardType);
+  const canTargetCollections = ['fixed_amount', 'percentage'].includes(rewardType);
+
+  const handleCreate = async () => {
+    if (!name || !pointsCost) {
+      setError('Please fill in name and points cost');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      await apiService.createReward({
+        name,
+        description: description || undefined,
+        reward_type: rewardType as RewardType,
+        points_cost: parseInt(pointsCost),
+        value: needsValue ? parseFloat(value) || 0 : 0,
+        product: rewardType === 'free_product'
+          ? { product_id: productId || undefined, variant_id: variantId || undefined, quantity: parseInt(quantity) || 1 }
+          : undefined,
+        eligible_tiers: splitList(tiers),
+        minimum_cart_amount: rewardType === 'gift_card' ? 0 : parseFloat(minimumCartAmount) || 0,
+        collection_ids: canTargetCollections ? splitList(collectionIds) : [],
+        code_expiry_days: parseInt(codeExpiryDays) || 30
+      });
+
+      setSuccess(`Reward "${name}" added`);
+      setToastActive(true);
+
+      // Clear form
+      setName('');
+      setDescription('');
+      setProductId('');
+      setVariantId('');
+      setQuantity('1');
+      setTiers('');
+      setMinimumCartAmount('0');
+      setCollectionIds('');
+
+      await loadRewards();
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to add reward');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (reward: Reward) => {
+    try {
+      setError(null);
+      await apiService.updateReward(reward._id, { active: !reward.active });
+
+      setSuccess(`Reward "${reward.name}" ${reward.active ? 'hidden' : 'shown'}`);
+      setToastActive(true);
+
+      await loadRewards();
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to update reward');
+    }
+  };
+
+  const handleDelete = async (reward: Reward) => {
+    try {
+      setError(null);
+      await apiService.deleteReward(reward._id);
+
+      setSuccess(`Reward "${reward.name}" deleted`);
+      setToastActive(true);
+
+      await loadRewards();
+    } catch (err: any) {
+      setError(err.response?.data?.error || err.message || 'Failed to delete reward');
+    }
+  };
+
+  const describeReward = (reward: Reward) => {
+    switch (reward.reward_type) {
+      case 'fixed_amount': return `$${reward.value.toFixed(2)} off`;
+      case 'percentage': return `${reward.value}% off`;
+      case 'free_shipping': return 'Free shipping';
+      case 'free_product': return `${reward.product?.quantity || 1} free ${reward.product?.variant_id ? `variant ${reward.product.variant_id}` : `product ${reward.product?.product_id}`}`;
+      case 'gift_card': return `$${reward.value.toFixed(2)} gift card`;
+      default: return reward.reward_type;
+    }
+  };
+
+  const describeConditions = (reward: Reward) => {
+    const parts: string[] = [];
+    if (reward.eligible_tiers?.length) parts.push(`Tiers: ${reward.eligible_tiers.join(', ')}`);
+    if (reward.minimum_cart_amount > 0) parts.push(`Min cart $${reward.minimum_cart_amount.toFixed(2)}`);
+    if (reward.collection_ids?.length) parts.push(`Collections: ${reward.collection_ids.join(', ')}`);
+    parts.push(`Valid ${reward.code_expiry_days} days`);
+    return parts.join(' • ');
+  };
+
+  const toastMarkup = toastActive ? (
+    <Toast
+      content={success || ''}
+      onDismiss={() => setToastActive(false)}
+    />
+  ) : null;
+
+  return (
+    <Frame>
+      {toastMarkup}
+      <Page
+        title="Rewards"
+        subtitle="What customers can spend their points on"
+      >
+        <Layout>
+          {error && (
+            <Layout.Section>
+              <Banner tone="critical" title="Error">
+                <p>{error}</p>
+              </Banner>
+            </Layout.Section>
+          )}
+
+          {/* Reward List */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Catalog</Text>
+
+                {loading ? (
+                  <div style={{ textAlign: 'center', padding: '2rem' }}>
+                    <Spinner size="large" />
+                  </div>
+                ) : rewards.length === 0 ? (
+                  <Text variant="bodyMd" as="p" tone="subdued" alignment="center">
+                    No rewards yet.
+                  </Text>
+                ) : (
+                  <ResourceList
+                    resourceName={{ singular: 'reward', plural: 'rewards' }}
+                    items={rewards}
+                    renderItem={(reward) => (
+                      <ResourceItem id={reward._id} onClick={() => {}}>
+                        <InlineStack align="space-between">
+                          <BlockStack gap="100">
+                            <Text variant="bodyMd" fontWeight="bold" as="h3">
+                              {reward.name} • {reward.points_cost.toLocaleString()} points
+                            </Text>
+                            <Text variant="bodyMd" as="p" tone="subdued">
+                              {describeReward(reward)}
+                            </Text>
+                            <Text variant="bodyMd" as="p" tone="subdued">
+                              {describeConditions(reward)}
+                            </Text>
+                          </BlockStack>
+                          <InlineStack gap="200" align="center">
+                            <Badge tone={reward.active ? 'success' : undefined}>
+                              {reward.active ? 'active' : 'hidden'}
+                            </Badge>
+                            <Button onClick={() => handleToggleActive(reward)}>
+                              {reward.active ? 'Hide' : 'Show'}
+                            </Button>
+                            <Button tone="critical" onClick={() => handleDelete(reward)}>
+                              Delete
+                            </Button>
+                          </InlineStack>
+                        </InlineStack>
+                      </ResourceItem>
+                    )}
+                  />
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Add Reward */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Add Reward</Text>
+                <Form onSubmit={handleCreate}>
+                  <FormLayout>
+                    <TextField
+                      label="Name"
+                      value={name}
+                      onChange={setName}
+                      placeholder="$5 Off Your Order"
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Description"
+                      value={description}
+                      onChange={setDescription}
+                      autoComplete="off"
+                    />
+
+                    <InlineStack gap="400">
+                      <Select
+                        label="Reward Type"
+                        options={REWARD_TYPE_OPTIONS}
+                        value={rewardType}
+                        onChange={setRewardType}
+                      />
+                      <TextField
+                        label="Points Cost"
+                        value={pointsCost}
+                        onChange={setPointsCost}
+                        type="number"
+                        min="1"
+                        suffix="points"
+                        autoComplete="off"
+                      />
+                      {needsValue && (
+                        <TextField
+                          label={rewardType === 'percentage' ? 'Percentage Off' : rewardType === 'gift_card' ? 'Gift Card Value' : 'Amount Off'}
+                          value={value}
+                          onChange={setValue}
+                          type="number"
+                          min="0"
+                          prefix={rewardType === 'percentage' ? undefined : '$'}
+                          suffix={rewardType === 'percentage' ? '%' : undefined}
+                          autoComplete="off"
+                        />
+                      )}
+                    </InlineStack>
+
+                    {rewardType === 'free_product' && (
+                      <InlineStack gap="400">
+                        <TextField
+                          label="Variant ID"
+                          value={variantId}
+                          onChange={setVariantId}
+                          helpText="Give away this variant"
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Product ID"
+                          value={productId}
+                          onChange={setProductId}
+                          helpText="Or any variant of this product, valued at its cheapest variant"
+                          autoComplete="off"
+                        />
+                        <TextField
+                          label="Quantity"
+                          value={quantity}
+                          onChange={setQuantity}
+                          type="number"
+                          min="1"
+                          autoComplete="off"
+                        />
+                      </InlineStack>
+                    )}
+
+                    <InlineStack gap="400">
+                      <TextField
+                        label="Tiers"
+                        value={tiers}
+                        onChange={setTiers}
+                        placeholder="Gold, Platinum"
+                        helpText="Comma-separated; leave empty for all tiers"
+                        autoComplete="off"
+                      />
+                      {rewardType !== 'gift_card' && (
+                        <TextField
+                          label="Minimum Cart"
+                          value={minimumCartAmount}
+                          onChange={setMinimumCartAmount}
+                          type="number"
+                          min="0"
+                          prefix="$"
+                          autoComplete="off"
+                        />
+                      )}
+                      <TextField
+                        label="Code Valid For"
+                        value={codeExpiryDays}
+                        onChange={setCodeExpiryDays}
+                        type="number"
+                        min="1"
+                        suffix="days"
+                        autoComplete="off"
+                      />
+                    </InlineStack>
+
+                    {canTargetCollections && (
+                      <TextField
+                        label="Collection IDs"
+                        value={collectionIds}
+                        onChange={setCollectionIds}
+                        helpText="Comma-separated; the discount only applies to products in these collections. Leave empty for the whole order."
+                        autoComplete="off"
+                      />
+                    )}
+
+                    <InlineStack align="end">
+                      <Button
+                        variant="primary"
+                        onClick={handleCreate}
+                        loading={saving}
+                        disabled={!name || !pointsCost}
+                      >
+                        Add Reward
+                      </Button>
+                    </InlineStack>
+                  </FormLayout>
+                </Form>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </Page>
+    </Frame>
+  );
+};
+
+export default Rewards;
@@ -0,0 +1,229 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Spinner,
+  Banner,
+  BlockStack,
+  InlineStack,
+  Select,
+  DataTable
+} from '@shopify/polaris';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { apiService, SpinAnalytics } from '../services/api.ts';
+
+const PRIZE_TYPE_LABELS: Record<string, string> = {
+  points: 'Points',
+  discount: 'Discount',
+  free_shipping: 'Free shipping'
+};
+
+const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+
+const SpinWheel: React.FC = () => {
+  const [loading, setLoading] = useState(true);
+  const [analytics, setAnalytics] = useState<SpinAnalytics | null>(null);
+  const [days, setDays] = useState('30');
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [days]);
+
+  const loadAnalytics = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const analyticsData = await apiService.getSpinAnalytics(parseInt(days));
+      setAnalytics(analyticsData);
+    } catch (err: any) {
+      setError(err.response?.data?.message || err.message || 'Failed to load spin wheel analytics');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const formatCurrency = (amount: number) => `$${amount.toFixed(2)}`;
+
+  const metricCard = (value: string, label: string) => (
+    <Card>
+      <BlockStack gap="200">
+        <Text variant="heading2xl" as="h3">{value}</Text>
+        <Text variant="bodyMd" as="p" tone="subdued">{label}</Text>
+      </BlockStack>
+    </Card>
+  );
+
+  return (
+    <Page
+      title="Spin Wheel"
+      subtitle="How the wheel is played, what it gives away and the orders it brings back"
+      primaryAction={{
+        content: 'Refresh Data',
+        onAction: loadAnalytics,
+        loading: loading
+      }}
+    >
+      <Layout>
+        {error && (
+          <Layout.Section>
+            <Banner tone="critical" title="Error loading spin wheel analytics">
+              <p>{error}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <InlineStack align="end">
+            <Select
+              label="Period"
+              labelInline
+              options={[
+                { label: 'Last 7 days', value: '7' },
+                { label: 'Last 30 days', value: '30' },
+                { label: 'Last 90 days', value: '90' }
+              ]}
+              value={days}
+              onChange={setDays}
+            />
+          </InlineStack>
+        </Layout.Section>
+
+        {loading ? (
+          <Layout.Section>
+            <Card>
+              <div style={{ textAlign: 'center', padding: '2rem' }}>
+                <Spinner size="large" />
+              </div>
+            </Card>
+          </Layout.Section>
+        ) : analytics && (
+          <>
+            {/* Key Metrics */}
+            <Layout.Section variant="oneThird">
+              {metricCard(analytics.total_spins.toLocaleString(), `Spins by ${analytics.unique_customers} customers`)}
+            </Layout.Section>
+            <Layout.Section variant="oneThird">
+              {metricCard(formatCurrency(analytics.discount_value_redeemed), 'Discount value redeemed')}
+            </Layout.Section>
+            <Layout.Section variant="oneThird">
+              {metricCard(
+                analytics.incremental_orders.orders.toLocaleString(),
+                `Orders with prize codes (${formatCurrency(analytics.incremental_orders.revenue)})`
+              )}
+            </Layout.Section>
+
+            {/* Spins per Day */}
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Spins per Day</Text>
+                  {analytics.spins_per_day.length > 0 ? (
+                    <div style={{ width: '100%', height: 300 }}>
+                      <ResponsiveContainer>
+                        <BarChart data={analytics.spins_per_day} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="date" />
+                          <YAxis allowDecimals={false} />
+                          <Tooltip />
+                          <Bar dataKey="spins" fill="#8884d8" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  ) : (
+                    <Text variant="bodyMd" as="p" tone="subdued" alignment="center">
+                      No spins in this period
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            {/* Prize Distribution */}
+            <Layout.Section variant="oneHalf">
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Prize Distribution</Text>
+                  {analytics.prize_distribution.length > 0 ? (
+                    <div style={{ width: '100%', height: 300 }}>
+                      <ResponsiveContainer>
+                        <PieChart>
+                          <Pie
+                            data={analytics.prize_distribution}
+                            cx="50%"
+                            cy="50%"
+                            labelLine={false}
+                            label={({ name, percent }) => `${name}: ${(percent * 100).toFixed(0)}%`}
+                            outerRadius={80}
+                            dataKey="wins"
+                            nameKey="label"
+                          >
+                            {analytics.prize_distribution.map((entry, index) => (
+                              <Cell key={`cell-${entry.prize_id || index}`} fill={COLORS[index % COLORS.length]} />
+                            ))}
+                          </Pie>
+                          <Tooltip formatter={(value) => [value.toLocaleString(), 'Wins']} />
+                        </PieChart>
+                      </ResponsiveContainer>
+                    </div>
+                  ) : (
+                    <Text variant="bodyMd" as="p" tone="subdued" alignment="center">
+                      No prizes won in this period
+                    </Text>
+                  )}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            {/* Win to Redeem Conversion */}
+            <Layout.Section variant="oneHalf">
+              <Card>
+                <BlockStack gap="400">
+                  <Text variant="headingMd" as="h2">Win to Redeem Conversion</Text>
+                  <DataTable
+                    columnContentTypes={['text', 'numeric', 'numeric', 'numeric', 'numeric']}
+                    headings={['Prize type', 'Won', 'Redeemed', 'Expired', 'Rate']}
+                    rows={analytics.conversion_by_type.map(type => [
+                      PRIZE_TYPE_LABELS[type.prize_type] || type.prize_type,
+                      type.won,
+                      type.redeemed,
+                      type.expired,
+                      `${type.redemption_rate}%`
+                    ])}
+                  />
+                  <Text variant="bodyMd" as="p" tone="subdued">
+                    Points prizes are credited when won ({analytics.points_awarded.toLocaleString()} points in this period).
+                  </Text>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+
+            {/* Incremental Orders */}
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="300">
+                  <Text variant="headingMd" as="h2">Incremental Orders</Text>
+                  <Text variant="bodyMd" as="p">
+                    {analytics.incremental_orders.customers} of {analytics.unique_customers} customers who spun came back
+                    and used their prize ({analytics.incremental_orders.return_rate}%).
+                  </Text>
+                  <Text variant="bodyMd" as="p" tone="subdued">
+                    {analytics.incremental_orders.orders} orders worth {formatCurrency(analytics.incremental_orders.revenue)} after
+                    {' '}{formatCurrency(analytics.incremental_orders.discounts_given)} in prize discounts
+                    {analytics.incremental_orders.average_days_to_return !== null &&
+                      ` • ${analytics.incremental_orders.average_days_to_return} days on average from spin to order`}
+                  </Text>
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          </>
+        )}
+      </Layout>
+    </Page>
+  );
+};
+
+export default SpinWheel;
@@ -45,39 +45,182 @@ export interface CustomerPoints {
   current_balance: number;
   total_earned: number;
   total_redeemed: number;
+  pending_balance: number;
+  points_debt: number;
   tier: string;
+  tier_perks?: TierDefinition;
+  tier_qualifying_stats?: {
+    points?: number;
+    spend?: number;
+    orders?: number;
+  };
+  tier_downgrade_at?: string;
   created_at: string;
   updated_at: string;
 }
 
+export interface EarningBreakdown {
+  line_items_subtotal: number;
+  excluded_subtotal: number;
+  discounts: number;
+  shipping: number;
+  tax: number;
+  earnable_subtotal: number;
+  excluded_items: {
+    line_item_id: string;
+    title: string;
+    amount: number;
+    reason: string;
+  }[];
+}
+
 export interface PointsTransaction {
   id: string;
   customer_id: string;
   transaction_type: 'earned' | 'redeemed' | 'expired' | 'adjusted';
   points: number;
+  status?: 'pending' | 'available';
+  available_at?: string;
+  remaining_points?: number;
+  expires_at?: string;
   description: string;
   order_total?: number;
+  earning_breakdown?: EarningBreakdown;
   metadata?: any;
   created_at: string;
 }
 
+export interface TierChange {
+  id: string;
+  from_tier?: string;
+  to_tier: string;
+  direction?: 'up' | 'down' | 'reassigned';
+  reason: string;
+  qualifying_stats?: {
+    points?: number;
+    spend?: number;
+    orders?: number;
+  };
+  created_at: string;
+}
+
+export interface OutboundWebhook {
+  _id?: string;
+  url: string;
+  events: string[];
+  active: boolean;
+  has_secret?: boolean;
+  secret?: string;
+}
+
+export interface TierDefinition {
+  name: string;
+  threshold: number;
+  min_spend?: number;
+  min_orders?: number;
+  earning_multiplier: number;
+  redemption_bonus: number;
+  badge_color: string;
+}
+
 export interface StoreConfig {
   store_domain: string;
   points_settings: {
     points_per_dollar: number;
     minimum_order_amount: number;
     points_expiry_days: number;
+    extend_expiry_on_activity: boolean;
+    expiry_warnings: {
+      enabled: boolean;
+      days_before: number[];
+    };
     welcome_bonus: number;
     static_points_per_order: number;
     use_static_points: boolean;
+    rounding_mode: 'floor' | 'round' | 'ceil';
+    max_points_per_order: number;
+    earning_base: {
+      include_tax: boolean;
+      include_shipping: boolean;
+      subtract_discounts: boolean;
+      exclude_gift_cards: boolean;
+      excluded_product_tags: string[];
+    };
+    pending_hold: {
+      enabled: boolean;
+      release_event: 'order_created' | 'order_paid' | 'order_fulfilled';
+      hold_days: number;
+    };
+    clawback_policy: 'allow_negative' | 'write_off' | 'block_redemption';
+  };
+  redemption_settings: {
+    points_per_currency_unit: number;
+    minimum_points: number;
+    points_step: number;
+    max_points_per_order: number | null;
   };
   tier_settings: {
-    bronze_threshold: number;
-    silver_threshold: number;
-    gold_threshold: number;
-    platinum_threshold: number;
+    tiers: TierDefinition[];
+    qualification: {
+      mode: 'lifetime' | 'rolling' | 'calendar_year';
+      metric: 'points' | 'spend' | 'orders' | 'combined';
+      combine: 'and' | 'or';
+      spend_source: 'ledger' | 'shopify';
+      window_months: number;
+      downgrade_grace_days: number;
+    };
+    change_emails: {
+      enabled: boolean;
+      include_downgrades: boolean;
+    };
+    // Legacy thresholds, used until a custom ladder is saved
+    bronze_threshold?: number;
+    silver_threshold?: number;
+    gold_threshold?: number;
+    platinum_threshold?: number;
   };
+  tier_ladder?: TierDefinition[];
   spin_wheel_settings: any;
+  outbound_webhooks?: OutboundWebhook[];
+}
+
+export interface Reward {
+  _id: string;
+  name: string;
+  description?: string;
+  reward_type: 'fixed_amount' | 'percentage' | 'free_shipping' | 'free_product' | 'gift_card';
+  points_cost: number;
+  value: number;
+  product?: {
+    product_id?: string;
+    variant_id?: string;
+    quantity: number;
+  };
+  eligible_tiers: string[];
+  minimum_cart_amount: number;
+  collection_ids: string[];
+  code_expiry_days: number;
+  active: boolean;
+  created_at: string;
+}
+
+export interface Campaign {
+  _id: string;
+  name: string;
+  description?: string;
+  starts_at: string;
+  ends_at: string;
+  ended_at?: string;
+  bonus_type: 'multiplier' | 'flat';
+  value: number;
+  audience: {
+    tiers: string[];
+    customer_tags: string[];
+    first_order_only: boolean;
+  };
+  max_points_per_customer: number;
+  status: 'scheduled' | 'active' | 'ended';
+  created_at: string;
 }
 
 export interface Analytics {
@@ -89,6 +232,37 @@ export interface Analytics {
   recent_activity: PointsTransaction[];
 }
 
+export interface SpinAnalytics {
+  period: { since: string; until: string };
+  total_spins: number;
+  unique_customers: number;
+  spins_per_day: { date: string; spins: number; customers: number }[];
+  prize_distribution: {
+    prize_id: string;
+    label: string;
+    type: 'points' | 'discount' | 'free_shipping';
+    wins: number;
+    share: number;
+  }[];
+  conversion_by_type: {
+    prize_type: 'points' | 'discount' | 'free_shipping';
+    won: number;
+    redeemed: number;
+    expired: number;
+    redemption_rate: number;
+  }[];
+  discount_value_redeemed: number;
+  points_awarded: number;
+  incremental_orders: {
+    orders: number;
+    customers: number;
+    revenue: number;
+    discounts_given: number;
+    average_days_to_return: number | null;
+    return_rate: number;
+  };
+}
+
 export interface ShopifyOrder {
   id: string;
   order_number: string;
@@ -137,11 +311,54 @@ class ApiService {
     return response.data.analytics;
   }
 
+  async getSpinAnalytics(days: number = 30): Promise<SpinAnalytics> {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const response = await api.get(`/api/spin/analytics?since=${encodeURIComponent(since)}`);
+    return response.data.analytics;
+  }
+
   async getLeaderboard(limit: number = 10) {
     const response = await api.get(`/api/points/leaderboard?limit=${limit}`);
     return response.data.leaderboard;
   }
 
+  // Campaigns
+  async getCampaigns(status: string = 'all'): Promise<Campaign[]> {
+    const response = await api.get(`/api/points/campaigns?status=${status}`);
+    return response.data.campaigns;
+  }
+
+  async createCampaign(campaign: Partial<Campaign>): Promise<Campaign> {
+    const response = await api.post('/api/points/campaigns', campaign);
+    return response.data.campaign;
+  }
+
+  async endCampaign(campaignId: string): Promise<Campaign> {
+    const response = await api.post(`/api/points/campaigns/${campaignId}/end`);
+    return response.data.campaign;
+  }
+
+  // Rewards catalog
+  async getRewards(): Promise<Reward[]> {
+    const response = await api.get('/api/points/rewards');
+    return response.data.rewards;
+  }
+
+  async createReward(reward: Partial<Reward>): Promise<Reward> {
+    const response = await api.post('/api/points/rewards', reward);
+    return response.data.reward;
+  }
+
+  async updateReward(rewardId: string, reward: Partial<Reward>): Promise<Reward> {
+    const response = await api.put(`/api/points/rewards/${rewardId}`, reward);
+    return response.data.reward;
+  }
+
+  async deleteReward(rewardId: string) {
+    const response = await api.delete(`/api/points/rewards/${rewardId}`);
+    return response.data;
+  }
+
   // Customer Management
   async getCustomerPoints(customerId: string): Promise<CustomerPoints> {
     const response = await api.get(`/api/points/customer/${customerId}`);
@@ -158,12 +375,19 @@ class ApiService {
     return response.data.transactions;
   }
 
-  async awardPoints(customerId: string, points: number, description: string, adminNote?: string) {
+  async getTierHistory(customerId: string, limit: number = 20): Promise<TierChange[]> {
+    const response = await api.get(`/api/points/customer/${customerId}/tier-history?limit=${limit}`);
+    return response.data.tier_history;
+  }
+
+  async awardPoints(customerId: string, points: number, description: string, adminNote?: string, idempotencyKey?: string) {
     const response = await api.post('/api/points/award', {
       customer_id: customerId,
       points,
       description,
       admin_note: adminNote
+    }, {
+      headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : undefined
     });
     return response.data;
   }
@@ -16,10 +16,9 @@ import {
 } from '@shopify/ui-extensions/checkout';
 
 // Configuration
+// Redemption rate, minimum and step come from the store's redemption settings via redemption-options
 const LOYALTY_CONFIG = {
-  apiUrl: 'https://shopify-loyalty-app-1.onrender.com',
-  conversionRate: 100, // 100 points = $1
-  minRedemption: 100
+  apiUrl: 'https://shopify-loyalty-app-1.onrender.com'
 };
 
 export default extension('purchase.checkout.block.render', (root, api) => {
@@ -33,6 +32,8 @@ export default extension('purchase.checkout.block.render', (root, api) => {
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [isRedeemed, setIsRedeemed] = useState(false);
+  // One key per "apply points" attempt, so a retried request can't redeem the points twice
+  const [redemptionKey, setRedemptionKey] = useState(null);
 
   // Load customer points when component mounts or customer changes
   useEffect(() => {
@@ -76,80 +77,87 @@ export default extension('purchase.checkout.block.render', (root, api) => {
     }
   }
 
+  // Discount for a points amount, as priced by the server for this customer
+  function getOptionDiscount(points) {
+    const option = customerPoints?.redemption.options.find(option => option.points === points);
+    return option ? option.discount : 0;
+  }
+
+  // Random key identifying one redemption attempt to the server
+  function createRedemptionKey() {
+    const id = globalThis.crypto?.randomUUID
+      ? globalThis.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    return `checkout-${id}`;
+  }
+
   // Apply points discount function
   async function applyPointsDiscount() {
     const pointsToRedeem = parseInt(selectedPoints);
     
-    if (pointsToRedeem < LOYALTY_CONFIG.minRedemption || !customerPoints) {
+    if (!customerPoints || pointsToRedeem < customerPoints.redemption.redemption_settings.minimum_points) {
       return;
     }
 
+    // Retries of the same attempt reuse its key and get the same code back
+    const idempotencyKey = redemptionKey || createRedemptionKey();
+    setRedemptionKey(idempotencyKey);
+
     setIsLoading(true);
     setMessage(null);
 
     try {
-      // Step 1: Create discount code
-      console.log('[LOYALTY] Creating discount code for', pointsToRedeem, 'points');
+      // Step 1: Redeem the points for a discount code. The server takes the points and creates
+      // the code together, and undoes both if either fails.
+      console.log('[LOYALTY] Redeeming', pointsToRedeem, 'points for a discount code');
       
-      const discountResponse = await fetch(
-        `${LOYALTY_CONFIG.apiUrl}/api/shopify/create-flexible-discount-code`,
+      const redeemResponse = await fetch(
+        `${LOYALTY_CONFIG.apiUrl}/api/points/redeem-for-coupon`,
         {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: {
+            'Content-Type': 'application/json',
+            'Idempotency-Key': idempotencyKey
+          },
           body: JSON.stringify({
+            customer_email: customer.email,
             points: pointsToRedeem,
-            discount_amount: Math.floor(pointsToRedeem / LOYALTY_CONFIG.conversionRate),
-            email: customer.email
+            redemption_source: 'checkout'
           })
         }
       );
 
-      const discountData = await discountResponse.json();
+      const redeemData = await redeemResponse.json();
 
-      if (!discountData.success) {
-        throw new Error(discountData.message || 'Failed to create discount code');
+      if (!redeemData.success) {
+        throw new Error(redeemData.error || 'Failed to redeem points');
       }
 
-      console.log('[LOYALTY] Discount code created:', discountData.discount_code);
+      const discount = redeemData.discount;
+      console.log('[LOYALTY] Discount code created:', discount.code);
 
       // Step 2: Apply discount code to checkout
       const applyResult = await applyDiscountCodeChange({
         type: 'addDiscountCode',
-        code: discountData.discount_code
+        code: discount.code
       });
 
       if (applyResult.type === 'error') {
-        throw new Error('Failed to apply discount code to checkout');
+        // The points are already spent on a working code, so keep it on screen to enter by hand
+        console.warn('[LOYALTY] Could not apply discount code to checkout');
+        setMessage({
+          type: 'info',
+          text: `Redeemed ${pointsToRedeem} points. Enter code ${discount.code} in the discount field for $${discount.amount.toFixed(2)} off.`
+        });
+        return;
       }
 
       console.log('[LOYALTY] Discount code applied to checkout');
 
-      // Step 3: Redeem points in our system
-      const redeemResponse = await fetch(
-        `${LOYALTY_CONFIG.apiUrl}/api/points/redeem-by-email`,
-        {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            email: customer.email,
-            points: pointsToRedeem,
-            description: `Checkout redemption - ${discountData.discount_code}`
-          })
-        }
-      );
-
-      const redeemData = await redeemResponse.json();
-
-      if (!redeemData.success) {
-        console.warn('[LOYALTY] Points redemption failed but discount was applied');
-      }
-
-      console.log('[LOYALTY] Points redeemed successfully');
-
       // Show success message
       setMessage({
         type: 'success',
-        text: `Successfully redeemed ${pointsToRedeem} points for $${discountData.discount_amount.toFixed(2)} discount!`
+        text: `Successfully redeemed ${pointsToRedeem} points for $${discount.amount.toFixed(2)} discount!`
       });
 
       setIsRedeemed(true);
@@ -209,7 +217,7 @@ export default extension('purchase.checkout.block.render', (root, api) => {
         loyaltyContainer.createComponent(
           Banner,
           { status: 'info' },
-          `You have ${customerPoints.redemption.balance} loyalty points. You need at least 100 points to redeem for discounts.`
+          `You have ${customerPoints.redemption.balance} loyalty points. You need at least ${customerPoints.redemption.redemption_settings.minimum_points} points to redeem for discounts.`
         )
       );
       root.appendChild(loyaltyContainer);
@@ -227,7 +235,10 @@ export default extension('purchase.checkout.block.render', (root, api) => {
   const balanceText = loyaltyContainer.createComponent(
     Text,
     { size: 'small', appearance: 'subdued' },
-    `Available: ${customerPoints.redemption.balance} points • 100 points = $1.00`
+    `Available: ${customerPoints.redemption.balance} points • ${customerPoints.redemption.conversion_rate}` +
+      (customerPoints.redemption.pending_balance > 0
+        ? ` • ${customerPoints.redemption.pending_balance} pending`
+        : '')
   );
 
   // Create redemption options for Select component
@@ -247,14 +258,15 @@ export default extension('purchase.checkout.block.render', (root, api) => {
       value: selectedPoints,
       onChange: (value) => {
         setSelectedPoints(value);
+        setRedemptionKey(null); // A different amount is a new attempt
         setMessage(null); // Clear any previous messages
       }
     }
   );
 
   // Apply button
-  const isValidSelection = parseInt(selectedPoints) >= LOYALTY_CONFIG.minRedemption;
-  const discount = isValidSelection ? Math.floor(parseInt(selectedPoints) / LOYALTY_CONFIG.conversionRate) : 0;
+  const isValidSelection = parseInt(selectedPoints) >= customerPoints.redemption.redemption_settings.minimum_points;
+  const discount = isValidSelection ? getOptionDiscount(parseInt(selectedPoints)) : 0;
   
   const applyButton = loyaltyContainer.createComponent(
     Button,
@@ -265,7 +277,7 @@ export default extension('purchase.checkout.block.render', (root, api) => {
       onPress: applyPointsDiscount
     },
     isValidSelection 
-      ? `Apply ${selectedPoints} Points ($${discount}.00 off)`
+      ? `Apply ${selectedPoints} Points ($${discount.toFixed(2)} off)`
       : 'Select points to redeem'
   );
 
@@ -274,7 +286,7 @@ export default extension('purchase.checkout.block.render', (root, api) => {
   if (message) {
     messageComponent = loyaltyContainer.createComponent(
       Banner,
-      { status: message.type === 'success' ? 'success' : 'critical' },
+      { status: message.type === 'error' ? 'critical' : message.type },
       message.text
     );
   }
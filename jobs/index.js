@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const PointsService = require('../services/pointsService');
+const ExpiryWarningService = require('../services/expiryWarningService');
+const SpinWheelService = require('../services/spinWheelService');
+const RedemptionService = require('../services/redemptionService');
+
+// Background jobs, each run on a fixed interval while the database is connected
+// (jobs without an interval only run on demand)
+const jobs = {
+  'release-pending-points': {
+    intervalMs: 60 * 60 * 1000, // Hourly
+    run: () => PointsService.releasePendingPoints()
+  },
+  'expire-points': {
+    intervalMs: 60 * 60 * 1000, // Hourly
+    run: () => PointsService.expirePoints()
+  },
+  'send-expiry-warnings': {
+    intervalMs: 60 * 60 * 1000, // Hourly
+    run: () => ExpiryWarningService.sendExpiryWarnings()
+  },
+  'retier-customers': {
+    intervalMs: null, // On demand, e.g. after tier settings change
+    run: () => PointsService.retierCustomers()
+  },
+  'evaluate-tiers': {
+    intervalMs: 24 * 60 * 60 * 1000, // Daily - rolling windows move and grace periods run out
+    run: () => PointsService.retierCustomers('periodic_review')
+  },
+  'cleanup-spin-prizes': {
+    intervalMs: 60 * 60 * 1000, // Hourly
+    run: () => SpinWheelService.cleanupExpiredPrizes()
+  },
+  'recover-redemptions': {
+    intervalMs: 5 * 60 * 1000, // Every 5 minutes - finish or undo redemptions left half-done
+    run: () => RedemptionService.recoverStaleRedemptions()
+  }
+};
+
+const runningJobs = new Set();
+// Jobs to run again as soon as their current run finishes
+const queuedJobs = new Set();
+let started = false;
+
+// Run a single job by name, skipping it if a previous run is still in progress.
+// With queueIfRunning it runs again once that run finishes instead, so work that depends
+// on something changed mid-run (e.g. tier settings) is not lost.
+const runJob = async (name, { queueIfRunning = false } = {}) => {
+  const job = jobs[name];
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (runningJobs.has(name)) {
+    if (queueIfRunning) {
+      queuedJobs.add(name);
+      console.log(`[JOBS] ${name} is already running, queued another run`);
+      return { queued: true };
+    }
+
+    console.log(`[JOBS] ${name} is already running, skipping`);
+    return { skipped: true };
+  }
+
+  runningJobs.add(name);
+  const startedAt = Date.now();
+
+  try {
+    const result = await job.run();
+    console.log(`[JOBS] ${name} finished in ${Date.now() - startedAt}ms`);
+    return result;
+  } finally {
+    runningJobs.delete(name);
+
+    if (queuedJobs.delete(name)) {
+      runJob(name).catch(error => {
+        console.error(`[JOBS] Queued ${name} run failed:`, error.message);
+      });
+    }
+  }
+};
+
+// Schedule all jobs
+const startJobs = () => {
+  if (started) return;
+  started = true;
+
+  for (const [name, job] of Object.entries(jobs)) {
+    if (!job.intervalMs) continue;
+
+    const timer = setInterval(async () => {
+      if (mongoose.connection.readyState !== 1) {
+        console.log(`[JOBS] Skipping ${name} - database not connected`);
+        return;
+      }
+
+      try {
+        await runJob(name);
+      } catch (error) {
+        console.error(`[JOBS] ${name} failed:`, error.message);
+      }
+    }, job.intervalMs);
+
+    // Don't keep the process alive just for jobs
+    timer.unref();
+
+    console.log(`✅ [JOBS] Scheduled ${name} every ${Math.round(job.intervalMs / 60000)} minutes`);
+  }
+};
+
+module.exports = {
+  jobs,
+  runJob,
+  startJobs
+};
@@ -18,7 +18,7 @@ const customerPointsSchema = new mongoose.Schema({
   current_balance: {
     type: Number,
     default: 0,
-    min: 0
+    description: 'Spendable points; can go negative when clawback_policy is allow_negative'
   },
   total_earned: {
     type: Number,
@@ -30,10 +30,31 @@ const customerPointsSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  pending_balance: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Points earned but still on hold, not yet spendable'
+  },
+  points_debt: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Clawed back points not yet recovered; redemption is blocked while this is above zero'
+  },
   tier: {
     type: String,
-    enum: ['bronze', 'silver', 'gold', 'platinum'],
-    default: 'bronze'
+    default: 'bronze',
+    description: 'Name of the tier from the store tier ladder'
+  },
+  tier_qualifying_stats: {
+    points: Number,
+    spend: Number,
+    orders: Number
+  },
+  tier_downgrade_at: {
+    type: Date,
+    description: 'When a scheduled downgrade takes effect unless the customer requalifies'
   },
   created_at: {
     type: Date,
@@ -67,6 +88,35 @@ const pointsTransactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  status: {
+    type: String,
+    enum: ['pending', 'available'],
+    default: 'available'
+  },
+  available_at: {
+    type: Date,
+    description: 'When pending points are released (unset until the release event happens)'
+  },
+  released_at: Date,
+  reversed_points: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Points of this earn already reversed by cancellations or refunds'
+  },
+  reversed_at: {
+    type: Date,
+    description: 'When a redemption was reversed and its points given back'
+  },
+  remaining_points: {
+    type: Number,
+    min: 0,
+    description: 'Unspent points left in this lot (set once credited points become spendable)'
+  },
+  expires_at: {
+    type: Date,
+    description: 'When the unspent points in this lot expire (unset if points never expire)'
+  },
   order_total: {
     type: Number
   },
@@ -78,7 +128,53 @@ const pointsTransactionSchema = new mongoose.Schema({
     order_number: String,
     promotion_id: String,
     spin_wheel_result: String,
-    admin_note: String
+    admin_note: String,
+    calculation_method: String,
+    note: String,
+    reversal_of: String,
+    reason: String,
+    refund_id: String,
+    written_off_points: Number,
+    tier: String,
+    discount_code: String,
+    discount_amount: Number,
+    price_rule_id: String,
+    redemption_source: String,
+    redemption_rate: Number,
+    redemption_id: String,
+    reward_id: String,
+    reward_name: String,
+    reward_type: String,
+    gift_card_id: String,
+    gift_card_last_characters: String,
+    expires_at: Date,
+    lot_id: String,
+    line_items: [{
+      _id: false,
+      line_item_id: String,
+      title: String,
+      quantity: Number,
+      base_points: Number,
+      multiplier: Number,
+      bonus_points: Number,
+      points: Number,
+      rules: [String]
+    }]
+  },
+  earning_breakdown: {
+    line_items_subtotal: Number,
+    excluded_subtotal: Number,
+    discounts: Number,
+    shipping: Number,
+    tax: Number,
+    earnable_subtotal: Number,
+    excluded_items: [{
+      _id: false,
+      line_item_id: String,
+      title: String,
+      amount: Number,
+      reason: String
+    }]
   },
   created_at: {
     type: Date,
@@ -109,7 +205,23 @@ const storeConfigSchema = new mongoose.Schema({
     points_expiry_days: {
       type: Number,
       default: 365,
-      min: 0
+      min: 0 // 0 = points never expire
+    },
+    extend_expiry_on_activity: {
+      type: Boolean,
+      default: false,
+      description: 'Reset expiry on all unspent points whenever the customer earns or redeems'
+    },
+    expiry_warnings: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      days_before: {
+        type: [Number],
+        default: [30, 7],
+        description: 'Send a warning this many days before a lot of points expires'
+      }
     },
     welcome_bonus: {
       type: Number,
@@ -126,9 +238,192 @@ const storeConfigSchema = new mongoose.Schema({
       type: Boolean,
       default: true,
       description: 'Use static points per order instead of value-based calculation'
+    },
+    rounding_mode: {
+      type: String,
+      enum: ['floor', 'round', 'ceil'],
+      default: 'floor',
+      description: 'How fractional value-based points are rounded'
+    },
+    max_points_per_order: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: 'Maximum points a single order can earn (0 = no cap)'
+    },
+    earning_base: {
+      include_tax: {
+        type: Boolean,
+        default: false
+      },
+      include_shipping: {
+        type: Boolean,
+        default: false
+      },
+      subtract_discounts: {
+        type: Boolean,
+        default: true
+      },
+      exclude_gift_cards: {
+        type: Boolean,
+        default: true
+      },
+      excluded_product_tags: {
+        type: [String],
+        default: ['no-points'],
+        description: 'Products with any of these tags do not earn points'
+      }
+    },
+    pending_hold: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      release_event: {
+        type: String,
+        enum: ['order_created', 'order_paid', 'order_fulfilled'],
+        default: 'order_fulfilled',
+        description: 'Order event that starts the hold countdown'
+      },
+      hold_days: {
+        type: Number,
+        default: 14,
+        min: 0
+      }
+    },
+    clawback_policy: {
+      type: String,
+      enum: ['allow_negative', 'write_off', 'block_redemption'],
+      default: 'allow_negative',
+      description: 'What happens when reversing earned points would push the balance below zero'
+    }
+  },
+  redemption_settings: {
+    points_per_currency_unit: {
+      type: Number,
+      default: 100,
+      min: 1,
+      description: 'Points needed for 1 unit of store currency off (100 = 100 points for $1.00)'
+    },
+    minimum_points: {
+      type: Number,
+      default: 100,
+      min: 0,
+      description: 'Smallest number of points that can be redeemed at once'
+    },
+    points_step: {
+      type: Number,
+      default: 100,
+      min: 1,
+      description: 'Points must be redeemed in multiples of this'
+    },
+    max_points_per_order: {
+      type: Number,
+      default: null,
+      min: 0,
+      description: 'Most points that can be redeemed against one order (empty for no limit, 0 turns redemption off)'
     }
   },
   tier_settings: {
+    // Merchant-defined tier ladder; when empty the legacy thresholds below are used
+    tiers: {
+      type: [{
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        threshold: {
+          type: Number,
+          required: true,
+          min: 0,
+          description: 'Points, spend or orders needed to reach this tier, depending on the qualification metric'
+        },
+        min_spend: {
+          type: Number,
+          default: 0,
+          min: 0,
+          description: 'Spend requirement when qualifying on combined criteria (0 = not required)'
+        },
+        min_orders: {
+          type: Number,
+          default: 0,
+          min: 0,
+          description: 'Order count requirement when qualifying on combined criteria (0 = not required)'
+        },
+        earning_multiplier: {
+          type: Number,
+          default: 1,
+          min: 1,
+          description: 'Multiplier applied to order points earned while in this tier'
+        },
+        redemption_bonus: {
+          type: Number,
+          default: 0,
+          min: 0,
+          description: 'Extra discount value on redemptions, as a percentage'
+        },
+        badge_color: {
+          type: String,
+          default: '#6B7280'
+        }
+      }],
+      default: [],
+      validate: {
+        validator: tiers => new Set(tiers.map(tier => tier.name.toLowerCase())).size === tiers.length,
+        message: 'Tier names must be unique'
+      }
+    },
+    qualification: {
+      mode: {
+        type: String,
+        enum: ['lifetime', 'rolling', 'calendar_year'],
+        default: 'lifetime',
+        description: 'Count activity over the customer lifetime, a rolling window or the current calendar year'
+      },
+      metric: {
+        type: String,
+        enum: ['points', 'spend', 'orders', 'combined'],
+        default: 'points',
+        description: 'Compare tier thresholds against points earned, money spent, order count, or a combination'
+      },
+      combine: {
+        type: String,
+        enum: ['and', 'or'],
+        default: 'and',
+        description: 'With combined criteria, whether a tier needs all or any of its requirements'
+      },
+      spend_source: {
+        type: String,
+        enum: ['ledger', 'shopify'],
+        default: 'ledger',
+        description: 'Take lifetime spend and order count from order totals on the ledger or from the Shopify customer'
+      },
+      window_months: {
+        type: Number,
+        default: 12,
+        min: 1
+      },
+      downgrade_grace_days: {
+        type: Number,
+        default: 30,
+        min: 0,
+        description: 'Days a customer keeps their tier after no longer qualifying'
+      }
+    },
+    change_emails: {
+      enabled: {
+        type: Boolean,
+        default: false,
+        description: 'Email customers when they move up a tier'
+      },
+      include_downgrades: {
+        type: Boolean,
+        default: false,
+        description: 'Also email customers when they drop a tier'
+      }
+    },
     bronze_threshold: {
       type: Number,
       default: 0
@@ -177,18 +472,59 @@ const storeConfigSchema = new mongoose.Schema({
       },
       color: {
         type: String,
-        default: '#3B82F6'
+        default: '#3B82F6',
+        match: [/^#([0-9a-f]{3}|[0-9a-f]{6})$/i, 'Prize color must be a hex color such as #3B82F6']
+      },
+      inventory: {
+        limit: {
+          type: Number,
+          default: null,
+          min: 0,
+          description: 'Wins allowed per period (empty for unlimited). Sold out prizes leave the draw.'
+        },
+        period: {
+          type: String,
+          enum: ['day', 'week', 'month', 'total'],
+          default: 'month'
+        }
       }
     }],
     daily_limit: {
       type: Number,
-      default: 1
+      default: 1,
+      description: 'Spins allowed per customer per day (UTC)'
+    },
+    prize_expiry_days: {
+      type: Number,
+      default: 30,
+      min: 1,
+      description: 'Days a customer has to use a prize they won'
     }
   },
   webhooks_configured: {
     type: Boolean,
     default: false
   },
+  outbound_webhooks: [{
+    url: {
+      type: String,
+      required: true,
+      match: [/^https?:\/\//, 'Webhook URL must start with http:// or https://']
+    },
+    events: {
+      type: [String],
+      default: ['*'],
+      description: 'Event names to deliver, e.g. tier.changed, or * for every event'
+    },
+    secret: {
+      type: String,
+      description: 'Signs each delivery (HMAC-SHA256 of the body in X-Loyalty-Signature)'
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  }],
   active: {
     type: Boolean,
     default: true
@@ -216,6 +552,11 @@ const spinWheelAttemptSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  order_total: Number,
+  prize_id: {
+    type: String,
+    description: 'Prize on the wheel that was won, for inventory counts'
+  },
   prize_type: {
     type: String,
     enum: ['points', 'discount', 'free_shipping'],
@@ -234,6 +575,42 @@ const spinWheelAttemptSchema = new mongoose.Schema({
     default: false
   },
   redeemed_at: Date,
+  transaction_id: {
+    type: String,
+    description: 'Earn transaction that credited a points prize'
+  },
+  discount_code: String,
+  // Saved before the Shopify call so cleanup can find the rule if its id never was
+  price_rule_title: String,
+  price_rule_id: String,
+  discount_code_id: String,
+  redeemed_order_id: String,
+  redeemed_order_total: Number,
+  redeemed_discount_amount: {
+    type: Number,
+    description: 'Discount the prize code took off the order it was used on'
+  },
+  cleaned_up_at: {
+    type: Date,
+    description: 'When an unredeemed prize was expired and its Shopify price rule removed'
+  },
+  fairness: {
+    spin_seed_id: String,
+    server_seed_hash: String,
+    client_seed: String,
+    nonce: Number,
+    roll: {
+      type: Number,
+      description: 'Number in [0, 1) from HMAC-SHA256(server_seed, client_seed:nonce) that picked the prize'
+    },
+    // Prizes in the draw, in wheel order, with the weights used (sold out prizes are left out)
+    draw: [{
+      _id: false,
+      prize_id: String,
+      label: String,
+      probability: Number
+    }]
+  },
   expires_at: {
     type: Date,
     required: true
@@ -246,21 +623,568 @@ const spinWheelAttemptSchema = new mongoose.Schema({
   timestamps: { createdAt: 'created_at', updatedAt: false }
 });
 
+// Earning Rule Schema (product, collection and tag based points rules)
+const earningRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  target_type: {
+    type: String,
+    enum: ['product', 'variant', 'sku', 'collection', 'tag'],
+    required: true
+  },
+  target_values: {
+    type: [String],
+    validate: {
+      validator: values => values.length > 0,
+      message: 'At least one target value is required'
+    }
+  },
+  action: {
+    type: String,
+    enum: ['multiplier', 'exclude', 'bonus_per_unit'],
+    required: true
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Multiplier for multiplier rules, points per unit for bonus rules'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Campaign Schema (time-boxed bonus points promotions)
+const campaignSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  starts_at: {
+    type: Date,
+    required: true
+  },
+  ends_at: {
+    type: Date,
+    required: true
+  },
+  ended_at: {
+    type: Date,
+    description: 'Set when a merchant ends the campaign before ends_at'
+  },
+  bonus_type: {
+    type: String,
+    enum: ['multiplier', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    description: 'Points multiplier (e.g. 2 for double points) or flat bonus points per order'
+  },
+  audience: {
+    tiers: {
+      type: [String],
+      default: []
+    },
+    customer_tags: {
+      type: [String],
+      default: []
+    },
+    first_order_only: {
+      type: Boolean,
+      default: false
+    }
+  },
+  max_points_per_customer: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Maximum bonus points one customer can earn from this campaign (0 = no cap)'
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+// Rewards catalog - what customers can spend points on
+const rewardSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  reward_type: {
+    type: String,
+    enum: ['fixed_amount', 'percentage', 'free_shipping', 'free_product', 'gift_card'],
+    required: true
+  },
+  points_cost: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  value: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Amount off, percentage off or gift card balance (not used for free shipping and free products)'
+  },
+  product: {
+    product_id: String,
+    variant_id: {
+      type: String,
+      description: 'Give away this variant; with only a product id, any variant of the product is free'
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
+  eligible_tiers: {
+    type: [String],
+    default: [],
+    description: 'Tiers that can redeem this reward (empty = all tiers)'
+  },
+  minimum_cart_amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  collection_ids: {
+    type: [String],
+    default: [],
+    description: 'Limit an amount or percentage off to products in these collections (empty = whole order)'
+  },
+  code_expiry_days: {
+    type: Number,
+    default: 30,
+    min: 1,
+    description: 'Days the discount code or gift card stays valid after redeeming'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+rewardSchema.index({ active: 1, points_cost: 1 });
+
+// Each reward type needs the fields its Shopify discount or gift card is built from
+rewardSchema.pre('validate', function(next) {
+  if (!Number.isInteger(this.points_cost)) {
+    this.invalidate('points_cost', 'Points cost must be a whole number of points');
+  }
+
+  if (this.reward_type === 'percentage' && !(this.value > 0 && this.value <= 100)) {
+    this.invalidate('value', 'Percentage rewards need a percentage between 1 and 100');
+  } else if (['fixed_amount', 'gift_card'].includes(this.reward_type) && !(this.value > 0)) {
+    this.invalidate('value', 'Amount and gift card rewards need a value above 0');
+  } else if (this.reward_type === 'free_product' && !this.product?.variant_id && !this.product?.product_id) {
+    this.invalidate('product', 'Free product rewards need a product or variant');
+  }
+
+  next();
+});
+
+// A points-for-code redemption, moved through reserved -> code_created -> committed,
+// or rolled_back (points returned, code removed) when a step fails
+const redemptionSchema = new mongoose.Schema({
+  customer_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Where the redemption came from, e.g. cart, checkout or rewards_catalog
+  source: {
+    type: String,
+    required: true
+  },
+  reward_id: String,
+  status: {
+    type: String,
+    enum: ['reserved', 'code_created', 'committed', 'rolled_back'],
+    default: 'reserved'
+  },
+  status_history: [{
+    _id: false,
+    status: String,
+    at: Date,
+    reason: String
+  }],
+  discount_code: String,
+  // Saved before the Shopify calls so rollback can find what was created if the ids never were
+  price_rule_title: String,
+  gift_card_last_characters: String,
+  price_rule_id: String,
+  discount_code_id: String,
+  gift_card_id: String,
+  discount_amount: Number,
+  code_expires_at: Date,
+  transaction_id: String,
+  failure_reason: String,
+  points_restored: {
+    type: Boolean,
+    default: false
+  },
+  // Why the last rollback attempt could not finish; the recovery job retries it
+  rollback_error: String,
+  // Set once when the order the code was used on is cancelled or refunded and the points are given back
+  restored_at: Date,
+  restored_order_id: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+redemptionSchema.index({ status: 1, updated_at: 1 });
+redemptionSchema.index({ discount_code: 1 }, { sparse: true });
+
+// Responses to POSTs sent with an Idempotency-Key, replayed when the same request is retried
+const idempotencyRecordSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    description: 'Endpoint the key was used on, e.g. points.redeem'
+  },
+  request_hash: {
+    type: String,
+    required: true,
+    description: 'SHA-256 of the request params and body, so a key cannot be reused for a different request'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  response_status: Number,
+  response_body: mongoose.Schema.Types.Mixed,
+  locked_at: {
+    type: Date,
+    default: Date.now,
+    description: 'When the current attempt started; a stale lock means that attempt died'
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  minimize: false,
+  timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' }
+});
+
+idempotencyRecordSchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyRecordSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+// Spin wheel prizes must add up to a whole wheel and have values that make sense for their type
+storeConfigSchema.pre('validate', function(next) {
+  if (!this.isModified('spin_wheel_settings')) {
+    return next();
+  }
+
+  const prizes = this.spin_wheel_settings?.prizes || [];
+
+  if (this.spin_wheel_settings.enabled && prizes.length === 0) {
+    this.invalidate('spin_wheel_settings.prizes', 'The spin wheel needs at least one prize');
+  }
+
+  if (prizes.length > 0) {
+    const totalProbability = prizes.reduce((sum, prize) => sum + (prize.probability || 0), 0);
+
+    if (Math.abs(totalProbability - 100) > 0.01) {
+      this.invalidate('spin_wheel_settings.prizes', `Prize probabilities must add up to 100% (currently ${Math.round(totalProbability * 100) / 100}%)`);
+    }
+  }
+
+  prizes.forEach((prize, index) => {
+    const path = `spin_wheel_settings.prizes.${index}.value`;
+
+    if (prize.type === 'points' && !(Number.isInteger(prize.value) && prize.value > 0)) {
+      this.invalidate(path, `${prize.label}: points prizes must be a whole number of points above 0`);
+    } else if (prize.type === 'discount' && !(prize.value > 0 && prize.value <= 100)) {
+      this.invalidate(path, `${prize.label}: discount prizes must be a percentage between 1 and 100`);
+    }
+  });
+
+  next();
+});
+
+// Redemption amounts must line up with the step so that the minimum and maximum can actually be redeemed
+storeConfigSchema.pre('validate', function(next) {
+  if (!this.isModified('redemption_settings')) {
+    return next();
+  }
+
+  const { minimum_points, points_step, max_points_per_order } = this.redemption_settings;
+
+  if (!Number.isInteger(points_step) || !Number.isInteger(minimum_points)) {
+    this.invalidate('redemption_settings.points_step', 'Minimum points and step size must be whole numbers of points');
+  } else if (minimum_points % points_step !== 0) {
+    this.invalidate('redemption_settings.minimum_points', `Minimum points (${minimum_points}) must be a multiple of the step size (${points_step})`);
+  }
+
+  if (max_points_per_order !== null && max_points_per_order !== undefined) {
+    if (max_points_per_order < minimum_points) {
+      this.invalidate('redemption_settings.max_points_per_order', 'Maximum points per order cannot be below the minimum');
+    } else if (max_points_per_order % points_step !== 0) {
+      this.invalidate('redemption_settings.max_points_per_order', `Maximum points per order must be a multiple of the step size (${points_step})`);
+    }
+  }
+
+  next();
+});
+
+campaignSchema.pre('validate', function(next) {
+  if (this.starts_at && this.ends_at && this.ends_at <= this.starts_at) {
+    this.invalidate('ends_at', 'ends_at must be after starts_at');
+  }
+  next();
+});
+
+// Expiry Notice Schema (one record per warning sent for a lot of points)
+const expiryNoticeSchema = new mongoose.Schema({
+  customer_id: {
+    type: String,
+    required: true,
+    index: true
+  },
+  email: {
+    type: String,
+    required: true
+  },
+  lot_id: {
+    type: String,
+    required: true,
+    description: 'Earn transaction whose unspent points are expiring'
+  },
+  days_before: {
+    type: Number,
+    required: true
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['sending', 'sent'],
+    default: 'sending'
+  },
+  transport: String,
+  sent_at: Date,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Spin Seed Schema (server seeds for provably fair spins, committed by hash before use)
+const spinSeedSchema = new mongoose.Schema({
+  customer_id: {
+    type: String,
+    required: true
+  },
+  server_seed: {
+    type: String,
+    required: true,
+    description: 'Kept secret until the seed is rotated'
+  },
+  server_seed_hash: {
+    type: String,
+    required: true,
+    description: 'SHA-256 of the server seed, shown to the customer before they spin'
+  },
+  nonce: {
+    type: Number,
+    default: 0,
+    description: 'Nonce for the next spin with this seed'
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  revealed_at: Date,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
+// Spins a customer has taken on a day (UTC), counted atomically to enforce the daily limit
+const spinDailyCountSchema = new mongoose.Schema({
+  customer_id: {
+    type: String,
+    required: true
+  },
+  day: {
+    type: String,
+    required: true,
+    description: 'UTC date, e.g. 2024-05-01'
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expires_at: {
+    type: Date,
+    required: true
+  }
+});
+
+// Tier Change Schema (history of every tier move)
+const tierChangeSchema = new mongoose.Schema({
+  customer_id: {
+    type: String,
+    required: true
+  },
+  from_tier: String,
+  to_tier: {
+    type: String,
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['up', 'down', 'reassigned'],
+    description: 'Reassigned when the previous tier is no longer on the ladder'
+  },
+  reason: {
+    type: String,
+    required: true,
+    description: 'What triggered the change, e.g. points_earned, periodic_review or tier_settings_changed'
+  },
+  qualifying_stats: {
+    points: Number,
+    spend: Number,
+    orders: Number
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: { createdAt: 'created_at', updatedAt: false }
+});
+
 // Create indexes for better performance
 customerPointsSchema.index({ email: 1, customer_id: 1 });
 pointsTransactionSchema.index({ customer_id: 1, created_at: -1 });
 spinWheelAttemptSchema.index({ customer_id: 1, created_at: -1 });
 spinWheelAttemptSchema.index({ expires_at: 1 });
+// One spin per order
+spinWheelAttemptSchema.index({ order_id: 1 }, { unique: true });
+spinWheelAttemptSchema.index({ discount_code: 1 }, { sparse: true });
+spinWheelAttemptSchema.index({ redeemed: 1, cleaned_up_at: 1, expires_at: 1 });
+spinWheelAttemptSchema.index({ prize_id: 1, created_at: 1 });
+// One active seed per customer
+spinSeedSchema.index({ customer_id: 1 }, { unique: true, partialFilterExpression: { active: true } });
+spinDailyCountSchema.index({ customer_id: 1, day: 1 }, { unique: true });
+spinDailyCountSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+earningRuleSchema.index({ active: 1 });
+campaignSchema.index({ starts_at: 1, ends_at: 1 });
+pointsTransactionSchema.index({ customer_id: 1, 'metadata.promotion_id': 1 });
+pointsTransactionSchema.index({ status: 1, available_at: 1 });
+pointsTransactionSchema.index({ order_id: 1, transaction_type: 1 });
+pointsTransactionSchema.index({ 'metadata.discount_code': 1 });
+pointsTransactionSchema.index({ 'metadata.redemption_id': 1 }, { sparse: true });
+pointsTransactionSchema.index({ customer_id: 1, remaining_points: 1, created_at: 1 });
+pointsTransactionSchema.index({ expires_at: 1, remaining_points: 1 });
+// A lot whose expiry moved (activity extends expiry) can be warned again for the new date
+expiryNoticeSchema.index({ lot_id: 1, days_before: 1, expires_at: 1 }, { unique: true });
+tierChangeSchema.index({ customer_id: 1, created_at: -1 });
 
 // Create models
 const CustomerPoints = mongoose.model('CustomerPoints', customerPointsSchema);
 const PointsTransaction = mongoose.model('PointsTransaction', pointsTransactionSchema);
 const StoreConfig = mongoose.model('StoreConfig', storeConfigSchema);
 const SpinWheelAttempt = mongoose.model('SpinWheelAttempt', spinWheelAttemptSchema);
+const EarningRule = mongoose.model('EarningRule', earningRuleSchema);
+const Campaign = mongoose.model('Campaign', campaignSchema);
+const ExpiryNotice = mongoose.model('ExpiryNotice', expiryNoticeSchema);
+const TierChange = mongoose.model('TierChange', tierChangeSchema);
+const SpinSeed = mongoose.model('SpinSeed', spinSeedSchema);
+const SpinDailyCount = mongoose.model('SpinDailyCount', spinDailyCountSchema);
+const Reward = mongoose.model('Reward', rewardSchema);
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+const Redemption = mongoose.model('Redemption', redemptionSchema);
 
 module.exports = {
   CustomerPoints,
   PointsTransaction,
   StoreConfig,
-  SpinWheelAttempt
+  SpinWheelAttempt,
+  EarningRule,
+  Campaign,
+  ExpiryNotice,
+  TierChange,
+  SpinSeed,
+  SpinDailyCount,
+  Reward,
+  IdempotencyRecord,
+  Redemption
 };
\ No newline at end of file
@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const PointsService = require('../services/pointsService');
-const { CustomerPoints, PointsTransaction, StoreConfig } = require('../models');
+const CampaignService = require('../services/campaignService');
+const TierService = require('../services/tierService');
+const RewardService = require('../services/rewardService');
+const IdempotencyService = require('../services/idempotencyService');
+const RedemptionService = require('../services/redemptionService');
+const { CustomerPoints, PointsTransaction, StoreConfig, EarningRule, Campaign, TierChange, Reward, Redemption } = require('../models');
 
 // Middleware to check database connection
 const requireDatabase = (req, res, next) => {
@@ -22,6 +27,15 @@ const requireDatabase = (req, res, next) => {
   next();
 };
 
+// Outbound webhooks as shown to the dashboard - secrets are write-only
+const maskWebhookSecrets = (webhooks = []) => webhooks.map(webhook => ({
+  _id: webhook._id,
+  url: webhook.url,
+  events: webhook.events,
+  active: webhook.active,
+  has_secret: !!webhook.secret
+}));
+
 // 0. Points system status (works without database)
 router.get('/status', async (req, res) => {
   const mongoose = require('mongoose');
@@ -81,8 +95,13 @@ router.get('/customer/:customerId/transactions', requireDatabase, async (req, re
         id: t._id,
         transaction_type: t.transaction_type,
         points: t.points,
+        status: t.status,
+        available_at: t.available_at,
+        remaining_points: t.remaining_points,
+        expires_at: t.expires_at,
         description: t.description,
         order_total: t.order_total,
+        earning_breakdown: t.earning_breakdown,
         metadata: t.metadata,
         created_at: t.created_at
       })),
@@ -98,6 +117,40 @@ router.get('/customer/:customerId/transactions', requireDatabase, async (req, re
   }
 });
 
+// Get customer tier history (newest first)
+router.get('/customer/:customerId/tier-history', requireDatabase, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { limit = 20 } = req.query;
+    
+    const changes = await TierChange.find({ customer_id: customerId })
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+    
+    res.json({
+      success: true,
+      customer_id: customerId,
+      tier_history: changes.map(change => ({
+        id: change._id,
+        from_tier: change.from_tier,
+        to_tier: change.to_tier,
+        direction: change.direction,
+        reason: change.reason,
+        qualifying_stats: change.qualifying_stats,
+        created_at: change.created_at
+      })),
+      count: changes.length
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error getting tier history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get tier history',
+      message: error.message
+    });
+  }
+});
+
 // 3. Get customer by email
 router.get('/customer/email/:email', requireDatabase, async (req, res) => {
   try {
@@ -137,36 +190,32 @@ router.get('/customer/email/:email', requireDatabase, async (req, res) => {
 });
 
 // 4. Manually award points (admin function)
-router.post('/award', requireDatabase, async (req, res) => {
+router.post('/award', requireDatabase, IdempotencyService.middleware('points.award'), async (req, res) => {
   try {
-    const { customer_id, points, description, admin_note } = req.body;
+    const { customer_id, description, admin_note } = req.body;
+    const points = Number(req.body.points);
     
-    if (!customer_id || !points || !description) {
+    if (!customer_id || !req.body.points || !description) {
       return res.status(400).json({
         success: false,
         error: 'Missing required fields: customer_id, points, description'
       });
     }
     
-    // Get or create customer
-    let customerPoints = await CustomerPoints.findOne({ customer_id });
-    
-    if (!customerPoints) {
-      customerPoints = new CustomerPoints({
-        customer_id,
-        email: `customer_${customer_id}@unknown.com`,
-        current_balance: 0,
-        total_earned: 0,
-        total_redeemed: 0
+    if (!Number.isInteger(points) || points <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'points must be a positive whole number'
       });
     }
     
-    // Award points
-    customerPoints.current_balance += points;
-    customerPoints.total_earned += points;
-    customerPoints.tier = PointsService.calculateTier(customerPoints.total_earned);
+    // Award points, creating the customer if needed, and pay off any clawback debt first
+    let customerPoints = await PointsService.creditPoints(customer_id, points);
+    const settledDebt = await PointsService.settlePointsDebt(customer_id);
     
-    await customerPoints.save();
+    if (settledDebt > 0) {
+      customerPoints = await CustomerPoints.findOne({ customer_id });
+    }
     
     // Record transaction
     await PointsService.recordTransaction({
@@ -179,6 +228,19 @@ router.post('/award', requireDatabase, async (req, res) => {
       }
     });
     
+    // Points used to pay off the debt come out of the new lot
+    if (settledDebt > 0) {
+      await PointsService.consumeLots(customer_id, settledDebt);
+    }
+    
+    // Re-evaluate tier now the award is on the ledger
+    const config = await PointsService.getStoreConfig();
+    await TierService.evaluateCustomer(customerPoints, config, { reason: 'manual_award' });
+    
+    if (customerPoints.isModified()) {
+      await customerPoints.save();
+    }
+    
     res.json({
       success: true,
       message: 'Points awarded successfully',
@@ -207,9 +269,12 @@ router.get('/config', requireDatabase, async (req, res) => {
       config: {
         store_domain: config.store_domain,
         points_settings: config.points_settings,
+        redemption_settings: PointsService.getRedemptionSettings(config),
         tier_settings: config.tier_settings,
+        tier_ladder: PointsService.getTierLadder(config.tier_settings),
         spin_wheel_settings: config.spin_wheel_settings,
         webhooks_configured: config.webhooks_configured,
+        outbound_webhooks: maskWebhookSecrets(config.outbound_webhooks),
         active: config.active
       }
     });
@@ -226,14 +291,19 @@ router.get('/config', requireDatabase, async (req, res) => {
 // 6. Update store configuration
 router.put('/config', requireDatabase, async (req, res) => {
   try {
-    const { points_settings, tier_settings, spin_wheel_settings } = req.body;
+    const { points_settings, redemption_settings, tier_settings, spin_wheel_settings, outbound_webhooks } = req.body;
     
     const config = await PointsService.getStoreConfig();
+    const previousTierSettings = JSON.stringify(config.tier_settings);
     
     if (points_settings) {
       config.points_settings = { ...config.points_settings, ...points_settings };
     }
     
+    if (redemption_settings) {
+      config.redemption_settings = { ...config.redemption_settings, ...redemption_settings };
+    }
+    
     if (tier_settings) {
       config.tier_settings = { ...config.tier_settings, ...tier_settings };
     }
@@ -242,19 +312,50 @@ router.put('/config', requireDatabase, async (req, res) => {
       config.spin_wheel_settings = { ...config.spin_wheel_settings, ...spin_wheel_settings };
     }
     
+    if (outbound_webhooks) {
+      // Secrets are never sent back to the dashboard, so keep the stored one unless a new one is given
+      config.outbound_webhooks = outbound_webhooks.map(webhook => {
+        const existing = webhook._id && config.outbound_webhooks.id(webhook._id);
+        return { ...webhook, secret: webhook.secret || existing?.secret };
+      });
+    }
+    
     await config.save();
     
+    // Move existing customers onto the new tier rules in the background. A run already
+    // in progress may have read the old settings, so another run follows it.
+    const tierSettingsChanged = JSON.stringify(config.tier_settings) !== previousTierSettings;
+    
+    if (tierSettingsChanged) {
+      const { runJob } = require('../jobs');
+      runJob('retier-customers', { queueIfRunning: true }).catch(error => {
+        console.error('[POINTS API] Re-tiering after tier settings change failed:', error.message);
+      });
+    }
+    
     res.json({
       success: true,
       message: 'Store configuration updated',
+      retier_started: tierSettingsChanged,
       config: {
         points_settings: config.points_settings,
+        redemption_settings: PointsService.getRedemptionSettings(config),
         tier_settings: config.tier_settings,
-        spin_wheel_settings: config.spin_wheel_settings
+        spin_wheel_settings: config.spin_wheel_settings,
+        outbound_webhooks: maskWebhookSecrets(config.outbound_webhooks)
       }
     });
   } catch (error) {
     console.error('[POINTS API] Error updating config:', error);
+    
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid store configuration',
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to update store configuration',
@@ -547,7 +648,7 @@ router.post('/validate-redemption', requireDatabase, async (req, res) => {
 });
 
 // Redeem points for discount
-router.post('/redeem', requireDatabase, async (req, res) => {
+router.post('/redeem', requireDatabase, IdempotencyService.middleware('points.redeem'), async (req, res) => {
   try {
     const { customer_id, points, order_id, description } = req.body;
     
@@ -581,7 +682,7 @@ router.post('/redeem', requireDatabase, async (req, res) => {
 });
 
 // Redeem points by email
-router.post('/redeem-by-email', requireDatabase, async (req, res) => {
+router.post('/redeem-by-email', requireDatabase, IdempotencyService.middleware('points.redeem_by_email'), async (req, res) => {
   try {
     const { email, points, order_id, description } = req.body;
     
@@ -629,9 +730,10 @@ router.post('/redeem-by-email', requireDatabase, async (req, res) => {
 // Add these routes to your routes/points.js file
 
 // Complete coupon redemption flow
-router.post('/redeem-for-coupon', requireDatabase, async (req, res) => {
+router.post('/redeem-for-coupon', requireDatabase, IdempotencyService.middleware('points.redeem_for_coupon'), async (req, res) => {
   try {
-    const { customer_email, points, redemption_source = 'cart' } = req.body;
+    const { customer_email, redemption_source = 'cart' } = req.body;
+    const points = parseInt(req.body.points);
     
     if (!customer_email || !points) {
       return res.status(400).json({
@@ -665,46 +767,48 @@ router.post('/redeem-for-coupon', requireDatabase, async (req, res) => {
       });
     }
 
-    // Step 3: Create Shopify discount code
-    const axios = require('axios');
-    const discountResponse = await axios.post(
-      `${process.env.APP_URL}/api/shopify/create-loyalty-discount`,
-      {
-        customer_id: customer.customer_id,
-        customer_email: customer_email,
-        points: points,
-        redemption_source: redemption_source
-      }
-    );
+    // Steps 3-5: Reserve the points, create the Shopify discount code, then record the transaction.
+    // A failed step undoes the earlier ones, so the code and the points can't go separate ways.
+    const config = await PointsService.getStoreConfig();
+    const tier = PointsService.getTier(customer.tier, config.tier_settings);
+    const coupon = PointsService.buildCouponDiscount(points, PointsService.getRedemptionSettings(config), tier.redemption_bonus);
 
-    if (!discountResponse.data.success) {
-      throw new Error('Failed to create discount code: ' + discountResponse.data.error);
-    }
+    const result = await RedemptionService.redeem({
+      customerId: customer.customer_id,
+      points,
+      source: redemption_source,
+      issueCode: async (redemption) => {
+        const discount = await RedemptionService.issueDiscountCode(redemption, coupon.price_rule, coupon.code);
+        console.log(`[POINTS] Discount code created: ${discount.code}`);
 
-    const discountData = discountResponse.data;
-    console.log(`[POINTS] Discount code created: ${discountData.discount_code}`);
+        return {
+          ...discount,
+          discount_amount: coupon.discount_amount,
+          expires_at: coupon.expires_at
+        };
+      },
+      describeTransaction: (issued) => ({
+        description: `Coupon redemption: ${coupon.code}`,
+        metadata: {
+          discount_code: coupon.code,
+          discount_amount: coupon.discount_amount,
+          price_rule_id: issued.price_rule_id,
+          redemption_source: redemption_source,
+          expires_at: coupon.expires_at.toISOString()
+        }
+      })
+    });
 
-    // Step 4: Deduct points from customer account
-    customer.current_balance -= points;
-    customer.total_redeemed += points;
-    customer.tier = PointsService.calculateTier(customer.total_earned);
-    
-    await customer.save();
+    if (!result.success) {
+      // Another redemption spent the points after step 2
+      return res.status(409).json({
+        success: false,
+        error: result.error,
+        points_requested: points
+      });
+    }
 
-    // Step 5: Record transaction
-    await PointsService.recordTransaction({
-      customer_id: customer.customer_id,
-      transaction_type: 'redeemed',
-      points: points,
-      description: `Coupon redemption: ${discountData.discount_code}`,
-      metadata: {
-        discount_code: discountData.discount_code,
-        discount_amount: discountData.discount_amount,
-        price_rule_id: discountData.price_rule_id,
-        redemption_source: redemption_source,
-        expires_at: discountData.expires_at
-      }
-    });
+    const updatedCustomer = result.customer;
 
     console.log(`[POINTS] Successfully redeemed ${points} points for ${customer_email}`);
 
@@ -713,19 +817,20 @@ router.post('/redeem-for-coupon', requireDatabase, async (req, res) => {
       success: true,
       message: 'Points redeemed successfully for discount code',
       redemption: {
+        id: result.redemption._id.toString(),
         customer_id: customer.customer_id,
         customer_email: customer_email,
         points_redeemed: points,
-        new_balance: customer.current_balance,
-        new_tier: customer.tier,
-        total_redeemed: customer.total_redeemed
+        new_balance: updatedCustomer.current_balance,
+        new_tier: updatedCustomer.tier,
+        total_redeemed: updatedCustomer.total_redeemed
       },
       discount: {
-        code: discountData.discount_code,
-        amount: discountData.discount_amount,
-        expires_at: discountData.expires_at,
-        instructions: discountData.instructions,
-        minimum_cart_value: discountData.minimum_cart_value
+        code: coupon.code,
+        amount: coupon.discount_amount,
+        expires_at: coupon.expires_at.toISOString(),
+        instructions: `Use code "${coupon.code}" at checkout for $${coupon.discount_amount.toFixed(2)} off`,
+        minimum_cart_value: coupon.discount_amount
       },
       redemption_source: redemption_source,
       created_at: new Date().toISOString()
@@ -741,6 +846,34 @@ router.post('/redeem-for-coupon', requireDatabase, async (req, res) => {
   }
 });
 
+// List redemptions, e.g. ?status=rolled_back to see what failed and was undone
+router.get('/redemptions', requireDatabase, async (req, res) => {
+  try {
+    const { status, customer_id, limit = 50 } = req.query;
+    const query = {};
+    
+    if (status) query.status = status;
+    if (customer_id) query.customer_id = customer_id;
+    
+    const redemptions = await Redemption.find(query)
+      .sort({ created_at: -1 })
+      .limit(Math.min(parseInt(limit) || 50, 200));
+    
+    res.json({
+      success: true,
+      redemptions,
+      count: redemptions.length
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error listing redemptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list redemptions',
+      message: error.message
+    });
+  }
+});
+
 // Get customer's discount code history
 router.get('/customer/:customerId/discount-codes', requireDatabase, async (req, res) => {
   try {
@@ -791,7 +924,8 @@ router.get('/customer/:customerId/discount-codes', requireDatabase, async (req,
           status: codeStatus,
           created_at: transaction.created_at,
           expires_at: transaction.metadata.expires_at,
-          redemption_source: transaction.metadata.redemption_source || 'unknown'
+          redemption_source: transaction.metadata.redemption_source || 'unknown',
+          reversed_at: transaction.reversed_at || null
         };
       })
     );
@@ -930,17 +1064,20 @@ router.post('/validate-bulk-redemption', requireDatabase, async (req, res) => {
         return {
           points: points,
           valid: validation.valid,
-          discount_amount: validation.valid ? Math.floor(points / 100) : 0,
+          discount_amount: validation.valid ? validation.discount_amount : 0,
           error: validation.error || null
         };
       })
     );
 
+    const config = await PointsService.getStoreConfig();
+
     res.json({
       success: true,
       customer_id: customer.customer_id,
       customer_email: customer_email,
       current_balance: customer.current_balance,
+      redemption_settings: PointsService.getRedemptionSettings(config),
       options: validatedOptions.filter(option => option.valid),
       invalid_options: validatedOptions.filter(option => !option.valid)
     });
@@ -955,4 +1092,635 @@ router.post('/validate-bulk-redemption', requireDatabase, async (req, res) => {
   }
 });
 
+// List earning rules
+router.get('/rules', requireDatabase, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const filter = active === undefined ? {} : { active: active === 'true' };
+    
+    const rules = await EarningRule.find(filter).sort({ created_at: -1 });
+    
+    res.json({
+      success: true,
+      rules,
+      count: rules.length
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error listing earning rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list earning rules',
+      message: error.message
+    });
+  }
+});
+
+// Get a single earning rule
+router.get('/rules/:ruleId', requireDatabase, async (req, res) => {
+  try {
+    const rule = await EarningRule.findById(req.params.ruleId);
+    
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Earning rule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error getting earning rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get earning rule',
+      message: error.message
+    });
+  }
+});
+
+// Create earning rule
+router.post('/rules', requireDatabase, async (req, res) => {
+  try {
+    const { name, active, target_type, target_values, action, value } = req.body;
+    
+    const rule = new EarningRule({ name, active, target_type, target_values, action, value });
+    await rule.save();
+    
+    console.log(`[POINTS API] Created earning rule "${rule.name}" (${rule.action} on ${rule.target_type})`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Earning rule created',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid earning rule',
+        message: error.message
+      });
+    }
+    
+    console.error('[POINTS API] Error creating earning rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create earning rule',
+      message: error.message
+    });
+  }
+});
+
+// Update earning rule
+router.put('/rules/:ruleId', requireDatabase, async (req, res) => {
+  try {
+    const rule = await EarningRule.findById(req.params.ruleId);
+    
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Earning rule not found'
+      });
+    }
+    
+    for (const field of ['name', 'active', 'target_type', 'target_values', 'action', 'value']) {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    }
+    
+    await rule.save();
+    
+    res.json({
+      success: true,
+      message: 'Earning rule updated',
+      rule
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid earning rule',
+        message: error.message
+      });
+    }
+    
+    console.error('[POINTS API] Error updating earning rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update earning rule',
+      message: error.message
+    });
+  }
+});
+
+// Delete earning rule
+router.delete('/rules/:ruleId', requireDatabase, async (req, res) => {
+  try {
+    const rule = await EarningRule.findByIdAndDelete(req.params.ruleId);
+    
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Earning rule not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Earning rule "${rule.name}" deleted`
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error deleting earning rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete earning rule',
+      message: error.message
+    });
+  }
+});
+
+// Format campaign with derived status
+const formatCampaign = (campaign) => ({
+  ...campaign.toObject(),
+  status: CampaignService.getStatus(campaign)
+});
+
+// List campaigns
+router.get('/campaigns', requireDatabase, async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+    
+    const campaigns = (await Campaign.find({}).sort({ starts_at: -1 })).map(formatCampaign);
+    const filteredCampaigns = status === 'all'
+      ? campaigns
+      : campaigns.filter(campaign => campaign.status === status);
+    
+    res.json({
+      success: true,
+      campaigns: filteredCampaigns,
+      count: filteredCampaigns.length,
+      filter: { status }
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error listing campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list campaigns',
+      message: error.message
+    });
+  }
+});
+
+// Get campaign with points awarded so far
+router.get('/campaigns/:campaignId', requireDatabase, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.campaignId);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    
+    const stats = await PointsTransaction.aggregate([
+      { $match: { 'metadata.promotion_id': campaign._id.toString() } },
+      {
+        $group: {
+          _id: null,
+          points_awarded: { $sum: '$points' },
+          orders: { $sum: 1 },
+          customers: { $addToSet: '$customer_id' }
+        }
+      }
+    ]);
+    
+    res.json({
+      success: true,
+      campaign: formatCampaign(campaign),
+      stats: {
+        points_awarded: stats[0]?.points_awarded || 0,
+        orders: stats[0]?.orders || 0,
+        customers: stats[0]?.customers.length || 0
+      }
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error getting campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get campaign',
+      message: error.message
+    });
+  }
+});
+
+// Schedule a campaign
+router.post('/campaigns', requireDatabase, async (req, res) => {
+  try {
+    const { name, description, starts_at, ends_at, bonus_type, value, audience, max_points_per_customer } = req.body;
+    
+    const campaign = new Campaign({
+      name,
+      description,
+      starts_at,
+      ends_at,
+      bonus_type,
+      value,
+      audience,
+      max_points_per_customer
+    });
+    await campaign.save();
+    
+    console.log(`[POINTS API] Scheduled campaign "${campaign.name}" (${campaign.starts_at.toISOString()} - ${campaign.ends_at.toISOString()})`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Campaign scheduled',
+      campaign: formatCampaign(campaign)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign',
+        message: error.message
+      });
+    }
+    
+    console.error('[POINTS API] Error creating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign',
+      message: error.message
+    });
+  }
+});
+
+// Update a campaign that has not ended
+router.put('/campaigns/:campaignId', requireDatabase, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.campaignId);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    
+    if (CampaignService.getStatus(campaign) === 'ended') {
+      return res.status(400).json({
+        success: false,
+        error: 'Ended campaigns cannot be changed'
+      });
+    }
+    
+    for (const field of ['name', 'description', 'starts_at', 'ends_at', 'bonus_type', 'value', 'audience', 'max_points_per_customer']) {
+      if (req.body[field] !== undefined) {
+        campaign[field] = req.body[field];
+      }
+    }
+    
+    await campaign.save();
+    
+    res.json({
+      success: true,
+      message: 'Campaign updated',
+      campaign: formatCampaign(campaign)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid campaign',
+        message: error.message
+      });
+    }
+    
+    console.error('[POINTS API] Error updating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update campaign',
+      message: error.message
+    });
+  }
+});
+
+// End a campaign early
+router.post('/campaigns/:campaignId/end', requireDatabase, async (req, res) => {
+  try {
+    const campaign = await Campaign.findById(req.params.campaignId);
+    
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+    
+    if (CampaignService.getStatus(campaign) === 'ended') {
+      return res.status(400).json({
+        success: false,
+        error: 'Campaign has already ended'
+      });
+    }
+    
+    campaign.ended_at = new Date();
+    await campaign.save();
+    
+    console.log(`[POINTS API] Ended campaign "${campaign.name}"`);
+    
+    res.json({
+      success: true,
+      message: 'Campaign ended',
+      campaign: formatCampaign(campaign)
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error ending campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to end campaign',
+      message: error.message
+    });
+  }
+});
+
+// Reward fields merchants can set
+const REWARD_FIELDS = [
+  'name', 'description', 'reward_type', 'points_cost', 'value', 'product', 'eligible_tiers',
+  'minimum_cart_amount', 'collection_ids', 'code_expiry_days', 'active'
+];
+
+// HTTP status for each reason a reward can't be redeemed
+const REWARD_ERROR_STATUS = {
+  not_found: 404,
+  customer_not_found: 404,
+  tier_not_eligible: 403,
+  redemption_blocked: 403,
+  insufficient_points: 400
+};
+
+// Gift card codes are spendable like cash, so a replayed redemption only gets the card's id and last characters
+function redactGiftCardCode(body) {
+  if (body?.redemption?.fulfilment_type !== 'gift_card') {
+    return body;
+  }
+
+  const { code, ...redemption } = body.redemption;
+  return { ...body, redemption: { ...redemption, code_redacted: true } };
+}
+
+// List the rewards catalog
+router.get('/rewards', requireDatabase, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const query = active === undefined ? {} : { active: active === 'true' };
+    
+    const rewards = await Reward.find(query).sort({ points_cost: 1 });
+    
+    res.json({
+      success: true,
+      rewards,
+      count: rewards.length
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error listing rewards:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list rewards',
+      message: error.message
+    });
+  }
+});
+
+// Get a reward with how often it has been redeemed
+router.get('/rewards/:rewardId', requireDatabase, async (req, res) => {
+  try {
+    const reward = await Reward.findById(req.params.rewardId);
+    
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reward not found'
+      });
+    }
+    
+    const stats = await PointsTransaction.aggregate([
+      { $match: { transaction_type: 'redeemed', 'metadata.reward_id': reward._id.toString() } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: 1 },
+          points_redeemed: { $sum: '$points' },
+          customers: { $addToSet: '$customer_id' }
+        }
+      }
+    ]);
+    
+    res.json({
+      success: true,
+      reward,
+      stats: {
+        redemptions: stats[0]?.redemptions || 0,
+        points_redeemed: stats[0]?.points_redeemed || 0,
+        customers: stats[0]?.customers.length || 0
+      }
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error getting reward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get reward',
+      message: error.message
+    });
+  }
+});
+
+// Add a reward to the catalog
+router.post('/rewards', requireDatabase, async (req, res) => {
+  try {
+    const reward = new Reward();
+    
+    for (const field of REWARD_FIELDS) {
+      if (req.body[field] !== undefined) {
+        reward[field] = req.body[field];
+      }
+    }
+    
+    await reward.save();
+    
+    console.log(`[POINTS API] Added reward "${reward.name}" (${reward.reward_type}, ${reward.points_cost} points)`);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Reward created',
+      reward
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reward',
+        message: error.message
+      });
+    }
+    
+    console.error('[POINTS API] Error creating reward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create reward',
+      message: error.message
+    });
+  }
+});
+
+// Update a reward
+router.put('/rewards/:rewardId', requireDatabase, async (req, res) => {
+  try {
+    const reward = await Reward.findById(req.params.rewardId);
+    
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reward not found'
+      });
+    }
+    
+    for (const field of REWARD_FIELDS) {
+      if (req.body[field] !== undefined) {
+        reward[field] = req.body[field];
+      }
+    }
+    
+    await reward.save();
+    
+    res.json({
+      success: true,
+      message: 'Reward updated',
+      reward
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reward',
+        message: error.message
+      });
+    }
+    
+    console.error('[POINTS API] Error updating reward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update reward',
+      message: error.message
+    });
+  }
+});
+
+// Remove a reward from the catalog (codes already issued stay valid)
+router.delete('/rewards/:rewardId', requireDatabase, async (req, res) => {
+  try {
+    const reward = await Reward.findByIdAndDelete(req.params.rewardId);
+    
+    if (!reward) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reward not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: `Reward "${reward.name}" deleted`
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error deleting reward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete reward',
+      message: error.message
+    });
+  }
+});
+
+// Rewards a customer can see, with whether they can redeem each one
+router.get('/customer/:customerId/rewards', requireDatabase, async (req, res) => {
+  try {
+    const catalog = await RewardService.getCustomerCatalog(req.params.customerId);
+    
+    res.json({
+      success: true,
+      ...catalog
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error getting customer rewards:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get rewards',
+      message: error.message
+    });
+  }
+});
+
+// Spend points on a reward and get its discount code or gift card
+router.post('/customer/:customerId/rewards/:rewardId/redeem', requireDatabase, IdempotencyService.middleware('points.redeem_reward', { redactResponse: redactGiftCardCode }), async (req, res) => {
+  try {
+    const { customerId, rewardId } = req.params;
+    
+    const result = await RewardService.redeemReward(customerId, rewardId);
+    
+    if (!result.success) {
+      return res.status(REWARD_ERROR_STATUS[result.code] || 400).json(result);
+    }
+    
+    res.json({
+      success: true,
+      message: 'Reward redeemed',
+      redemption: result
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error redeeming reward:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeem reward',
+      message: error.response?.data?.errors || error.message
+    });
+  }
+});
+
+// Run a background job now (admin function)
+router.post('/jobs/:jobName/run', requireDatabase, async (req, res) => {
+  try {
+    const { runJob, jobs } = require('../jobs');
+    const { jobName } = req.params;
+    
+    if (!jobs[jobName]) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        available_jobs: Object.keys(jobs)
+      });
+    }
+    
+    const result = await runJob(jobName);
+    
+    res.json({
+      success: true,
+      job: jobName,
+      result
+    });
+  } catch (error) {
+    console.error('[POINTS API] Error running job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run job',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -356,6 +356,14 @@ router.post('/webhooks/orders/create', express.raw({ type: 'application/json' })
           console.log('[SHOPIFY] ⚠️  Customer has ID but no email - will use fallback email');
         }
         
+        // Tie any spin wheel prize codes to this order
+        try {
+          const SpinWheelService = require('../services/spinWheelService');
+          await SpinWheelService.redeemPrizesFromOrder(order);
+        } catch (spinError) {
+          console.error('[SHOPIFY] ❌ Error recording spin prize redemption:', spinError.message);
+        }
+        
         const result = await PointsService.processOrder(order);
         
         if (result) {
@@ -413,8 +421,26 @@ router.post('/webhooks/orders/updated', express.raw({ type: 'application/json' }
     try {
       const mongoose = require('mongoose');
       if (mongoose.connection.readyState === 1) {
-        console.log(`[SHOPIFY] TODO: Handle order update for ${order.id} (DB connected)`);
-        // Future: Handle refunds, cancellations, payment status changes
+        const PointsService = require('../services/pointsService');
+        
+        // Start the hold countdown on pending points once the order is paid or fulfilled
+        await PointsService.updatePendingRelease(order);
+        
+        // Take back points for any refunds not processed yet
+        const refundResult = await PointsService.processOrderRefunds(order);
+        
+        if (refundResult.reversed_points > 0) {
+          console.log(`[SHOPIFY] Reversed ${refundResult.reversed_points} points for refunds on order #${order.order_number}`);
+        }
+        
+        // A fully refunded order gives back any points redeemed on it
+        if (order.financial_status === 'refunded') {
+          const restoreResult = await PointsService.restoreRedeemedPoints(order, 'order_refunded');
+          
+          if (restoreResult.restored_points > 0) {
+            console.log(`[SHOPIFY] Restored ${restoreResult.restored_points} redeemed points for refunded order #${order.order_number}`);
+          }
+        }
       } else {
         console.log('[SHOPIFY] Skipping order update processing - database not connected');
       }
@@ -461,8 +487,13 @@ router.post('/webhooks/orders/cancelled', express.raw({ type: 'application/json'
     try {
       const mongoose = require('mongoose');
       if (mongoose.connection.readyState === 1) {
-        console.log(`[SHOPIFY] TODO: Handle cancelled order ${order.id} (DB connected)`);
-        // Future: Deduct points if they were awarded for this order
+        const PointsService = require('../services/pointsService');
+        
+        // Give back redeemed points first so they can cover any clawback below
+        const restoreResult = await PointsService.restoreRedeemedPoints(order);
+        const result = await PointsService.reverseOrderPoints(order);
+        
+        console.log(`[SHOPIFY] Restored ${restoreResult.restored_points} redeemed points and reversed ${result.reversed_points} earned points for cancelled order #${order.order_number}`);
       } else {
         console.log('[SHOPIFY] Skipping cancellation processing - database not connected');
       }
@@ -826,9 +857,9 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
     (function() {
       'use strict';
 
+      // Redemption rate, minimum and step come from the store's redemption settings via redemption-options
       const LOYALTY_CONFIG = {
-        apiUrl: '${APP_URL}',
-        conversionRate: 100
+        apiUrl: '${APP_URL}'
       };
 
       let customerData = null;
@@ -922,7 +953,7 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
               <span style="font-size: 24px;">⭐</span>
               <div>
                 <h3 style="margin: 0; font-size: 18px;">Use Your Loyalty Points</h3>
-                <div style="font-size: 14px; opacity: 0.9;">You have \${data.redemption.balance} points • 100 points = $1.00</div>
+                <div style="font-size: 14px; opacity: 0.9;">You have \${data.redemption.balance} points • \${data.redemption.conversion_rate}</div>
               </div>
             </div>
 
@@ -991,11 +1022,21 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
       function setupWidgetEvents(widgetId, data) {
         const widget = document.getElementById(widgetId);
         let selectedPoints = 0;
+        let selectedDiscount = 0;
+        // One key per redemption attempt, so retrying can't redeem the points twice
+        let redemptionKey = null;
 
         // Handle option selection
         widget.querySelectorAll('.points-option').forEach(button => {
           button.addEventListener('click', function() {
-            selectedPoints = parseInt(this.dataset.points);
+            const points = parseInt(this.dataset.points);
+
+            if (points !== selectedPoints) {
+              // A different amount is a new attempt
+              redemptionKey = null;
+            }
+
+            selectedPoints = points;
             
             // Reset all buttons
             widget.querySelectorAll('.points-option').forEach(btn => {
@@ -1009,12 +1050,12 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
             
             // Update apply button
             const applyBtn = widget.querySelector('#apply-loyalty-btn');
-            const discount = Math.floor(selectedPoints / LOYALTY_CONFIG.conversionRate);
+            selectedDiscount = data.redemption.options.find(option => option.points === selectedPoints).discount;
             applyBtn.disabled = false;
             applyBtn.style.background = 'rgba(255,255,255,0.9)';
             applyBtn.style.color = '#667eea';
             applyBtn.style.cursor = 'pointer';
-            applyBtn.textContent = \`Redeem \${selectedPoints} Points ($\${discount}.00 off)\`;
+            applyBtn.textContent = \`Redeem \${selectedPoints} Points ($\${selectedDiscount.toFixed(2)} off)\`;
           });
         });
 
@@ -1025,33 +1066,30 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
           this.disabled = true;
           this.textContent = 'Creating discount code...';
 
+          // Retries of the same attempt reuse its key and get the same code back
+          redemptionKey = redemptionKey || createRedemptionKey();
+
           try {
-            const discountResponse = await fetch(LOYALTY_CONFIG.apiUrl + '/api/shopify/create-flexible-discount-code', {
+            // The server takes the points and creates the code together, undoing both if either fails
+            const redeemResponse = await fetch(LOYALTY_CONFIG.apiUrl + '/api/points/redeem-for-coupon', {
               method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
+              headers: {
+                'Content-Type': 'application/json',
+                'Idempotency-Key': redemptionKey
+              },
               body: JSON.stringify({
+                customer_email: Shopify.Checkout.customer.email,
                 points: selectedPoints,
-                discount_amount: Math.floor(selectedPoints / LOYALTY_CONFIG.conversionRate),
-                email: Shopify.Checkout.customer.email
+                redemption_source: 'checkout'
               })
             });
 
-            const discountData = await discountResponse.json();
-
-            if (discountData.success) {
-              await fetch(LOYALTY_CONFIG.apiUrl + '/api/points/redeem-by-email', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  email: Shopify.Checkout.customer.email,
-                  points: selectedPoints,
-                  description: 'Checkout redemption - ' + discountData.discount_code
-                })
-              });
+            const redeemData = await redeemResponse.json();
 
+            if (redeemData.success) {
               showMessage(widget, \`
                 <strong>🎉 Discount Code Created!</strong><br>
-                Code: <strong style="font-size: 18px; color: #FFD700;">\${discountData.discount_code}</strong><br>
+                Code: <strong style="font-size: 18px; color: #FFD700;">\${redeemData.discount.code}</strong><br>
                 <small>Copy and paste this code in the discount field ↑</small>
               \`, 'success');
 
@@ -1060,7 +1098,7 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
               }, 15000);
 
             } else {
-              throw new Error(discountData.message || 'Failed to create discount code');
+              throw new Error(redeemData.error || 'Failed to create discount code');
             }
 
           } catch (error) {
@@ -1072,6 +1110,14 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
         });
       }
 
+      // Random key identifying one redemption attempt to the server
+      function createRedemptionKey() {
+        const id = window.crypto && window.crypto.randomUUID
+          ? window.crypto.randomUUID()
+          : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+        return 'checkout-' + id;
+      }
+
       function showMessage(widget, message, type) {
         const messageEl = widget.querySelector('#loyalty-message');
         messageEl.innerHTML = message;
@@ -1113,7 +1159,7 @@ router.get('/checkout-loyalty-script.js', (req, res) => {
             ">
               <div style="font-size: 20px; margin-bottom: 10px;">💰</div>
               <strong style="font-size: 16px; color: #1976d2;">You have \${data.redemption.balance} loyalty points!</strong><br>
-              <small style="color: #1565c0;">You need at least 100 points to redeem for discounts.</small>
+              <small style="color: #1565c0;">You need at least \${data.redemption.redemption_settings.minimum_points} points to redeem for discounts.</small>
             </div>
           \`);
         }
@@ -1240,14 +1286,15 @@ router.get('/checkout-points-widget.js', (req, res) => {
     return;
   }
 
+  // Redemption rate, minimum and step come from the store's redemption settings via redemption-options
   const LOYALTY_CONFIG = {
-    apiUrl: '${APP_URL}',
-    conversionRate: 100, // 100 points = $1
-    minRedemption: 100
+    apiUrl: '${APP_URL}'
   };
 
   let customerData = null;
   let selectedPoints = 0;
+  // One key per redemption attempt, so retrying can't redeem the points twice
+  let redemptionKey = null;
 
   console.log('[LOYALTY] Checkout widget loaded on:', window.location.pathname);
 
@@ -1373,7 +1420,7 @@ router.get('/checkout-points-widget.js', (req, res) => {
             <div>
               <h3 style="margin: 0; font-size: 20px; font-weight: 700;">Use Your Loyalty Points</h3>
               <div style="font-size: 14px; opacity: 0.9; margin-top: 5px;">
-                You have \${data.redemption.balance} points • 100 points = $1.00
+                You have \${data.redemption.balance} points • \${data.redemption.conversion_rate}
               </div>
             </div>
           </div>
@@ -1456,7 +1503,14 @@ router.get('/checkout-points-widget.js', (req, res) => {
     // Handle option selection
     document.querySelectorAll('.points-option').forEach(button => {
       button.addEventListener('click', function() {
-        selectedPoints = parseInt(this.dataset.points);
+        const points = parseInt(this.dataset.points);
+        
+        if (points !== selectedPoints) {
+          // A different amount is a new attempt
+          redemptionKey = null;
+        }
+        
+        selectedPoints = points;
         
         // Reset all buttons
         document.querySelectorAll('.points-option').forEach(btn => {
@@ -1477,17 +1531,23 @@ router.get('/checkout-points-widget.js', (req, res) => {
     document.getElementById('apply-points-btn').addEventListener('click', applyPointsDiscount);
   }
 
+  // Discount for a points amount, as priced by the server for this customer
+  function getSelectedDiscount() {
+    const option = customerData.redemption.options.find(option => option.points === selectedPoints);
+    return option ? option.discount : 0;
+  }
+
   function updateApplyButton() {
     const applyBtn = document.getElementById('apply-points-btn');
     
-    if (selectedPoints >= LOYALTY_CONFIG.minRedemption) {
-      const discount = Math.floor(selectedPoints / LOYALTY_CONFIG.conversionRate);
+    if (selectedPoints >= customerData.redemption.redemption_settings.minimum_points) {
+      const discount = getSelectedDiscount();
       applyBtn.disabled = false;
       applyBtn.style.background = 'rgba(255,255,255,0.9)';
       applyBtn.style.color = '#667eea';
       applyBtn.style.cursor = 'pointer';
       applyBtn.style.fontWeight = 'bold';
-      applyBtn.textContent = \`Redeem \${selectedPoints} Points ($\${discount}.00 Off)\`;
+      applyBtn.textContent = \`Redeem \${selectedPoints} Points ($\${discount.toFixed(2)} Off)\`;
       
       applyBtn.onmouseover = function() {
         this.style.background = 'white';
@@ -1511,44 +1571,40 @@ router.get('/checkout-points-widget.js', (req, res) => {
   }
 
   async function applyPointsDiscount() {
-    if (selectedPoints < LOYALTY_CONFIG.minRedemption) return;
+    if (selectedPoints < customerData.redemption.redemption_settings.minimum_points) return;
 
     const applyBtn = document.getElementById('apply-points-btn');
     applyBtn.disabled = true;
     applyBtn.textContent = 'Creating Discount Code...';
     applyBtn.style.background = 'rgba(255,255,255,0.5)';
 
+    // Retries of the same attempt reuse its key and get the same code back
+    redemptionKey = redemptionKey || createRedemptionKey();
+
     try {
-      // Create discount code
-      const discountResponse = await fetch(LOYALTY_CONFIG.apiUrl + '/api/shopify/create-flexible-discount-code', {
+      // Redeem points for a discount code - the server takes the points and creates the code
+      // together, undoing both if either fails
+      const redeemResponse = await fetch(LOYALTY_CONFIG.apiUrl + '/api/points/redeem-for-coupon', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: {
+          'Content-Type': 'application/json',
+          'Idempotency-Key': redemptionKey
+        },
         body: JSON.stringify({
+          customer_email: Shopify.Checkout.customer.email,
           points: selectedPoints,
-          discount_amount: Math.floor(selectedPoints / LOYALTY_CONFIG.conversionRate),
-          email: Shopify.Checkout.customer.email
+          redemption_source: 'checkout'
         })
       });
 
-      const discountData = await discountResponse.json();
-
-      if (discountData.success) {
-        // Redeem points
-        await fetch(LOYALTY_CONFIG.apiUrl + '/api/points/redeem-by-email', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            email: Shopify.Checkout.customer.email,
-            points: selectedPoints,
-            description: 'Checkout redemption - ' + discountData.discount_code
-          })
-        });
+      const redeemData = await redeemResponse.json();
 
+      if (redeemData.success) {
         showMessage(\`
           <div style="font-size: 20px; margin-bottom: 10px;">🎉</div>
           <strong>Discount Code Created!</strong><br>
           <div style="font-size: 22px; color: #FFD700; margin: 15px 0; font-weight: bold; letter-spacing: 2px;">
-            \${discountData.discount_code}
+            \${redeemData.discount.code}
           </div>
           <div style="font-size: 14px; opacity: 0.9;">
             Copy this code and paste it in the discount field above ↑
@@ -1565,7 +1621,7 @@ router.get('/checkout-points-widget.js', (req, res) => {
         }, 15000);
 
       } else {
-        throw new Error(discountData.message || 'Failed to create discount code');
+        throw new Error(redeemData.error || 'Failed to create discount code');
       }
 
     } catch (error) {
@@ -1577,6 +1633,14 @@ router.get('/checkout-points-widget.js', (req, res) => {
     }
   }
 
+  // Random key identifying one redemption attempt to the server
+  function createRedemptionKey() {
+    const id = window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2);
+    return 'checkout-' + id;
+  }
+
   function showMessage(message, type) {
     const messageEl = document.getElementById('loyalty-message');
     messageEl.innerHTML = message;
@@ -1622,7 +1686,7 @@ router.get('/checkout-points-widget.js', (req, res) => {
             You have \${data.redemption.balance} loyalty points!
           </strong>
           <div style="color: #1565c0; font-size: 14px;">
-            You need at least 100 points to redeem for discounts.
+            You need at least \${data.redemption.redemption_settings.minimum_points} points to redeem for discounts.
           </div>
         </div>
       \`);
@@ -1692,112 +1756,8 @@ router.delete('/script-tag/:id', async (req, res) => {
   }
 });
 
-// Enhanced discount code creation for loyalty system
-// Add these routes to your routes/shopify.js file
-
-// Create loyalty discount code with enhanced features
-router.post('/create-loyalty-discount', async (req, res) => {
-  try {
-    const { customer_id, customer_email, points, redemption_source = 'cart' } = req.body;
-    
-    // Validate input
-    if (!customer_id || !customer_email || !points) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: customer_id, customer_email, points'
-      });
-    }
-
-    if (points < 100 || points % 100 !== 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Points must be a multiple of 100 (minimum 100)'
-      });
-    }
-
-    // Calculate discount amount (100 points = $1)
-    const discountAmount = Math.floor(points / 100);
-    
-    // Generate unique discount code
-    const timestamp = Date.now().toString().slice(-6);
-    const randomSuffix = Math.random().toString(36).substring(2, 6).toUpperCase();
-    const discountCode = `LOYALTY${points}_${timestamp}${randomSuffix}`;
-    
-    console.log(`[LOYALTY] Creating discount code ${discountCode} for ${customer_email}: ${points} points = $${discountAmount}`);
-
-    // Create price rule
-    const now = new Date();
-    const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000); // 24 hours from now
-    
-    const priceRule = {
-      title: `Loyalty Points Redemption - ${points} points`,
-      target_type: 'line_item',
-      target_selection: 'all',
-      allocation_method: 'across',
-      value_type: 'fixed_amount',
-      value: `-${discountAmount}.00`,
-      customer_selection: 'all', // Allow any customer to use the code
-      usage_limit: 1, // Can only be used once
-      once_per_customer: true,
-      starts_at: now.toISOString(),
-      ends_at: expiresAt.toISOString(),
-      // Add some metadata for tracking
-      prerequisite_subtotal_range: {
-        greater_than_or_equal_to: discountAmount.toString() // Minimum cart value = discount amount
-      }
-    };
-
-    // Create the price rule
-    const priceRuleResponse = await shopifyAPI('price_rules.json', 'POST', {
-      price_rule: priceRule
-    });
-
-    const priceRuleId = priceRuleResponse.data.price_rule.id;
-    console.log(`[LOYALTY] Price rule created: ${priceRuleId}`);
-
-    // Create the discount code
-    const discountCodeData = {
-      code: discountCode,
-      usage_count: 0
-    };
-
-    const discountCodeResponse = await shopifyAPI(
-      `price_rules/${priceRuleId}/discount_codes.json`,
-      'POST',
-      { discount_code: discountCodeData }
-    );
-
-    console.log(`[LOYALTY] Discount code created successfully: ${discountCode}`);
-
-    // Prepare response data
-    const responseData = {
-      success: true,
-      discount_code: discountCode,
-      discount_amount: discountAmount,
-      points_redeemed: points,
-      customer_id: customer_id,
-      customer_email: customer_email,
-      expires_at: expiresAt.toISOString(),
-      price_rule_id: priceRuleId,
-      discount_code_id: discountCodeResponse.data.discount_code.id,
-      redemption_source: redemption_source,
-      minimum_cart_value: discountAmount,
-      instructions: `Use code "${discountCode}" at checkout for $${discountAmount}.00 off`,
-      created_at: now.toISOString()
-    };
-
-    res.json(responseData);
-
-  } catch (error) {
-    console.error('[LOYALTY] Error creating discount code:', error.response?.data || error.message);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to create discount code',
-      message: error.response?.data?.errors || error.message,
-      details: error.response?.data
-    });
-  }
-});
+// Loyalty discount code tools. Codes themselves are only created by /api/points/redeem-for-coupon,
+// which takes the points for them.
 
 // Validate discount code (check if it exists and is usable)
 router.get('/validate-discount/:code', async (req, res) => {
@@ -0,0 +1,685 @@
+const express = require('express');
+const router = express.Router();
+const SpinWheelService = require('../services/spinWheelService');
+const SpinFairnessService = require('../services/spinFairnessService');
+const IdempotencyService = require('../services/idempotencyService');
+const { SpinWheelAttempt } = require('../models');
+
+// Middleware to check database connection
+const requireDatabase = (req, res, next) => {
+  const mongoose = require('mongoose');
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not available',
+      message: 'MongoDB connection is not established. Please check your MONGODB_URI environment variable.'
+    });
+  }
+  next();
+};
+
+// HTTP status for each reason a spin is refused
+const INELIGIBLE_STATUS = {
+  disabled: 403,
+  order_not_found: 404,
+  order_cancelled: 400,
+  order_too_small: 403,
+  already_spun: 409,
+  daily_limit: 429,
+  no_prizes: 503
+};
+
+// Stock levels of prizes with an inventory limit
+router.get('/inventory', requireDatabase, async (req, res) => {
+  try {
+    const PointsService = require('../services/pointsService');
+    const config = await PointsService.getStoreConfig();
+
+    const inventory = await SpinWheelService.getPrizeInventory(config.spin_wheel_settings?.prizes || []);
+
+    res.json({
+      success: true,
+      inventory
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error getting prize inventory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get prize inventory',
+      message: error.message
+    });
+  }
+});
+
+// Compare observed prize frequencies with the configured probabilities (admin report)
+router.get('/fairness-report', requireDatabase, async (req, res) => {
+  try {
+    const PointsService = require('../services/pointsService');
+    const { since, until } = req.query;
+
+    const config = await PointsService.getStoreConfig();
+    const report = await SpinFairnessService.getFairnessReport(config.spin_wheel_settings?.prizes || [], {
+      since: since ? new Date(since) : null,
+      until: until ? new Date(until) : null
+    });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error building fairness report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build fairness report',
+      message: error.message
+    });
+  }
+});
+
+// Spin wheel report: spins per day, prize distribution, redemption and orders from prize codes
+router.get('/analytics', requireDatabase, async (req, res) => {
+  try {
+    const SpinAnalyticsService = require('../services/spinAnalyticsService');
+    const { since, until } = req.query;
+
+    const analytics = await SpinAnalyticsService.getAnalytics({
+      since: since ? new Date(since) : undefined,
+      until: until ? new Date(until) : undefined
+    });
+
+    res.json({
+      success: true,
+      analytics
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error getting spin analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get spin analytics',
+      message: error.message
+    });
+  }
+});
+
+// Recompute a spin from its seeds and check the recorded prize
+router.get('/verify/:spinId', requireDatabase, async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { spinId } = req.params;
+
+    const attempt = mongoose.isValidObjectId(spinId) ? await SpinWheelAttempt.findById(spinId) : null;
+
+    if (!attempt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Spin not found'
+      });
+    }
+
+    const verification = await SpinFairnessService.verifyAttempt(attempt);
+
+    res.json({
+      success: true,
+      spin_id: attempt._id,
+      verification
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error verifying spin:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify spin',
+      message: error.message
+    });
+  }
+});
+
+// Hash of the server seed the customer's next spins will use
+router.get('/:customerId/seed', requireDatabase, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const seed = await SpinFairnessService.getActiveSeed(customerId);
+
+    res.json({
+      success: true,
+      customer_id: customerId,
+      server_seed_hash: seed.server_seed_hash,
+      next_nonce: seed.nonce
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error getting spin seed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get spin seed',
+      message: error.message
+    });
+  }
+});
+
+// Reveal the current server seed so past spins can be checked, and commit a new one
+router.post('/:customerId/seed/rotate', requireDatabase, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const result = await SpinFairnessService.rotateSeed(customerId);
+
+    res.json({
+      success: true,
+      customer_id: customerId,
+      ...result
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error rotating spin seed:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate spin seed',
+      message: error.message
+    });
+  }
+});
+
+// Wheel layout for the storefront widget (no odds or inventory)
+router.get('/wheel', requireDatabase, async (req, res) => {
+  try {
+    const PointsService = require('../services/pointsService');
+    const config = await PointsService.getStoreConfig();
+    const settings = config.spin_wheel_settings || {};
+
+    res.json({
+      success: true,
+      wheel: {
+        enabled: !!settings.enabled,
+        min_order_amount: settings.min_order_amount || 0,
+        prize_expiry_days: settings.prize_expiry_days,
+        prizes: (settings.prizes || []).map(prize => ({
+          id: prize._id,
+          type: prize.type,
+          label: prize.label,
+          color: prize.color
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error getting wheel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get spin wheel',
+      message: error.message
+    });
+  }
+});
+
+// Storefront widget: draws the wheel on the order status / thank you page for eligible orders
+router.get('/spin-wheel-widget.js', (req, res) => {
+  res.setHeader('Content-Type', 'application/javascript');
+  res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
+
+  const script = `
+// Loyalty Spin Wheel Widget
+(function() {
+  'use strict';
+
+  var SPIN_CONFIG = {
+    apiUrl: ${JSON.stringify(process.env.APP_URL || '')},
+    spinDurationMs: 5000,
+    size: 300
+  };
+
+  var SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Order status and thank you pages expose the order as Shopify.checkout
+  function getOrder() {
+    var checkout = window.Shopify && window.Shopify.checkout;
+    if (!checkout || !checkout.order_id || !checkout.customer_id) return null;
+    return { orderId: String(checkout.order_id), customerId: String(checkout.customer_id) };
+  }
+
+  function request(path, options) {
+    return fetch(SPIN_CONFIG.apiUrl + '/api/spin' + path, options).then(function(response) {
+      return response.json().then(function(data) {
+        data.status = response.status;
+        return data;
+      });
+    });
+  }
+
+  // Client seed made in the browser, so the customer has a say in the roll. Kept per order,
+  // so a retried spin sends the same request.
+  function getClientSeed(orderId) {
+    var storageKey = 'loyalty-spin-client-seed-' + orderId;
+    var seed = null;
+
+    try { seed = window.localStorage.getItem(storageKey); } catch (e) {}
+
+    if (!seed) {
+      var bytes = new Uint8Array(16);
+      window.crypto.getRandomValues(bytes);
+      seed = Array.prototype.map.call(bytes, function(byte) { return ('0' + byte.toString(16)).slice(-2); }).join('');
+
+      try { window.localStorage.setItem(storageKey, seed); } catch (e) {}
+    }
+
+    return seed;
+  }
+
+  function initializeWidget() {
+    var order = getOrder();
+    if (!order) {
+      console.log('[SPIN] Not an order status page, skipping widget');
+      return;
+    }
+
+    if (document.getElementById('loyalty-spin-widget')) return;
+
+    Promise.all([
+      request('/wheel'),
+      request('/' + encodeURIComponent(order.customerId) + '/eligibility?order_id=' + encodeURIComponent(order.orderId)),
+      request('/' + encodeURIComponent(order.customerId) + '/seed')
+    ]).then(function(results) {
+      var wheel = results[0].wheel;
+      var eligibility = results[1];
+      var seed = results[2];
+
+      if (!wheel || !wheel.enabled || wheel.prizes.length === 0) return;
+
+      if (!eligibility.eligible) {
+        console.log('[SPIN] Order not eligible for a spin:', eligibility.code);
+        return;
+      }
+
+      if (!seed.server_seed_hash) {
+        console.log('[SPIN] No server seed committed, skipping widget');
+        return;
+      }
+
+      injectWidget(order, wheel, {
+        serverSeedHash: seed.server_seed_hash,
+        clientSeed: getClientSeed(order.orderId)
+      });
+    }).catch(function(error) {
+      console.error('[SPIN] Error loading spin wheel:', error);
+    });
+  }
+
+  function el(tag, styles, text) {
+    var node = document.createElement(tag);
+    if (styles) node.style.cssText = styles;
+    if (text) node.textContent = text;
+    return node;
+  }
+
+  // Draw equal segments in prize order, each in its configured color
+  function drawWheel(prizes) {
+    var size = SPIN_CONFIG.size;
+    var radius = size / 2;
+    var segmentAngle = 360 / prizes.length;
+
+    var svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('width', size);
+    svg.setAttribute('height', size);
+    svg.setAttribute('viewBox', '0 0 ' + size + ' ' + size);
+    svg.style.cssText = 'transition: transform ' + SPIN_CONFIG.spinDurationMs + 'ms cubic-bezier(0.17, 0.67, 0.12, 0.99); transform-origin: 50% 50%;';
+
+    prizes.forEach(function(prize, index) {
+      var start = (index * segmentAngle - 90) * Math.PI / 180;
+      var end = ((index + 1) * segmentAngle - 90) * Math.PI / 180;
+      var largeArc = segmentAngle > 180 ? 1 : 0;
+
+      var path = document.createElementNS(SVG_NS, 'path');
+      path.setAttribute('d', [
+        'M', radius, radius,
+        'L', radius + radius * Math.cos(start), radius + radius * Math.sin(start),
+        'A', radius, radius, 0, largeArc, 1, radius + radius * Math.cos(end), radius + radius * Math.sin(end),
+        'Z'
+      ].join(' '));
+      path.setAttribute('fill', prize.color || '#3B82F6');
+      path.setAttribute('stroke', '#ffffff');
+      path.setAttribute('stroke-width', '2');
+      svg.appendChild(path);
+
+      var labelAngle = index * segmentAngle + segmentAngle / 2;
+      var text = document.createElementNS(SVG_NS, 'text');
+      text.setAttribute('x', radius);
+      text.setAttribute('y', radius * 0.3);
+      text.setAttribute('fill', '#ffffff');
+      text.setAttribute('font-size', '14');
+      text.setAttribute('font-weight', 'bold');
+      text.setAttribute('text-anchor', 'middle');
+      text.setAttribute('transform', 'rotate(' + labelAngle + ' ' + radius + ' ' + radius + ')');
+      text.textContent = prize.label;
+      svg.appendChild(text);
+    });
+
+    return svg;
+  }
+
+  function injectWidget(order, wheel, fairness) {
+    var container = el('div', [
+      'background: linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      'color: white',
+      'border-radius: 15px',
+      'padding: 25px',
+      'margin: 25px 0',
+      'text-align: center',
+      "font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif",
+      'box-shadow: 0 10px 30px rgba(102, 126, 234, 0.3)'
+    ].join(';'));
+    container.id = 'loyalty-spin-widget';
+
+    container.appendChild(el('h3', 'margin: 0 0 5px; font-size: 20px; font-weight: 700;', 'Spin to win!'));
+    container.appendChild(el('div', 'font-size: 14px; opacity: 0.9; margin-bottom: 20px;', 'Thanks for your order - you have earned a free spin.'));
+
+    var wheelHolder = el('div', 'position: relative; display: inline-block; width: ' + SPIN_CONFIG.size + 'px; height: ' + SPIN_CONFIG.size + 'px;');
+    var pointer = el('div', 'position: absolute; top: -12px; left: 50%; transform: translateX(-50%); width: 0; height: 0; border-left: 12px solid transparent; border-right: 12px solid transparent; border-top: 24px solid #FFD700; z-index: 2;');
+    var svg = drawWheel(wheel.prizes);
+    wheelHolder.appendChild(pointer);
+    wheelHolder.appendChild(svg);
+    container.appendChild(wheelHolder);
+
+    // The server commits to its seed before the spin; the customer can check it afterwards
+    container.appendChild(el('div', 'font-size: 11px; opacity: 0.75; margin-top: 15px; word-break: break-all;',
+      'Provably fair - server seed hash ' + fairness.serverSeedHash + ', your seed ' + fairness.clientSeed));
+
+    var button = el('button', 'display: block; width: 100%; margin-top: 20px; background: white; color: #667eea; border: none; padding: 16px; border-radius: 12px; font-size: 18px; font-weight: bold; cursor: pointer; text-transform: uppercase; letter-spacing: 1px;', 'Spin the wheel');
+    var message = el('div', 'margin-top: 20px; font-size: 15px; display: none;');
+    container.appendChild(button);
+    container.appendChild(message);
+
+    var target = document.querySelector('.step__sections') || document.querySelector('.main__content') || document.querySelector('main') || document.body;
+    target.insertBefore(container, target.firstChild);
+
+    button.addEventListener('click', function() {
+      button.disabled = true;
+      button.style.cursor = 'not-allowed';
+      button.textContent = 'Spinning...';
+
+      request('/' + encodeURIComponent(order.customerId), {
+        method: 'POST',
+        // A retried request gets the original result back. The seed is part of the key, since the
+        // request body includes it and another browser (or cleared storage) sends a different one
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'spin-' + order.orderId + '-' + fairness.clientSeed },
+        body: JSON.stringify({ order_id: order.orderId, client_seed: fairness.clientSeed })
+      }).then(function(result) {
+        if (!result.success) {
+          throw new Error(result.error || 'Spin failed');
+        }
+
+        var index = wheel.prizes.findIndex(function(prize) { return prize.id === result.prize.id; });
+        var segmentAngle = 360 / wheel.prizes.length;
+
+        // Land the winning segment under the pointer after a few full turns
+        var landing = 360 - (Math.max(index, 0) * segmentAngle + segmentAngle / 2);
+        svg.style.transform = 'rotate(' + (5 * 360 + landing) + 'deg)';
+
+        setTimeout(function() {
+          showPrize(result, button, message);
+          showVerification(result, fairness, message);
+        }, SPIN_CONFIG.spinDurationMs);
+      }).catch(function(error) {
+        console.error('[SPIN] Error spinning:', error);
+        button.textContent = 'Spin unavailable';
+        message.style.display = 'block';
+        message.textContent = error.message;
+      });
+    });
+  }
+
+  function showPrize(result, button, message) {
+    button.style.display = 'none';
+    message.style.display = 'block';
+    message.textContent = '';
+
+    message.appendChild(el('div', 'font-size: 22px; font-weight: bold; margin-bottom: 10px;', 'You won ' + result.prize.label + '!'));
+
+    if (result.discount_code) {
+      message.appendChild(el('div', 'font-size: 24px; color: #FFD700; font-weight: bold; letter-spacing: 2px; margin: 10px 0;', result.discount_code));
+      message.appendChild(el('div', 'font-size: 14px; opacity: 0.9;',
+        'Use this code on your next order before ' + new Date(result.expires_at).toLocaleDateString() + '.'));
+    } else if (result.new_balance !== null && result.new_balance !== undefined) {
+      message.appendChild(el('div', 'font-size: 14px; opacity: 0.9;',
+        'The points are already in your account. New balance: ' + result.new_balance + ' points.'));
+    }
+  }
+
+  // What went into the roll, checked against what the customer was shown before spinning
+  function showVerification(result, fairness, message) {
+    var spun = result.fairness || {};
+    var hashMatches = spun.server_seed_hash === fairness.serverSeedHash;
+    var seedMatches = spun.client_seed === fairness.clientSeed;
+
+    var details = el('div', 'margin-top: 15px; padding: 10px; border-radius: 8px; background: rgba(0,0,0,0.15); font-size: 12px; text-align: left; word-break: break-all;');
+    details.appendChild(el('div', 'font-weight: bold; margin-bottom: 5px;', 'Verify this spin'));
+    details.appendChild(el('div', null, 'Server seed hash: ' + spun.server_seed_hash +
+      (hashMatches ? ' (the hash shown before you spun)' : ' (NOT the hash shown before you spun)')));
+    details.appendChild(el('div', null, 'Your client seed: ' + spun.client_seed +
+      (seedMatches ? '' : ' (NOT the seed your browser sent: ' + fairness.clientSeed + ')')));
+    details.appendChild(el('div', null, 'Nonce: ' + spun.nonce));
+
+    var link = el('a', 'color: #FFD700;', 'Recompute this spin');
+    link.href = SPIN_CONFIG.apiUrl + '/api/spin/verify/' + encodeURIComponent(result.spin_id);
+    link.target = '_blank';
+    link.rel = 'noopener';
+    details.appendChild(link);
+    details.appendChild(el('div', 'opacity: 0.8; margin-top: 5px;',
+      'The server seed is revealed when it is rotated, so anyone can recompute the roll from these values.'));
+
+    message.appendChild(details);
+  }
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeWidget);
+  } else {
+    initializeWidget();
+  }
+
+})();
+  `;
+
+  res.send(script);
+});
+
+// Install the widget on the storefront as a Shopify script tag
+router.post('/spin-wheel-widget/install', async (req, res) => {
+  try {
+    const ShopifyService = require('../services/shopifyService');
+    const scriptUrl = `${process.env.APP_URL}/api/spin/spin-wheel-widget.js`;
+
+    const existingScripts = await ShopifyService.request('script_tags.json');
+    const existingScript = existingScripts.data.script_tags.find(script => script.src === scriptUrl);
+
+    if (existingScript && existingScript.display_scope !== 'order_status') {
+      // Installed before the tag was limited to the order status page
+      await ShopifyService.request(`script_tags/${existingScript.id}.json`, 'PUT', {
+        script_tag: { id: existingScript.id, display_scope: 'order_status' }
+      });
+    }
+
+    if (existingScript) {
+      return res.json({
+        success: true,
+        message: 'Spin wheel widget already installed',
+        script_id: existingScript.id,
+        script_url: scriptUrl
+      });
+    }
+
+    // The widget only runs on the order status page, so only load it there
+    const response = await ShopifyService.request('script_tags.json', 'POST', {
+      script_tag: {
+        event: 'onload',
+        src: scriptUrl,
+        display_scope: 'order_status'
+      }
+    });
+
+    console.log('[SPIN] Spin wheel widget installed:', response.data.script_tag.id);
+
+    res.json({
+      success: true,
+      message: 'Spin wheel widget installed',
+      script_id: response.data.script_tag.id,
+      script_url: scriptUrl
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error installing widget:', error.response?.data || error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to install spin wheel widget',
+      message: error.response?.data?.errors || error.message
+    });
+  }
+});
+
+// Check whether an order qualifies for a spin without spinning
+router.get('/:customerId/eligibility', requireDatabase, async (req, res) => {
+  try {
+    const PointsService = require('../services/pointsService');
+    const { customerId } = req.params;
+    const { order_id } = req.query;
+
+    if (!order_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required query parameter: order_id'
+      });
+    }
+
+    const config = await PointsService.getStoreConfig();
+    const eligibility = await SpinWheelService.checkEligibility(customerId, order_id.toString(), config);
+
+    res.json({
+      success: true,
+      eligible: eligibility.eligible,
+      code: eligibility.code,
+      error: eligibility.error,
+      next_spin_at: eligibility.next_spin_at
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error checking eligibility:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check spin eligibility',
+      message: error.message
+    });
+  }
+});
+
+// Spin the wheel for a qualifying order
+router.post('/:customerId', requireDatabase, IdempotencyService.middleware('spin.spin'), async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const { order_id, client_seed } = req.body;
+
+    if (!order_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: order_id'
+      });
+    }
+
+    const result = await SpinWheelService.spin(customerId, order_id.toString(), { clientSeed: client_seed });
+
+    if (!result.success) {
+      return res.status(INELIGIBLE_STATUS[result.code] || 400).json({
+        success: false,
+        error: result.error,
+        code: result.code,
+        next_spin_at: result.next_spin_at
+      });
+    }
+
+    res.json({
+      success: true,
+      spin_id: result.attempt._id,
+      prize: result.prize,
+      redeemed: result.attempt.redeemed,
+      expires_at: result.attempt.expires_at,
+      discount_code: result.discount_code,
+      new_balance: result.new_balance,
+      fairness: result.fairness
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error spinning wheel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to spin the wheel',
+      message: error.message
+    });
+  }
+});
+
+// Prizes the customer has won and can still use
+router.get('/:customerId/prizes', requireDatabase, async (req, res) => {
+  try {
+    const { customerId } = req.params;
+
+    const prizes = await SpinWheelService.getOpenPrizes(customerId);
+
+    res.json({
+      success: true,
+      customer_id: customerId,
+      prizes: prizes.map(prize => ({
+        spin_id: prize._id,
+        prize_type: prize.prize_type,
+        prize_value: prize.prize_value,
+        prize_label: prize.prize_label,
+        discount_code: prize.discount_code,
+        expires_at: prize.expires_at,
+        created_at: prize.created_at
+      })),
+      count: prizes.length
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error getting prizes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get prizes',
+      message: error.message
+    });
+  }
+});
+
+// Mark a prize as used
+router.post('/:customerId/prizes/:spinId/redeem', requireDatabase, async (req, res) => {
+  try {
+    const mongoose = require('mongoose');
+    const { customerId, spinId } = req.params;
+    const { order_id } = req.body;
+
+    if (!mongoose.isValidObjectId(spinId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prize not found'
+      });
+    }
+
+    const result = await SpinWheelService.redeemPrize(customerId, spinId, { orderId: order_id });
+
+    if (!result.attempt) {
+      return res.status(result.code === 'not_found' ? 404 : 409).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      spin_id: result.attempt._id,
+      prize_label: result.attempt.prize_label,
+      discount_code: result.attempt.discount_code,
+      redeemed: result.attempt.redeemed,
+      redeemed_at: result.attempt.redeemed_at
+    });
+  } catch (error) {
+    console.error('[SPIN API] Error redeeming prize:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeem prize',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
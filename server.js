@@ -7,9 +7,16 @@ require('dotenv').config();
 // Import database connection
 const { connectDatabase } = require('./config/database');
 
+// Import background jobs
+const { startJobs } = require('./jobs');
+
+// Import event subscribers (tier change emails, outbound webhooks)
+const { registerSubscribers } = require('./subscribers');
+
 // Import routes
 const shopifyRoutes = require('./routes/shopify');
 const pointsRoutes = require('./routes/points');
+const spinRoutes = require('./routes/spin');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -69,6 +76,7 @@ async function initializeDatabase() {
     databaseConnected = await connectDatabase();
     if (databaseConnected) {
       console.log('✅ [DATABASE] Successfully connected');
+      startJobs();
     } else {
       console.log('⚠️ [DATABASE] Not configured, running without database');
     }
@@ -86,6 +94,7 @@ async function initializeDatabase() {
   }
 }
 
+registerSubscribers();
 initializeDatabase();
 
 // Routes with error handling
@@ -105,6 +114,14 @@ try {
   console.error('❌ [ROUTES] Failed to load Points routes');
 }
 
+try {
+  app.use('/api/spin', spinRoutes);
+  console.log('✅ [ROUTES] Spin wheel routes loaded');
+} catch (error) {
+  logError(error, 'Loading Spin wheel routes');
+  console.error('❌ [ROUTES] Failed to load Spin wheel routes');
+}
+
 // Enhanced health check endpoint
 app.get('/health', async (req, res) => {
   try {
@@ -132,7 +149,8 @@ app.get('/health', async (req, res) => {
       },
       routes: {
         shopify: 'loaded',
-        points: 'loaded'
+        points: 'loaded',
+        spin: 'loaded'
       }
     };
 
@@ -167,7 +185,10 @@ app.get('/', (req, res) => {
         checkout_script: '/api/shopify/checkout-points-widget.js',
         points_config: '/api/points/config',
         customer_points: '/api/points/customer/:customerId',
-        points_analytics: '/api/points/analytics'
+        points_analytics: '/api/points/analytics',
+        earning_rules: '/api/points/rules',
+        campaigns: '/api/points/campaigns',
+        spin_wheel: '/api/spin/:customerId'
       }
     });
   } catch (error) {
@@ -188,7 +209,8 @@ app.get('/api', (req, res) => {
     database_connected: databaseConnected,
     available_routes: {
       shopify: '/api/shopify/*',
-      points: '/api/points/*'
+      points: '/api/points/*',
+      spin: '/api/spin/*'
     }
   });
 });
@@ -0,0 +1,130 @@
+const { Campaign, CustomerPoints, PointsTransaction } = require('../models');
+
+class CampaignService {
+
+  // Get campaigns running at the given time
+  static async getActiveCampaigns(at = new Date()) {
+    return Campaign.find({
+      starts_at: { $lte: at },
+      ends_at: { $gt: at },
+      $or: [{ ended_at: null }, { ended_at: { $gt: at } }]
+    }).sort({ starts_at: 1 });
+  }
+
+  // Derive campaign status from its window
+  static getStatus(campaign, at = new Date()) {
+    if (campaign.ended_at && campaign.ended_at <= at) return 'ended';
+    if (campaign.ends_at <= at) return 'ended';
+    if (campaign.starts_at > at) return 'scheduled';
+    return 'active';
+  }
+
+  // Check whether the customer placing this order is in the campaign audience
+  static async isInAudience(campaign, customerId, orderData, customerTier) {
+    const { tiers = [], customer_tags = [], first_order_only = false } = campaign.audience || {};
+
+    if (tiers.length > 0 && !tiers.some(tier => tier.toLowerCase() === customerTier.toLowerCase())) {
+      return false;
+    }
+
+    if (customer_tags.length > 0) {
+      const orderCustomerTags = (orderData.customer?.tags || '')
+        .split(',')
+        .map(tag => tag.trim().toLowerCase());
+
+      if (!customer_tags.some(tag => orderCustomerTags.includes(tag.toLowerCase()))) {
+        return false;
+      }
+    }
+
+    if (first_order_only) {
+      const ordersCount = orderData.customer?.orders_count;
+
+      if (ordersCount !== undefined && ordersCount !== null) {
+        return ordersCount <= 1;
+      }
+
+      const previousOrder = await PointsTransaction.exists({
+        customer_id: customerId,
+        transaction_type: 'earned',
+        order_id: { $exists: true, $nin: [null, orderData.id?.toString()] }
+      });
+
+      return !previousOrder;
+    }
+
+    return true;
+  }
+
+  // Get bonus points a customer still holds from a campaign (points reversed by refunds don't count)
+  static async getCustomerCampaignPoints(customerId, campaignId) {
+    const result = await PointsTransaction.aggregate([
+      {
+        $match: {
+          customer_id: customerId,
+          transaction_type: 'earned',
+          'metadata.promotion_id': campaignId.toString()
+        }
+      },
+      { $group: { _id: null, total: { $sum: { $subtract: ['$points', { $ifNull: ['$reversed_points', 0] }] } } } }
+    ]);
+
+    return result[0]?.total || 0;
+  }
+
+  // Calculate bonus points from all active campaigns for an order
+  static async calculateCampaignBonuses(customerId, orderData, basePoints) {
+    if (basePoints <= 0) {
+      return [];
+    }
+
+    const campaigns = await this.getActiveCampaigns(new Date(orderData.created_at || Date.now()));
+
+    if (campaigns.length === 0) {
+      return [];
+    }
+
+    const customerPoints = await CustomerPoints.findOne({ customer_id: customerId }).select('tier');
+    let customerTier = customerPoints?.tier;
+
+    if (!customerTier) {
+      // New customers start on the lowest tier of the store's ladder
+      const PointsService = require('./pointsService');
+      const config = await PointsService.getStoreConfig();
+      customerTier = PointsService.getTierLadder(config.tier_settings)[0].name;
+    }
+
+    const bonuses = [];
+
+    for (const campaign of campaigns) {
+      if (!await this.isInAudience(campaign, customerId, orderData, customerTier)) {
+        continue;
+      }
+
+      let points = campaign.bonus_type === 'multiplier'
+        ? Math.floor(basePoints * (campaign.value - 1))
+        : Math.floor(campaign.value);
+
+      // Apply per-customer cap
+      if (campaign.max_points_per_customer > 0) {
+        const earnedSoFar = await this.getCustomerCampaignPoints(customerId, campaign._id);
+        points = Math.min(points, campaign.max_points_per_customer - earnedSoFar);
+      }
+
+      if (points <= 0) {
+        continue;
+      }
+
+      bonuses.push({
+        campaign_id: campaign._id.toString(),
+        name: campaign.name,
+        points
+      });
+    }
+
+    return bonuses;
+  }
+
+}
+
+module.exports = CampaignService;
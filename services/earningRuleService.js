@@ -0,0 +1,99 @@
+const { EarningRule } = require('../models');
+const ShopifyService = require('./shopifyService');
+
+class EarningRuleService {
+
+  // Get all active earning rules
+  static async getActiveRules() {
+    return EarningRule.find({ active: true }).sort({ created_at: 1 });
+  }
+
+  // Load product ids for every collection targeted by the given rules
+  static async loadCollectionProducts(rules) {
+    const collectionIds = [...new Set(
+      rules
+        .filter(rule => rule.target_type === 'collection')
+        .flatMap(rule => rule.target_values)
+    )];
+
+    const collectionProducts = {};
+
+    for (const collectionId of collectionIds) {
+      try {
+        collectionProducts[collectionId] = new Set(await ShopifyService.getCollectionProductIds(collectionId));
+      } catch (error) {
+        console.warn(`[RULES] Could not load products for collection ${collectionId}:`, error.message);
+        collectionProducts[collectionId] = new Set();
+      }
+    }
+
+    return collectionProducts;
+  }
+
+  // Check whether a rule applies to a line item
+  static matchesLine(rule, line, context) {
+    const targets = rule.target_values.map(value => value.toString().trim().toLowerCase());
+
+    switch (rule.target_type) {
+      case 'product':
+        return targets.includes(line.product_id?.toString());
+      case 'variant':
+        return targets.includes(line.variant_id?.toString());
+      case 'sku':
+        return !!line.sku && targets.includes(line.sku.toLowerCase());
+      case 'tag':
+        return (context.tagsByProduct[line.product_id?.toString()] || []).some(tag => targets.includes(tag));
+      case 'collection':
+        return targets.some(collectionId => context.collectionProducts[collectionId]?.has(line.product_id?.toString()));
+      default:
+        return false;
+    }
+  }
+
+  // Spread base points over the earnable lines and apply matching rules to each.
+  // Exclusions win over everything, the highest multiplier applies and bonuses add up.
+  static evaluateLines(lines, basePoints, rules, context) {
+    const netTotal = lines.reduce((sum, line) => sum + line.net_amount, 0);
+
+    return lines.map(line => {
+      const share = netTotal > 0 ? line.net_amount / netTotal : 0;
+      const lineBasePoints = basePoints * share;
+      const matchedRules = rules.filter(rule => this.matchesLine(rule, line, context));
+
+      let multiplier = 1;
+      let bonusPoints = 0;
+      let excluded = false;
+
+      for (const rule of matchedRules) {
+        if (rule.action === 'exclude') {
+          excluded = true;
+        } else if (rule.action === 'multiplier') {
+          multiplier = Math.max(multiplier, rule.value);
+        } else if (rule.action === 'bonus_per_unit') {
+          bonusPoints += rule.value * (line.quantity || 0);
+        }
+      }
+
+      if (excluded) {
+        multiplier = 0;
+        bonusPoints = 0;
+      }
+
+      const points = lineBasePoints * multiplier + bonusPoints;
+
+      return {
+        line_item_id: line.line_item_id,
+        title: line.title,
+        quantity: line.quantity,
+        base_points: Math.round(lineBasePoints * 100) / 100,
+        multiplier,
+        bonus_points: bonusPoints,
+        points: Math.round(points * 100) / 100,
+        rules: matchedRules.map(rule => rule.name)
+      };
+    });
+  }
+
+}
+
+module.exports = EarningRuleService;
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// Internal loyalty events. Payloads are plain JSON so they can be forwarded as-is (e.g. outbound webhooks).
+const EVENTS = {
+  TIER_CHANGED: 'tier.changed'
+};
+
+const emitter = new EventEmitter();
+
+class EventService {
+
+  // Subscribe to an event by name, or '*' for every event.
+  // Handlers may be async; their errors are logged so they never reach the code that published the event.
+  static subscribe(eventName, subscriberName, handler) {
+    const listener = async (event) => {
+      try {
+        await handler(event);
+      } catch (error) {
+        console.error(`[EVENTS] ${subscriberName} failed handling ${event.event}:`, error.message);
+      }
+    };
+
+    emitter.on(eventName, listener);
+
+    // Return an unsubscribe function
+    return () => emitter.off(eventName, listener);
+  }
+
+  // Publish an event to its subscribers without waiting for them
+  static publish(eventName, data) {
+    const event = {
+      id: crypto.randomUUID(),
+      event: eventName,
+      occurred_at: new Date().toISOString(),
+      data
+    };
+
+    emitter.emit(eventName, event);
+    emitter.emit('*', event);
+
+    return event;
+  }
+
+}
+
+EventService.EVENTS = EVENTS;
+
+module.exports = EventService;
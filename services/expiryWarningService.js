@@ -0,0 +1,133 @@
+const { CustomerPoints, PointsTransaction, ExpiryNotice } = require('../models');
+const NotificationService = require('./notificationService');
+const PointsService = require('./pointsService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ExpiryWarningService {
+
+  // Pick the closest warning window a lot has entered, e.g. 7 rather than 30 when it expires in 5 days
+  static getWarningWindow(expiresAt, daysBefore, now = new Date()) {
+    const daysLeft = (expiresAt.getTime() - now.getTime()) / DAY_MS;
+    const windows = [...daysBefore].sort((a, b) => a - b);
+
+    return windows.find(days => daysLeft <= days) ?? null;
+  }
+
+  // Find lots that are about to expire, grouped by customer and warning window
+  static async findExpiringLots(daysBefore, now = new Date()) {
+    const horizon = new Date(now.getTime() + Math.max(...daysBefore) * DAY_MS);
+
+    const lots = await PointsTransaction.find({
+      remaining_points: { $gt: 0 },
+      expires_at: { $gt: now, $lte: horizon }
+    }).sort({ expires_at: 1 });
+
+    const groups = new Map();
+
+    for (const lot of lots) {
+      const window = this.getWarningWindow(lot.expires_at, daysBefore, now);
+
+      if (window === null) continue;
+
+      const key = `${lot.customer_id}:${window}`;
+      if (!groups.has(key)) {
+        groups.set(key, { customer_id: lot.customer_id, days_before: window, lots: [] });
+      }
+      groups.get(key).lots.push(lot);
+    }
+
+    return [...groups.values()];
+  }
+
+  // Claim a notice for each lot; lots already warned for this window are skipped
+  static async claimNotices(customer, daysBefore, lots) {
+    const claimed = [];
+
+    for (const lot of lots) {
+      try {
+        const notice = await ExpiryNotice.create({
+          customer_id: customer.customer_id,
+          email: customer.email,
+          lot_id: lot._id.toString(),
+          days_before: daysBefore,
+          expires_at: lot.expires_at,
+          points: lot.remaining_points
+        });
+        claimed.push({ lot, notice });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return claimed;
+  }
+
+  // Send expiry warnings for lots entering a warning window (run from the scheduled job)
+  static async sendExpiryWarnings(now = new Date()) {
+    try {
+      const config = await PointsService.getStoreConfig();
+      const { enabled, days_before: daysBefore = [] } = config.points_settings.expiry_warnings || {};
+
+      if (!enabled || daysBefore.length === 0 || !config.points_settings.points_expiry_days) {
+        return { customers_notified: 0, lots_warned: 0 };
+      }
+
+      const groups = await this.findExpiringLots(daysBefore, now);
+      let customersNotified = 0;
+      let lotsWarned = 0;
+
+      for (const group of groups) {
+        const customer = await CustomerPoints.findOne({ customer_id: group.customer_id });
+
+        // No real address to send to
+        if (!customer || customer.email.includes('@unknown.com')) continue;
+
+        const claimed = await this.claimNotices(customer, group.days_before, group.lots);
+
+        if (claimed.length === 0) continue;
+
+        const lots = claimed.map(({ lot }) => ({
+          points: lot.remaining_points,
+          description: lot.description,
+          expires_at: lot.expires_at
+        }));
+
+        try {
+          const result = await NotificationService.send(customer.email, 'points-expiry-warning', {
+            customer,
+            points: lots.reduce((sum, lot) => sum + lot.points, 0),
+            expires_at: lots[0].expires_at,
+            days_before: group.days_before,
+            lots,
+            store_name: process.env.STORE_NAME || config.store_domain
+          });
+
+          await ExpiryNotice.updateMany(
+            { _id: { $in: claimed.map(({ notice }) => notice._id) } },
+            { $set: { status: 'sent', transport: result.transport, sent_at: new Date() } }
+          );
+
+          customersNotified++;
+          lotsWarned += claimed.length;
+        } catch (error) {
+          // Release the claims so the next run retries this customer
+          await ExpiryNotice.deleteMany({ _id: { $in: claimed.map(({ notice }) => notice._id) } });
+          console.error(`[NOTIFY] Failed to send expiry warning to ${customer.email}:`, error.message);
+        }
+      }
+
+      if (customersNotified > 0) {
+        console.log(`[NOTIFY] Sent expiry warnings to ${customersNotified} customers covering ${lotsWarned} lots`);
+      }
+
+      return { customers_notified: customersNotified, lots_warned: lotsWarned };
+    } catch (error) {
+      console.error('[NOTIFY] Error sending expiry warnings:', error);
+      throw error;
+    }
+  }
+
+}
+
+module.exports = ExpiryWarningService;
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const { IdempotencyRecord } = require('../models');
+
+const KEY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const RECORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A request still "processing" after this long is assumed to have died, and a retry may take it over.
+// Well past the slowest handler - a redemption's Shopify calls, and the 10 minutes after which the
+// redemption recovery job rolls back one that was abandoned - so two runs never overlap.
+const LOCK_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Retried POSTs with the same Idempotency-Key get the first response back instead of running again.
+// Responses are kept for 24 hours; server errors are not kept, so those requests can be retried.
+class IdempotencyService {
+
+  // Fingerprint of what the request asks for
+  static hashRequest(req) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ params: req.params, body: req.body }))
+      .digest('hex');
+  }
+
+  // Reserve a key for this request, or find out why it can't run
+  static async claim(scope, key, requestHash, now = new Date()) {
+    while (true) {
+      try {
+        const record = await IdempotencyRecord.create({
+          key,
+          scope,
+          request_hash: requestHash,
+          locked_at: now,
+          expires_at: new Date(now.getTime() + RECORD_TTL_MS)
+        });
+
+        return { status: 'new', record };
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+
+      const existing = await IdempotencyRecord.findOne({ scope, key });
+
+      if (!existing) {
+        // Expired or released in between - try to reserve it again
+        continue;
+      }
+
+      if (existing.request_hash !== requestHash) {
+        return { status: 'mismatch', record: existing };
+      }
+
+      if (existing.status === 'completed') {
+        return { status: 'replay', record: existing };
+      }
+
+      // Take over a key whose first attempt never finished
+      const takenOver = await IdempotencyRecord.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', locked_at: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } },
+        { $set: { locked_at: now } },
+        { new: true }
+      );
+
+      return takenOver ? { status: 'new', record: takenOver } : { status: 'in_progress', record: existing };
+    }
+  }
+
+  // Keep the response so retries get it back
+  static async complete(record, statusCode, body) {
+    await IdempotencyRecord.updateOne(
+      { _id: record._id },
+      {
+        $set: {
+          status: 'completed',
+          response_status: statusCode,
+          // Store what the client received, e.g. ObjectIds as strings
+          response_body: JSON.parse(JSON.stringify(body))
+        }
+      }
+    );
+  }
+
+  // Forget the key so the request can be tried again
+  static async release(record) {
+    await IdempotencyRecord.deleteOne({ _id: record._id });
+  }
+
+  // Express middleware for an endpoint; requests without the header run as normal.
+  // redactResponse(body) returns what may be stored for replay, e.g. without secrets.
+  static middleware(scope, { redactResponse = body => body } = {}) {
+    return async (req, res, next) => {
+      const key = req.get(KEY_HEADER);
+
+      if (!key) {
+        return next();
+      }
+
+      if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `${KEY_HEADER} must be at most ${MAX_KEY_LENGTH} characters`
+        });
+      }
+
+      try {
+        const claim = await this.claim(scope, key, this.hashRequest(req));
+
+        if (claim.status === 'replay') {
+          console.log(`[IDEMPOTENCY] Replaying ${scope} response for key ${key}`);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(claim.record.response_status).json(claim.record.response_body);
+        }
+
+        if (claim.status === 'mismatch') {
+          return res.status(422).json({
+            success: false,
+            error: `${KEY_HEADER} has already been used for a different request`
+          });
+        }
+
+        if (claim.status === 'in_progress') {
+          return res.status(409).json({
+            success: false,
+            error: `A request with this ${KEY_HEADER} is still being processed`
+          });
+        }
+
+        // Save the response before sending it, so an immediate retry sees it
+        const sendJson = res.json.bind(res);
+
+        res.json = (body) => {
+          res.json = sendJson;
+
+          const save = res.statusCode >= 500
+            ? this.release(claim.record)
+            : this.complete(claim.record, res.statusCode, redactResponse(body));
+
+          save
+            .catch(error => console.error(`[IDEMPOTENCY] Error saving ${scope} response for key ${key}:`, error))
+            .then(() => sendJson(body));
+
+          return res;
+        };
+
+        next();
+      } catch (error) {
+        console.error('[IDEMPOTENCY] Error checking idempotency key:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to check idempotency key',
+          message: error.message
+        });
+      }
+    };
+  }
+
+}
+
+IdempotencyService.KEY_HEADER = KEY_HEADER;
+
+module.exports = IdempotencyService;
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in transports. Each one sends a rendered message ({ to, subject, text, html }).
+const transports = {
+  // Log messages instead of sending them (default until a real transport is configured)
+  log: {
+    send: async (message) => {
+      console.log(`[NOTIFY] Would send "${message.subject}" to ${message.to}`);
+      return { delivered: false };
+    }
+  },
+
+  // Write each message as a JSON file into a drop directory (useful for staging and tests)
+  file: {
+    send: async (message) => {
+      const dropDir = process.env.NOTIFICATION_DROP_DIR || path.join(process.cwd(), 'notifications');
+      await fs.promises.mkdir(dropDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+      await fs.promises.writeFile(path.join(dropDir, fileName), JSON.stringify(message, null, 2));
+
+      return { delivered: true, file: fileName };
+    }
+  },
+
+  // Send through an SMTP server
+  smtp: {
+    send: async (message) => {
+      if (!transports.smtp.mailer) {
+        const nodemailer = require('nodemailer');
+        transports.smtp.mailer = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER ? {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+          } : undefined
+        });
+      }
+
+      const info = await transports.smtp.mailer.sendMail({
+        from: process.env.NOTIFICATION_FROM || process.env.SMTP_USER,
+        ...message
+      });
+
+      return { delivered: true, message_id: info.messageId };
+    }
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Email templates, each rendering { subject, text, html } from template data
+const templates = {
+  'points-expiry-warning': ({ customer, points, expires_at, days_before, lots, store_name }) => {
+    const name = customer.first_name || 'there';
+    const expiryDate = new Date(expires_at).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+    const subject = `${points} of your ${store_name} points expire within ${days_before} days`;
+
+    const lotLines = lots.map(lot =>
+      `${lot.points} points (${lot.description}) expire ${new Date(lot.expires_at).toLocaleDateString('en-US')}`
+    );
+
+    const text = [
+      `Hi ${name},`,
+      '',
+      `${points} of your loyalty points expire on ${expiryDate}.`,
+      ...lotLines.map(line => `- ${line}`),
+      '',
+      `Your current balance is ${customer.current_balance} points. Use them on your next order before they lapse.`
+    ].join('\n');
+
+    const html = `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p><strong>${points}</strong> of your loyalty points expire on <strong>${expiryDate}</strong>.</p>
+      <ul>${lotLines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>
+      <p>Your current balance is ${customer.current_balance} points. Use them on your next order before they lapse.</p>
+    `;
+
+    return { subject, text, html };
+  },
+
+  'tier-changed': ({ first_name, from_tier, to_tier, direction, tier, store_name }) => {
+    const name = first_name || 'there';
+    const movedUp = direction !== 'down';
+    const subject = movedUp
+      ? `Welcome to ${to_tier} at ${store_name}`
+      : `Your ${store_name} membership is now ${to_tier}`;
+
+    const perks = [];
+    if (tier.earning_multiplier > 1) perks.push(`${tier.earning_multiplier}x points on every order`);
+    if (tier.redemption_bonus > 0) perks.push(`${tier.redemption_bonus}% extra value when you redeem points`);
+
+    const intro = movedUp
+      ? `You've reached ${to_tier}${from_tier ? ` (up from ${from_tier})` : ''}.`
+      : `Your membership has moved from ${from_tier} to ${to_tier}. Keep shopping to earn your way back up.`;
+
+    const text = [
+      `Hi ${name},`,
+      '',
+      intro,
+      ...(perks.length > 0 ? ['', `Your ${to_tier} perks:`, ...perks.map(perk => `- ${perk}`)] : [])
+    ].join('\n');
+
+    const html = `
+      <p>Hi ${escapeHtml(name)},</p>
+      <p>${escapeHtml(intro)}</p>
+      ${perks.length > 0 ? `<p>Your ${escapeHtml(to_tier)} perks:</p><ul>${perks.map(perk => `<li>${escapeHtml(perk)}</li>`).join('')}</ul>` : ''}
+    `;
+
+    return { subject, text, html };
+  }
+};
+
+let activeTransportName = null;
+
+class NotificationService {
+
+  // Register a custom transport (anything with an async send(message) method)
+  static registerTransport(name, transport) {
+    if (typeof transport?.send !== 'function') {
+      throw new Error(`Transport ${name} must have a send(message) method`);
+    }
+    transports[name] = transport;
+  }
+
+  // Choose the transport by name, overriding NOTIFICATION_TRANSPORT
+  static setTransport(name) {
+    if (!transports[name]) {
+      throw new Error(`Unknown notification transport: ${name}`);
+    }
+    activeTransportName = name;
+  }
+
+  static getTransportName() {
+    return activeTransportName || process.env.NOTIFICATION_TRANSPORT || 'log';
+  }
+
+  // Render a template into a message
+  static render(templateName, data) {
+    const template = templates[templateName];
+
+    if (!template) {
+      throw new Error(`Unknown notification template: ${templateName}`);
+    }
+
+    return template(data);
+  }
+
+  // Render a template and send it to a recipient through the active transport
+  static async send(to, templateName, data) {
+    const transportName = this.getTransportName();
+    const transport = transports[transportName];
+
+    if (!transport) {
+      throw new Error(`Unknown notification transport: ${transportName}`);
+    }
+
+    const message = { to, ...this.render(templateName, data) };
+    const result = await transport.send(message);
+
+    return { transport: transportName, ...result };
+  }
+
+}
+
+module.exports = NotificationService;
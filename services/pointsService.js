@@ -1,4 +1,18 @@
-const { CustomerPoints, PointsTransaction, StoreConfig } = require('../models');
+const { CustomerPoints, PointsTransaction, StoreConfig, Redemption } = require('../models');
+const ShopifyService = require('./shopifyService');
+const EarningRuleService = require('./earningRuleService');
+const CampaignService = require('./campaignService');
+const TierService = require('./tierService');
+
+const DEFAULT_REDEMPTION_SETTINGS = {
+  points_per_currency_unit: 100,
+  minimum_points: 100,
+  points_step: 100,
+  max_points_per_order: null
+};
+
+// Most options offered in a redemption picker
+const MAX_REDEMPTION_OPTIONS = 20;
 
 class PointsService {
   
@@ -7,22 +21,98 @@ class PointsService {
     try {
       // Get store configuration
       const config = storeConfig || await this.getStoreConfig();
-      const { minimum_order_amount } = config.points_settings;
+      const {
+        minimum_order_amount = 0,
+        use_static_points = true,
+        static_points_per_order = 0,
+        points_per_dollar = 0,
+        rounding_mode = 'floor',
+        max_points_per_order = 0
+      } = config.points_settings;
+      
+      const orderTotal = parseFloat(orderData.total_price) || 0;
+      const calculationMethod = use_static_points ? 'static' : 'per_dollar';
+      
+      const earningBase = config.points_settings.earning_base || {};
+      const rules = await EarningRuleService.getActiveRules();
+      
+      // Look up product tags only when exclusions or rules need them
+      const excludedTags = (earningBase.excluded_product_tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+      let tagsByProduct = {};
+      
+      if (excludedTags.length > 0 || rules.some(rule => rule.target_type === 'tag')) {
+        try {
+          tagsByProduct = await ShopifyService.getProductTags((orderData.line_items || []).map(item => item.product_id));
+        } catch (error) {
+          console.warn('[POINTS] Could not load product tags, tag exclusions and rules skipped:', error.message);
+        }
+      }
+      
+      // Work out which part of the order earns points
+      const { earnable_lines: earnableLines, ...earningBreakdown } = this.calculateEarnableSubtotal(orderData, earningBase, tagsByProduct);
+      const earnableSubtotal = earningBreakdown.earnable_subtotal;
+      
+      // Orders below the minimum earn nothing
+      if (earnableSubtotal < minimum_order_amount || earnableSubtotal <= 0) {
+        console.log(`[POINTS] Order #${orderData.order_number} earnable subtotal ${earnableSubtotal} is below minimum ${minimum_order_amount}`);
+        
+        return {
+          points: 0,
+          base_points: 0,
+          order_total: orderTotal,
+          calculation_method: calculationMethod,
+          earning_breakdown: earningBreakdown,
+          note: earnableSubtotal <= 0
+            ? 'No earnable items in order'
+            : `Earnable subtotal below minimum of $${minimum_order_amount.toFixed(2)}`
+        };
+      }
       
-      const orderTotal = parseFloat(orderData.total_price);
+      let basePoints;
+      let note;
       
-      // STATIC POINTS: Award 50 points for every order regardless of value
-      const staticPoints = 50;
+      if (use_static_points) {
+        basePoints = static_points_per_order;
+        note = `Fixed ${static_points_per_order} points per order`;
+      } else {
+        basePoints = this.roundPoints(earnableSubtotal * points_per_dollar, rounding_mode);
+        note = `${points_per_dollar} points per $1 (${rounding_mode})`;
+      }
+      
+      // Apply product, collection and tag rules per line item
+      let points = basePoints;
+      let lineItems;
+      
+      if (rules.length > 0 && earnableLines.length > 0) {
+        const context = {
+          tagsByProduct,
+          collectionProducts: await EarningRuleService.loadCollectionProducts(rules)
+        };
+        
+        lineItems = EarningRuleService.evaluateLines(earnableLines, basePoints, rules, context);
+        points = this.roundPoints(lineItems.reduce((sum, line) => sum + line.points, 0), rounding_mode);
+        
+        if (lineItems.some(line => line.rules.length > 0)) {
+          note += ', earning rules applied';
+        }
+      }
+      
+      // Apply per-order cap
+      if (max_points_per_order > 0 && points > max_points_per_order) {
+        points = max_points_per_order;
+        note += `, capped at ${max_points_per_order}`;
+      }
       
-      console.log(`[POINTS] Static points calculation: ${staticPoints} points for order #${orderData.order_number}`);
-      console.log(`[POINTS] Order value: ${orderTotal} (value ignored for points calculation)`);
+      console.log(`[POINTS] ${calculationMethod} calculation: ${points} points for order #${orderData.order_number} (earnable ${earnableSubtotal} of ${orderTotal})`);
       
       return {
-        points: staticPoints,
-        base_points: staticPoints,
+        points,
+        base_points: basePoints,
         order_total: orderTotal,
-        calculation_method: 'static',
-        note: 'Fixed 50 points per order regardless of order value'
+        calculation_method: calculationMethod,
+        earning_breakdown: earningBreakdown,
+        line_items: lineItems,
+        note
       };
     } catch (error) {
       console.error('[POINTS] Error calculating order points:', error);
@@ -30,6 +120,155 @@ class PointsService {
     }
   }
   
+  // Calculate the part of an order that earns points
+  static calculateEarnableSubtotal(orderData, earningBase = {}, tagsByProduct = {}) {
+    const {
+      include_tax = false,
+      include_shipping = false,
+      subtract_discounts = true,
+      exclude_gift_cards = true,
+      excluded_product_tags = []
+    } = earningBase || {};
+    
+    const lineItems = orderData.line_items || [];
+    const sumAmounts = (entries, field) => (entries || []).reduce((sum, entry) => sum + (parseFloat(entry[field]) || 0), 0);
+    
+    // No line items (e.g. minimal test payloads) - fall back to the order total
+    if (lineItems.length === 0) {
+      const orderTotal = parseFloat(orderData.total_price) || 0;
+      return {
+        line_items_subtotal: orderTotal,
+        excluded_subtotal: 0,
+        discounts: 0,
+        shipping: 0,
+        tax: 0,
+        earnable_subtotal: orderTotal,
+        excluded_items: [],
+        earnable_lines: []
+      };
+    }
+    
+    const excludedTags = (excluded_product_tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    let lineItemsSubtotal = 0;
+    let earnableItemsSubtotal = 0;
+    let lineDiscounts = 0;
+    let lineTax = 0;
+    let hasLineDiscounts = false;
+    let hasLineTax = false;
+    const excludedItems = [];
+    const earnableLines = [];
+    
+    for (const item of lineItems) {
+      const amount = (parseFloat(item.price) || 0) * (item.quantity || 0);
+      lineItemsSubtotal += amount;
+      
+      let reason = null;
+      if (exclude_gift_cards && item.gift_card) {
+        reason = 'gift_card';
+      } else {
+        const productTags = tagsByProduct[item.product_id?.toString()] || [];
+        const matchedTag = productTags.find(tag => excludedTags.includes(tag));
+        if (matchedTag) {
+          reason = `tag:${matchedTag}`;
+        }
+      }
+      
+      if (reason) {
+        excludedItems.push({
+          line_item_id: item.id?.toString(),
+          title: item.title,
+          amount: this.roundCurrency(amount),
+          reason
+        });
+        continue;
+      }
+      
+      earnableItemsSubtotal += amount;
+      
+      let itemDiscount = 0;
+      if (Array.isArray(item.discount_allocations)) {
+        hasLineDiscounts = true;
+        itemDiscount = sumAmounts(item.discount_allocations, 'amount');
+      } else if (item.total_discount !== undefined) {
+        hasLineDiscounts = true;
+        itemDiscount = parseFloat(item.total_discount) || 0;
+      }
+      lineDiscounts += itemDiscount;
+      
+      earnableLines.push({
+        line_item_id: item.id?.toString(),
+        title: item.title,
+        product_id: item.product_id,
+        variant_id: item.variant_id,
+        sku: item.sku,
+        quantity: item.quantity || 0,
+        net_amount: Math.max(0, amount - (subtract_discounts ? itemDiscount : 0))
+      });
+      
+      if (Array.isArray(item.tax_lines)) {
+        hasLineTax = true;
+        lineTax += sumAmounts(item.tax_lines, 'price');
+      }
+    }
+    
+    // Without per-line data, spread order-level amounts over the earnable share
+    const earnableShare = lineItemsSubtotal > 0 ? earnableItemsSubtotal / lineItemsSubtotal : 0;
+    
+    let discounts = 0;
+    if (subtract_discounts) {
+      discounts = hasLineDiscounts
+        ? lineDiscounts
+        : (parseFloat(orderData.total_discounts) || 0) * earnableShare;
+    }
+    
+    let shipping = 0;
+    let shippingTax = 0;
+    if (include_shipping) {
+      for (const line of orderData.shipping_lines || []) {
+        shipping += parseFloat(line.price) || 0;
+        if (subtract_discounts) {
+          shipping -= sumAmounts(line.discount_allocations, 'amount');
+        }
+        shippingTax += sumAmounts(line.tax_lines, 'price');
+      }
+    }
+    
+    let tax = 0;
+    if (include_tax) {
+      tax = (hasLineTax ? lineTax : sumAmounts(orderData.tax_lines, 'price') * earnableShare) + shippingTax;
+    }
+    
+    const earnableSubtotal = Math.max(0, earnableItemsSubtotal - discounts + shipping + tax);
+    
+    return {
+      line_items_subtotal: this.roundCurrency(lineItemsSubtotal),
+      excluded_subtotal: this.roundCurrency(lineItemsSubtotal - earnableItemsSubtotal),
+      discounts: this.roundCurrency(discounts),
+      shipping: this.roundCurrency(shipping),
+      tax: this.roundCurrency(tax),
+      earnable_subtotal: this.roundCurrency(earnableSubtotal),
+      excluded_items: excludedItems,
+      earnable_lines: earnableLines
+    };
+  }
+  
+  // Round a money amount to cents
+  static roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+  }
+  
+  // Round fractional points according to store rounding mode
+  static roundPoints(value, roundingMode = 'floor') {
+    // Trim floating point noise so 1.15 * 100 floors to 115, not 114
+    value = Number(value.toFixed(6));
+    
+    switch (roundingMode) {
+      case 'ceil': return Math.ceil(value);
+      case 'round': return Math.round(value);
+      default: return Math.floor(value);
+    }
+  }
+  
   // Award points to customer
   static async awardPoints(customerId, orderData, pointsCalculation) {
     try {
@@ -38,6 +277,8 @@ class PointsService {
         return null;
       }
       
+      const config = await this.getStoreConfig();
+      
       // Find or create customer points record
       let customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
       
@@ -52,24 +293,19 @@ class PointsService {
         console.log(`[POINTS] - Email: ${customerEmail}`);
         console.log(`[POINTS] - Name: ${firstName} ${lastName}`);
         
-        customerPoints = new CustomerPoints({
-          customer_id: customerId,
+        // Add welcome bonus for new customers. Only the request that inserts the record
+        // gets it, so two orders arriving together can't both pay it out.
+        const welcomeBonus = Math.max(0, config.points_settings.welcome_bonus || 0);
+        const { customerPoints: created, inserted } = await this.createCustomerPoints(customerId, {
           email: customerEmail,
           first_name: firstName,
           last_name: lastName,
-          current_balance: 0,
-          total_earned: 0,
-          total_redeemed: 0
+          current_balance: welcomeBonus,
+          total_earned: welcomeBonus
         });
+        customerPoints = created;
         
-        // Add welcome bonus for new customers
-        const config = await this.getStoreConfig();
-        const welcomeBonus = config.points_settings.welcome_bonus;
-        
-        if (welcomeBonus > 0) {
-          customerPoints.current_balance += welcomeBonus;
-          customerPoints.total_earned += welcomeBonus;
-          
+        if (inserted && welcomeBonus > 0) {
           // Record welcome bonus transaction
           await this.recordTransaction({
             customer_id: customerId,
@@ -90,17 +326,29 @@ class PointsService {
           customerPoints.email = orderData.customer.email;
           customerPoints.first_name = orderData.customer.first_name || customerPoints.first_name;
           customerPoints.last_name = orderData.customer.last_name || customerPoints.last_name;
+          await customerPoints.save();
         }
       }
       
-      // Award order points
-      customerPoints.current_balance += pointsCalculation.points;
-      customerPoints.total_earned += pointsCalculation.points;
+      // Award order points plus the tier earning bonus and any campaign bonuses
+      const tier = this.getTier(customerPoints.tier, config.tier_settings);
+      const tierBonusPoints = Math.floor(pointsCalculation.points * (tier.earning_multiplier - 1));
+      const campaignBonuses = pointsCalculation.campaign_bonuses || [];
+      const bonusPoints = campaignBonuses.reduce((sum, bonus) => sum + bonus.points, 0);
+      const totalPoints = pointsCalculation.points + tierBonusPoints + bonusPoints;
+      
+      // Hold order points as pending until the release date when configured
+      const availableAt = this.getPendingReleaseDate(orderData, config.points_settings.pending_hold);
+      const isPending = !!config.points_settings.pending_hold?.enabled && !(availableAt && availableAt <= new Date());
+      const transactionStatus = isPending ? 'pending' : 'available';
       
-      // Update tier if needed
-      customerPoints.tier = this.calculateTier(customerPoints.total_earned);
+      customerPoints = await this.creditPoints(customerId, totalPoints, { pending: isPending });
       
-      await customerPoints.save();
+      const settledDebt = isPending ? 0 : await this.settlePointsDebt(customerId);
+      
+      if (settledDebt > 0) {
+        customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+      }
       
       // Record points transaction
       await this.recordTransaction({
@@ -108,21 +356,78 @@ class PointsService {
         order_id: orderData.id.toString(),
         transaction_type: 'earned',
         points: pointsCalculation.points,
+        status: transactionStatus,
+        available_at: isPending ? availableAt : undefined,
         order_total: pointsCalculation.order_total,
+        earning_breakdown: pointsCalculation.earning_breakdown,
         description: `Points earned from order #${orderData.order_number} (${pointsCalculation.calculation_method})`,
         metadata: {
           order_number: orderData.order_number,
           calculation_method: pointsCalculation.calculation_method,
-          note: pointsCalculation.note
+          note: pointsCalculation.note,
+          line_items: pointsCalculation.line_items
         }
       });
       
-      console.log(`[POINTS] Awarded ${pointsCalculation.points} points to customer ${customerId} (${customerPoints.email}) for order ${orderData.order_number} (${pointsCalculation.calculation_method})`);
+      if (tierBonusPoints > 0) {
+        await this.recordTransaction({
+          customer_id: customerId,
+          order_id: orderData.id.toString(),
+          transaction_type: 'earned',
+          points: tierBonusPoints,
+          status: transactionStatus,
+          available_at: isPending ? availableAt : undefined,
+          order_total: pointsCalculation.order_total,
+          description: `${tier.name} tier bonus (${tier.earning_multiplier}x) from order #${orderData.order_number}`,
+          metadata: {
+            order_number: orderData.order_number,
+            tier: tier.name
+          }
+        });
+      }
+      
+      // Record one transaction per campaign so each bonus is traceable to its promotion
+      for (const bonus of campaignBonuses) {
+        await this.recordTransaction({
+          customer_id: customerId,
+          order_id: orderData.id.toString(),
+          transaction_type: 'earned',
+          points: bonus.points,
+          status: transactionStatus,
+          available_at: isPending ? availableAt : undefined,
+          order_total: pointsCalculation.order_total,
+          description: `Campaign bonus from order #${orderData.order_number}: ${bonus.name}`,
+          metadata: {
+            order_number: orderData.order_number,
+            promotion_id: bonus.campaign_id
+          }
+        });
+      }
+      
+      // Points used to pay off clawback debt come out of the new lots
+      if (settledDebt > 0) {
+        await this.consumeLots(customerId, settledDebt);
+      }
+      
+      // Earning can only move a customer up; downgrades are left to the periodic review
+      await TierService.evaluateCustomer(customerPoints, config, { reason: 'points_earned', allowDowngrade: false });
+      
+      if (customerPoints.isModified()) {
+        await customerPoints.save();
+      }
+      
+      console.log(`[POINTS] Awarded ${totalPoints} ${transactionStatus} points (${tierBonusPoints} tier bonus, ${bonusPoints} campaign bonus) to customer ${customerId} (${customerPoints.email}) for order ${orderData.order_number} (${pointsCalculation.calculation_method})`);
       
       return {
         customer_id: customerId,
-        points_awarded: pointsCalculation.points,
+        points_awarded: totalPoints,
+        base_points_awarded: pointsCalculation.points,
+        tier_bonus_points: tierBonusPoints,
+        campaign_bonuses: campaignBonuses,
+        status: transactionStatus,
+        available_at: isPending ? availableAt : null,
         new_balance: customerPoints.current_balance,
+        pending_balance: customerPoints.pending_balance,
         new_tier: customerPoints.tier,
         total_earned: customerPoints.total_earned,
         calculation_method: pointsCalculation.calculation_method,
@@ -135,24 +440,683 @@ class PointsService {
     }
   }
   
+  // Work out when held order points become spendable (null until the release event happens)
+  static getPendingReleaseDate(orderData, pendingHold) {
+    if (!pendingHold?.enabled) {
+      return null;
+    }
+    
+    let eventDate = null;
+    
+    switch (pendingHold.release_event) {
+      case 'order_created':
+        eventDate = new Date(orderData.created_at || Date.now());
+        break;
+      case 'order_paid':
+        if (orderData.financial_status === 'paid') {
+          eventDate = new Date(orderData.updated_at || Date.now());
+        }
+        break;
+      case 'order_fulfilled':
+        if (orderData.fulfillment_status === 'fulfilled') {
+          const fulfilledDates = (orderData.fulfillments || []).map(fulfillment => new Date(fulfillment.created_at).getTime());
+          eventDate = new Date(fulfilledDates.length > 0 ? Math.max(...fulfilledDates) : (orderData.updated_at || Date.now()));
+        }
+        break;
+    }
+    
+    if (!eventDate) {
+      return null;
+    }
+    
+    return new Date(eventDate.getTime() + (pendingHold.hold_days || 0) * 24 * 60 * 60 * 1000);
+  }
+  
+  // Set the release date on pending points once the order reaches the release event
+  static async updatePendingRelease(orderData) {
+    try {
+      const config = await this.getStoreConfig();
+      const availableAt = this.getPendingReleaseDate(orderData, config.points_settings.pending_hold);
+      
+      if (!availableAt) {
+        return 0;
+      }
+      
+      const result = await PointsTransaction.updateMany(
+        { order_id: orderData.id.toString(), status: 'pending', available_at: null },
+        { $set: { available_at: availableAt } }
+      );
+      
+      if (result.modifiedCount > 0) {
+        console.log(`[POINTS] Pending points for order ${orderData.order_number} will be released at ${availableAt.toISOString()}`);
+      }
+      
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('[POINTS] Error updating pending release:', error);
+      throw error;
+    }
+  }
+  
+  // Move pending points that are past their release date into the spendable balance
+  static async releasePendingPoints(now = new Date()) {
+    try {
+      const config = await this.getStoreConfig();
+      const dueTransactions = await PointsTransaction.find({
+        status: 'pending',
+        available_at: { $lte: now }
+      });
+      
+      let releasedTransactions = 0;
+      let releasedPoints = 0;
+      
+      for (const transaction of dueTransactions) {
+        // Claim the transaction first so overlapping runs cannot release it twice.
+        // The released points become a lot that starts expiring now.
+        const claimed = await PointsTransaction.findOneAndUpdate(
+          { _id: transaction._id, status: 'pending' },
+          [{
+            $set: {
+              status: 'available',
+              released_at: now,
+              remaining_points: { $subtract: ['$points', { $ifNull: ['$reversed_points', 0] }] },
+              expires_at: this.getLotExpiry(config, now)
+            }
+          }]
+        );
+        
+        if (!claimed) continue;
+        
+        // Points already reversed by refunds were taken out of the pending balance
+        const releasablePoints = claimed.points - (claimed.reversed_points || 0);
+        
+        if (releasablePoints > 0) {
+          const customerPoints = await CustomerPoints.findOneAndUpdate(
+            { customer_id: claimed.customer_id },
+            {
+              $inc: {
+                current_balance: releasablePoints,
+                pending_balance: -releasablePoints,
+                total_earned: releasablePoints
+              }
+            },
+            { new: true }
+          );
+          
+          if (customerPoints) {
+            const settled = await this.settlePointsDebt(claimed.customer_id);
+            await TierService.evaluateCustomer(customerPoints, config, { reason: 'points_released', allowDowngrade: false, now });
+            
+            if (customerPoints.isModified()) {
+              await customerPoints.save();
+            }
+            
+            if (settled > 0) {
+              await this.consumeLots(claimed.customer_id, settled);
+            }
+            
+            await this.extendLotExpiry(claimed.customer_id, config, now);
+          }
+        }
+        
+        releasedTransactions++;
+        releasedPoints += releasablePoints;
+      }
+      
+      console.log(`[POINTS] Released ${releasedPoints} pending points across ${releasedTransactions} transactions`);
+      
+      return {
+        released_transactions: releasedTransactions,
+        released_points: releasedPoints
+      };
+    } catch (error) {
+      console.error('[POINTS] Error releasing pending points:', error);
+      throw error;
+    }
+  }
+  
+  // Create a customer's points record unless it already exists. Reports whether this call
+  // inserted it, so one-off credits like the welcome bonus are only made once.
+  static async createCustomerPoints(customerId, fields) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await CustomerPoints.findOneAndUpdate(
+          { customer_id: customerId },
+          { $setOnInsert: fields },
+          { upsert: true, new: true, includeResultMetadata: true }
+        );
+        
+        return {
+          customerPoints: result.value,
+          inserted: !result.lastErrorObject?.updatedExisting
+        };
+      } catch (error) {
+        // Two upserts racing on the unique customer_id; the retry finds the winner's record
+        if (error.code !== 11000 || attempt > 0) throw error;
+      }
+    }
+  }
+  
+  // Add points to a customer's spendable (or pending) balance, creating their record if needed.
+  // Uses $inc so it can't overwrite a redemption or reversal landing at the same time.
+  static async creditPoints(customerId, points, { pending = false, profile = {} } = {}) {
+    const increments = pending
+      ? { pending_balance: points }
+      : { current_balance: points, total_earned: points };
+    
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await CustomerPoints.findOneAndUpdate(
+          { customer_id: customerId },
+          {
+            $inc: increments,
+            $setOnInsert: {
+              email: profile.email || `customer_${customerId}@unknown.com`,
+              first_name: profile.first_name || '',
+              last_name: profile.last_name || ''
+            }
+          },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000 || attempt > 0) throw error;
+      }
+    }
+  }
+  
+  // Use spendable points to pay off clawback debt first. The amount is worked out inside the
+  // update from the stored balance, so concurrent balance changes can't be lost.
+  static async settlePointsDebt(customerId) {
+    const settledAmount = { $min: ['$points_debt', '$current_balance'] };
+    const before = await CustomerPoints.findOneAndUpdate(
+      { customer_id: customerId, points_debt: { $gt: 0 }, current_balance: { $gt: 0 } },
+      [{
+        $set: {
+          current_balance: { $subtract: ['$current_balance', settledAmount] },
+          points_debt: { $subtract: ['$points_debt', settledAmount] }
+        }
+      }]
+    );
+    
+    if (!before) {
+      return 0;
+    }
+    
+    const settled = Math.min(before.points_debt, before.current_balance);
+    
+    console.log(`[POINTS] Settled ${settled} points of clawback debt for customer ${customerId}`);
+    
+    return settled;
+  }
+  
+  // Reverse part of an earn transaction and take the points back from the customer
+  static async reverseEarnTransaction(earnTransaction, pointsToReverse, { reason, refundId = null, description }) {
+    let transaction = earnTransaction;
+    let claimed = null;
+    let points = 0;
+    
+    // Claim the points on the earn atomically; retry once if the earn changed underneath us
+    for (let attempt = 0; attempt < 2 && !claimed; attempt++) {
+      points = Math.min(pointsToReverse, transaction.points - (transaction.reversed_points || 0));
+      
+      if (points <= 0) {
+        return null;
+      }
+      
+      claimed = await PointsTransaction.findOneAndUpdate(
+        {
+          _id: transaction._id,
+          status: transaction.status,
+          reversed_points: transaction.reversed_points || 0
+        },
+        { $inc: { reversed_points: points } },
+        { new: true }
+      );
+      
+      if (!claimed) {
+        transaction = await PointsTransaction.findById(transaction._id);
+        if (!transaction) return null;
+      }
+    }
+    
+    if (!claimed) {
+      throw new Error(`Could not reverse transaction ${earnTransaction._id} - it is being changed concurrently`);
+    }
+    
+    let writtenOff = 0;
+    let lotPointsToConsume = 0;
+    
+    if (claimed.status === 'pending') {
+      // Never spendable, so just drop it from the pending balance
+      await CustomerPoints.updateOne(
+        { customer_id: claimed.customer_id },
+        [{ $set: { pending_balance: { $max: [0, { $subtract: ['$pending_balance', points] }] } } }]
+      );
+    } else {
+      const config = await this.getStoreConfig();
+      const policy = config.points_settings.clawback_policy || 'allow_negative';
+      
+      // Work out what can be recovered from the stored balance inside the update itself
+      const recoverableExpr = policy === 'allow_negative'
+        ? points
+        : { $min: [points, { $max: [0, '$current_balance'] }] };
+      const debtExpr = policy === 'block_redemption'
+        ? { $add: [{ $ifNull: ['$points_debt', 0] }, { $subtract: [points, recoverableExpr] }] }
+        : { $ifNull: ['$points_debt', 0] };
+      
+      const before = await CustomerPoints.findOneAndUpdate(
+        { customer_id: claimed.customer_id },
+        [{
+          $set: {
+            current_balance: { $subtract: ['$current_balance', recoverableExpr] },
+            points_debt: debtExpr,
+            total_earned: { $max: [0, { $subtract: ['$total_earned', points] }] }
+          }
+        }]
+      );
+      
+      if (before) {
+        const recoverable = policy === 'allow_negative'
+          ? points
+          : Math.min(points, Math.max(0, before.current_balance));
+        lotPointsToConsume = recoverable;
+        
+        if (policy === 'write_off') {
+          writtenOff = points - recoverable;
+        }
+        
+        // Reversals can schedule a downgrade, subject to the grace period
+        const customerPoints = await CustomerPoints.findOne({ customer_id: claimed.customer_id });
+        
+        if (customerPoints) {
+          await TierService.evaluateCustomer(customerPoints, config, { reason: 'points_reversed' });
+          
+          if (customerPoints.isModified()) {
+            await customerPoints.save();
+          }
+        }
+      }
+    }
+    
+    // Take the points out of the reversed earn's own lot before older ones
+    if (lotPointsToConsume > 0) {
+      await this.consumeLots(claimed.customer_id, lotPointsToConsume, claimed._id);
+    }
+    
+    const adjustment = await this.recordTransaction({
+      customer_id: claimed.customer_id,
+      order_id: claimed.order_id,
+      transaction_type: 'adjusted',
+      points: -points,
+      description,
+      metadata: {
+        order_number: claimed.metadata?.order_number,
+        promotion_id: claimed.metadata?.promotion_id,
+        reversal_of: claimed._id.toString(),
+        reason,
+        refund_id: refundId,
+        written_off_points: writtenOff || undefined
+      }
+    });
+    
+    console.log(`[POINTS] Reversed ${points} points of transaction ${claimed._id} for customer ${claimed.customer_id} (${reason})${writtenOff ? `, ${writtenOff} written off` : ''}`);
+    
+    return adjustment;
+  }
+  
+  // Claw back everything still earned on a cancelled order
+  static async reverseOrderPoints(orderData, reason = 'order_cancelled') {
+    try {
+      const orderId = orderData.id.toString();
+      const earnTransactions = await PointsTransaction.find({ order_id: orderId, transaction_type: 'earned' });
+      
+      let reversedPoints = 0;
+      
+      for (const earn of earnTransactions) {
+        const adjustment = await this.reverseEarnTransaction(earn, earn.points, {
+          reason,
+          description: `Points reversed - order #${orderData.order_number} cancelled`
+        });
+        
+        if (adjustment) {
+          reversedPoints += -adjustment.points;
+        }
+      }
+      
+      if (reversedPoints > 0) {
+        console.log(`[POINTS] Reversed ${reversedPoints} points for cancelled order #${orderData.order_number}`);
+      }
+      
+      return { order_id: orderId, reversed_points: reversedPoints };
+    } catch (error) {
+      console.error('[POINTS] Error reversing order points:', error);
+      throw error;
+    }
+  }
+  
+  // Give back points redeemed for loyalty discount codes used on a cancelled or refunded order
+  static async restoreRedeemedPoints(orderData, reason = 'order_cancelled') {
+    try {
+      const orderId = orderData.id.toString();
+      const orderCodes = (orderData.discount_codes || [])
+        .map(discount => (discount.code || '').toUpperCase())
+        .filter(Boolean);
+      
+      if (orderCodes.length === 0) {
+        return { order_id: orderId, restored_points: 0 };
+      }
+      
+      // Any code we issued for points counts, whatever its prefix (checkout LOYALTY codes, reward REWARD- codes)
+      const redemptions = await Redemption.find({ discount_code: { $in: orderCodes }, status: 'committed' });
+      const redemptionIds = new Map(redemptions.map(redemption => [redemption.discount_code.toUpperCase(), redemption._id.toString()]));
+      
+      let restoredPoints = 0;
+      
+      for (const code of orderCodes) {
+        // Codes redeemed before redemptions were recorded are matched on the ledger entry itself
+        const redemptionId = redemptionIds.get(code);
+        const ledgerMatch = redemptionId
+          ? { 'metadata.redemption_id': redemptionId }
+          : { 'metadata.discount_code': code };
+        
+        // Mark the redemption restored first, so a repeated webhook cannot restore it twice
+        if (redemptionId) {
+          const claimed = await Redemption.findOneAndUpdate(
+            { _id: redemptionId, status: 'committed', restored_at: null },
+            { $set: { restored_at: new Date(), restored_order_id: orderId } }
+          );
+          
+          if (!claimed) {
+            console.log(`[POINTS] Redemption ${redemptionId} for code ${code} was already restored`);
+            continue;
+          }
+        }
+        
+        // The ledger entry keeps its own order; only the time it was reversed is added
+        const redeemed = await PointsTransaction.findOneAndUpdate(
+          { transaction_type: 'redeemed', ...ledgerMatch, reversed_at: null },
+          { $set: { reversed_at: new Date() } },
+          { new: true }
+        );
+        
+        if (!redeemed) {
+          if (redemptionId) {
+            console.log(`[POINTS] No unreversed redemption found for code ${code} on order #${orderData.order_number}`);
+          }
+          continue;
+        }
+        
+        const restored = await CustomerPoints.updateOne(
+          { customer_id: redeemed.customer_id },
+          [{
+            $set: {
+              current_balance: { $add: ['$current_balance', redeemed.points] },
+              total_redeemed: { $max: [0, { $subtract: ['$total_redeemed', redeemed.points] }] }
+            }
+          }]
+        );
+        const settledDebt = restored.matchedCount > 0 ? await this.settlePointsDebt(redeemed.customer_id) : 0;
+        
+        // Restored points come back as a new lot, recorded against the cancelled order
+        await this.recordTransaction({
+          customer_id: redeemed.customer_id,
+          order_id: orderId,
+          transaction_type: 'adjusted',
+          points: redeemed.points,
+          description: `Redeemed points restored - order #${orderData.order_number} ${reason === 'order_refunded' ? 'refunded' : 'cancelled'}`,
+          metadata: {
+            order_number: orderData.order_number,
+            reversal_of: redeemed._id.toString(),
+            redemption_id: redemptionId || null,
+            reason,
+            discount_code: code
+          }
+        });
+        
+        if (settledDebt > 0) {
+          await this.consumeLots(redeemed.customer_id, settledDebt);
+        }
+        
+        restoredPoints += redeemed.points;
+        console.log(`[POINTS] Restored ${redeemed.points} points redeemed with ${code} to customer ${redeemed.customer_id}`);
+      }
+      
+      return { order_id: orderId, restored_points: restoredPoints };
+    } catch (error) {
+      console.error('[POINTS] Error restoring redeemed points:', error);
+      throw error;
+    }
+  }
+  
+  // Work out how many points of an earn a refund takes back
+  static calculateRefundPoints(earnTransaction, refund, baseEarn, orderData) {
+    const refundLines = refund.refund_line_items || [];
+    
+    // Per-line explanations give an exact answer, including multipliers and bonuses
+    const lineItems = earnTransaction.metadata?.line_items || [];
+    if (lineItems.length > 0) {
+      return refundLines.reduce((sum, refundLine) => {
+        const line = lineItems.find(item => item.line_item_id === refundLine.line_item_id?.toString());
+        if (!line || !line.quantity) return sum;
+        return sum + line.points * Math.min(1, (refundLine.quantity || 0) / line.quantity);
+      }, 0);
+    }
+    
+    // Otherwise reverse the refunded share of the earnable items
+    const breakdown = baseEarn?.earning_breakdown;
+    const excludedIds = (breakdown?.excluded_items || []).map(item => item.line_item_id);
+    const refundedSubtotal = refundLines
+      .filter(refundLine => !excludedIds.includes(refundLine.line_item_id?.toString()))
+      .reduce((sum, refundLine) => sum + (parseFloat(refundLine.subtotal) || 0), 0);
+    
+    const earnableItemsSubtotal = breakdown?.line_items_subtotal !== undefined
+      ? breakdown.line_items_subtotal - (breakdown.excluded_subtotal || 0) - (breakdown.discounts || 0)
+      : (orderData.line_items || []).reduce((sum, item) => sum + (parseFloat(item.price) || 0) * (item.quantity || 0), 0);
+    
+    if (earnableItemsSubtotal <= 0) {
+      return 0;
+    }
+    
+    return earnTransaction.points * Math.min(1, refundedSubtotal / earnableItemsSubtotal);
+  }
+  
+  // Reverse points pro-rata for refunds on an order that have not been processed yet
+  static async processOrderRefunds(orderData) {
+    try {
+      const refunds = orderData.refunds || [];
+      
+      if (refunds.length === 0) {
+        return { order_id: orderData.id.toString(), reversed_points: 0 };
+      }
+      
+      const orderId = orderData.id.toString();
+      const earnTransactions = await PointsTransaction.find({ order_id: orderId, transaction_type: 'earned' });
+      const baseEarn = earnTransactions.find(earn => !earn.metadata?.promotion_id);
+      
+      let reversedPoints = 0;
+      
+      for (const refund of refunds) {
+        const refundId = refund.id.toString();
+        
+        for (const earn of earnTransactions) {
+          const alreadyProcessed = await PointsTransaction.exists({
+            transaction_type: 'adjusted',
+            'metadata.reversal_of': earn._id.toString(),
+            'metadata.refund_id': refundId
+          });
+          
+          if (alreadyProcessed) continue;
+          
+          const points = Math.round(this.calculateRefundPoints(earn, refund, baseEarn, orderData));
+          
+          if (points <= 0) continue;
+          
+          const adjustment = await this.reverseEarnTransaction(earn, points, {
+            reason: 'refund',
+            refundId,
+            description: `Points reversed - refund on order #${orderData.order_number}`
+          });
+          
+          if (adjustment) {
+            reversedPoints += -adjustment.points;
+            // Keep the in-memory copy current for the next refund in this loop
+            earn.reversed_points = (earn.reversed_points || 0) + -adjustment.points;
+          }
+        }
+      }
+      
+      if (reversedPoints > 0) {
+        console.log(`[POINTS] Reversed ${reversedPoints} points for refunds on order #${orderData.order_number}`);
+      }
+      
+      return { order_id: orderId, reversed_points: reversedPoints };
+    } catch (error) {
+      console.error('[POINTS] Error processing order refunds:', error);
+      throw error;
+    }
+  }
+  
+  // Expiry date for points that become spendable at the given time, or null if points never expire
+  static getLotExpiry(config, from = new Date()) {
+    const expiryDays = config.points_settings.points_expiry_days;
+    
+    if (!expiryDays) {
+      return null;
+    }
+    
+    return new Date(from.getTime() + expiryDays * 24 * 60 * 60 * 1000);
+  }
+  
+  // Spend points from a customer's lots, oldest first (optionally starting with a given lot).
+  // Balances from before lots existed have no lot behind them, so only lot points are consumed.
+  static async consumeLots(customerId, points, preferredLotId = null) {
+    const lots = await PointsTransaction
+      .find({ customer_id: customerId, remaining_points: { $gt: 0 } })
+      .sort({ created_at: 1 });
+    
+    if (preferredLotId) {
+      const preferredIndex = lots.findIndex(lot => lot._id.equals(preferredLotId));
+      if (preferredIndex > 0) {
+        lots.unshift(...lots.splice(preferredIndex, 1));
+      }
+    }
+    
+    let remaining = points;
+    
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      
+      const take = Math.min(remaining, lot.remaining_points);
+      
+      // Skip lots another request changed since we read them
+      const updated = await PointsTransaction.findOneAndUpdate(
+        { _id: lot._id, remaining_points: { $gte: take } },
+        { $inc: { remaining_points: -take } }
+      );
+      
+      if (updated) {
+        remaining -= take;
+      }
+    }
+    
+    return points - remaining;
+  }
+  
+  // Push back expiry on all unspent lots when "activity extends expiry" is on
+  static async extendLotExpiry(customerId, config, from = new Date()) {
+    if (!config?.points_settings.extend_expiry_on_activity) {
+      return;
+    }
+    
+    const expiresAt = this.getLotExpiry(config, from);
+    
+    if (!expiresAt) return;
+    
+    await PointsTransaction.updateMany(
+      { customer_id: customerId, remaining_points: { $gt: 0 } },
+      { $set: { expires_at: expiresAt } }
+    );
+  }
+  
+  // Expire unspent points in lots past their expiry date (run from the scheduled job)
+  static async expirePoints(now = new Date()) {
+    try {
+      const dueLots = await PointsTransaction.find({
+        remaining_points: { $gt: 0 },
+        expires_at: { $lte: now }
+      }).sort({ expires_at: 1 });
+      
+      let expiredLots = 0;
+      let expiredPoints = 0;
+      
+      for (const lot of dueLots) {
+        // Claim the lot so overlapping runs or concurrent redemptions cannot use the same points
+        const claimed = await PointsTransaction.findOneAndUpdate(
+          { _id: lot._id, remaining_points: { $gt: 0 }, expires_at: { $lte: now } },
+          { $set: { remaining_points: 0 } }
+        );
+        
+        if (!claimed) continue;
+        
+        const points = claimed.remaining_points;
+        
+        await CustomerPoints.updateOne(
+          { customer_id: claimed.customer_id },
+          { $inc: { current_balance: -points } }
+        );
+        
+        await this.recordTransaction({
+          customer_id: claimed.customer_id,
+          order_id: claimed.order_id,
+          transaction_type: 'expired',
+          points,
+          description: `${points} points expired from ${claimed.description}`,
+          metadata: {
+            order_number: claimed.metadata?.order_number,
+            lot_id: claimed._id.toString()
+          }
+        });
+        
+        expiredLots++;
+        expiredPoints += points;
+      }
+      
+      if (expiredLots > 0) {
+        console.log(`[POINTS] Expired ${expiredPoints} points from ${expiredLots} lots`);
+      }
+      
+      return { expired_lots: expiredLots, expired_points: expiredPoints };
+    } catch (error) {
+      console.error('[POINTS] Error expiring points:', error);
+      throw error;
+    }
+  }
+  
   // Get customer points balance
   static async getCustomerPoints(customerId) {
     try {
       const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+      const config = await this.getStoreConfig();
       
       if (!customerPoints) {
+        const startingTier = this.getTierLadder(config.tier_settings)[0];
+        
         return {
           customer_id: customerId,
           current_balance: 0,
           total_earned: 0,
           total_redeemed: 0,
-          tier: 'bronze',
+          pending_balance: 0,
+          points_debt: 0,
+          tier: startingTier.name,
+          tier_perks: startingTier,
           exists: false
         };
       }
       
       return {
         ...customerPoints.toObject(),
+        tier_perks: this.getTier(customerPoints.tier, config.tier_settings),
         exists: true
       };
     } catch (error) {
@@ -180,7 +1144,27 @@ class PointsService {
   static async recordTransaction(transactionData) {
     try {
       const transaction = new PointsTransaction(transactionData);
+      const { transaction_type: type, points, status } = transaction;
+      const isCredit = ['earned', 'adjusted'].includes(type) && points > 0;
+      const config = isCredit || type === 'redeemed' ? await this.getStoreConfig() : null;
+      
+      // Spendable credits become a lot that expires on its own schedule
+      if (isCredit && status !== 'pending' && transaction.remaining_points === undefined) {
+        transaction.remaining_points = points;
+        transaction.expires_at = this.getLotExpiry(config, transaction.created_at);
+      }
+      
       await transaction.save();
+      
+      // Redemptions spend the oldest lots first
+      if (type === 'redeemed') {
+        await this.consumeLots(transaction.customer_id, points);
+      }
+      
+      if (type === 'earned' || type === 'redeemed') {
+        await this.extendLotExpiry(transaction.customer_id, config, transaction.created_at);
+      }
+      
       return transaction;
     } catch (error) {
       console.error('[POINTS] Error recording transaction:', error);
@@ -189,11 +1173,29 @@ class PointsService {
   }
   
   // Calculate customer tier based on total points earned
-  static calculateTier(totalEarned) {
-    if (totalEarned >= 5000) return 'platinum';
-    if (totalEarned >= 1500) return 'gold';
-    if (totalEarned >= 500) return 'silver';
-    return 'bronze';
+  static calculateTier(totalEarned, tierSettings = TierService.DEFAULT_TIER_SETTINGS) {
+    return TierService.tierForValue(totalEarned, tierSettings);
+  }
+  
+  // Get the store's tiers from lowest to highest threshold
+  static getTierLadder(tierSettings) {
+    return TierService.getTierLadder(tierSettings);
+  }
+  
+  // Look up a tier and its perks by name, falling back to the lowest tier
+  static getTier(tierName, tierSettings) {
+    return TierService.getTier(tierName, tierSettings);
+  }
+  
+  // Re-evaluate every customer's tier (after tier settings change, or periodically for rolling windows)
+  static async retierCustomers(reason = 'tier_settings_changed') {
+    try {
+      const config = await this.getStoreConfig();
+      return await TierService.evaluateTiers(config, { reason });
+    } catch (error) {
+      console.error('[POINTS] Error re-tiering customers:', error);
+      throw error;
+    }
   }
   
   // Get or create store configuration
@@ -214,12 +1216,7 @@ class PointsService {
             welcome_bonus: 100,
             static_points_per_order: 50 // New setting for static points
           },
-          tier_settings: {
-            bronze_threshold: 0,
-            silver_threshold: 500,
-            gold_threshold: 1500,
-            platinum_threshold: 5000
-          },
+          tier_settings: { ...TierService.DEFAULT_TIER_SETTINGS },
           spin_wheel_settings: {
             enabled: true,
             min_order_amount: 0, // No minimum for spin wheel with static points
@@ -272,6 +1269,13 @@ class PointsService {
         return null;
       }
       
+      // Apply active campaigns on top of the base calculation
+      pointsCalculation.campaign_bonuses = await CampaignService.calculateCampaignBonuses(
+        customerId,
+        orderData,
+        pointsCalculation.points
+      );
+      
       // Award points
       const result = await this.awardPoints(customerId, orderData, pointsCalculation);
       
@@ -282,170 +1286,145 @@ class PointsService {
     }
   }
 
-  // Calculate discount amount from points
-  static calculatePointsDiscount(points, conversionRate = 0.01) {
-    // Default: 100 points = $1.00 discount
-    return Math.floor(points / 100) * 1.00;
+  // Store redemption rules, falling back to 100 points = $1.00 in steps of 100
+  static getRedemptionSettings(config = null) {
+    const settings = config?.redemption_settings || {};
+    
+    return {
+      points_per_currency_unit: settings.points_per_currency_unit ?? DEFAULT_REDEMPTION_SETTINGS.points_per_currency_unit,
+      minimum_points: settings.minimum_points ?? DEFAULT_REDEMPTION_SETTINGS.minimum_points,
+      points_step: settings.points_step ?? DEFAULT_REDEMPTION_SETTINGS.points_step,
+      max_points_per_order: settings.max_points_per_order ?? null
+    };
   }
 
-  // Redeem points for discount
-  static async redeemPoints(customerId, pointsToRedeem, orderId = null, description = null) {
-    try {
-      // Validate points amount
-      if (!pointsToRedeem || pointsToRedeem <= 0) {
-        throw new Error('Invalid points amount');
-      }
-
-      // Get customer
-      const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
-      
-      if (!customerPoints) {
-        throw new Error('Customer not found');
-      }
-
-      // Check if customer has enough points
-      if (customerPoints.current_balance < pointsToRedeem) {
-        throw new Error(`Insufficient points. Available: ${customerPoints.current_balance}, Requested: ${pointsToRedeem}`);
-      }
-
-      // Calculate discount amount
-      const discountAmount = this.calculatePointsDiscount(pointsToRedeem);
-
-      // Deduct points
-      customerPoints.current_balance -= pointsToRedeem;
-      customerPoints.total_redeemed += pointsToRedeem;
-      
-      await customerPoints.save();
-
-      // Record redemption transaction
-      await this.recordTransaction({
-        customer_id: customerId,
-        order_id: orderId,
-        transaction_type: 'redeemed',
-        points: pointsToRedeem,
-        description: description || `Redeemed ${pointsToRedeem} points for $${discountAmount.toFixed(2)} discount`,
-        metadata: {
-          discount_amount: discountAmount,
-          redemption_rate: 0.01,
-          order_id: orderId
+  // Build the single-use discount a points redemption turns into: a fixed amount off any cart
+  // worth at least the discount, valid for 24 hours
+  static buildCouponDiscount(points, redemptionSettings = DEFAULT_REDEMPTION_SETTINGS, redemptionBonus = 0, now = new Date()) {
+    const discountAmount = this.calculatePointsDiscount(points, redemptionSettings, redemptionBonus);
+    const expiresAt = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+    
+    // Generate unique discount code
+    const timestamp = now.getTime().toString().slice(-6);
+    const randomSuffix = Math.random().toString(36).substring(2, 6).toUpperCase();
+    const code = `LOYALTY${points}_${timestamp}${randomSuffix}`;
+    
+    return {
+      code,
+      discount_amount: discountAmount,
+      expires_at: expiresAt,
+      price_rule: {
+        title: `Loyalty Points Redemption - ${points} points`,
+        target_type: 'line_item',
+        target_selection: 'all',
+        allocation_method: 'across',
+        value_type: 'fixed_amount',
+        value: `-${discountAmount.toFixed(2)}`,
+        customer_selection: 'all', // Allow any customer to use the code
+        usage_limit: 1, // Can only be used once
+        once_per_customer: true,
+        starts_at: now.toISOString(),
+        ends_at: expiresAt.toISOString(),
+        prerequisite_subtotal_range: {
+          greater_than_or_equal_to: discountAmount.toFixed(2) // Minimum cart value = discount amount
         }
-      });
-
-      console.log(`[POINTS] Redeemed ${pointsToRedeem} points for customer ${customerId}, discount: $${discountAmount}`);
-
-      return {
-        success: true,
-        customer_id: customerId,
-        points_redeemed: pointsToRedeem,
-        discount_amount: discountAmount,
-        new_balance: customerPoints.current_balance,
-        tier: customerPoints.tier
-      };
-
-    } catch (error) {
-      console.error('[POINTS] Error redeeming points:', error);
-      throw error;
-    }
-  }
-
-  // Get redemption options for customer
-  static async getRedemptionOptions(customerId) {
-    try {
-      const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
-      
-      if (!customerPoints || customerPoints.current_balance <= 0) {
-        return {
-          available: false,
-          balance: 0,
-          options: []
-        };
-      }
-
-      const balance = customerPoints.current_balance;
-      const options = [];
-
-      // Generate redemption options (multiples of 100 points)
-      const maxRedemption = Math.floor(balance / 100) * 100;
-      
-      for (let points = 100; points <= maxRedemption && points <= 2000; points += 100) {
-        const discount = this.calculatePointsDiscount(points);
-        options.push({
-          points: points,
-          discount: discount,
-          label: `${points} points = $${discount.toFixed(2)} off`
-        });
       }
+    };
+  }
+  
+  // Human readable rate, e.g. "100 points = $1.00"
+  static describeConversionRate(redemptionSettings = DEFAULT_REDEMPTION_SETTINGS) {
+    return `${redemptionSettings.points_per_currency_unit} points = $1.00`;
+  }
 
-      return {
-        available: options.length > 0,
-        balance: balance,
-        customer_id: customerId,
-        options: options,
-        conversion_rate: ' 100 points = $1.00'
-      };
+  // Largest amount a balance can redeem in one go, in whole steps and within the per-order maximum
+  static getMaxRedeemablePoints(balance, redemptionSettings = DEFAULT_REDEMPTION_SETTINGS) {
+    const { points_step, max_points_per_order } = redemptionSettings;
+    const cap = max_points_per_order !== null ? Math.min(balance, max_points_per_order) : balance;
+    return Math.floor(cap / points_step) * points_step;
+  }
 
-    } catch (error) {
-      console.error('[POINTS] Error getting redemption options:', error);
-      throw error;
+  // Check a points amount against the redemption rules; returns an error message or null
+  static checkRedemptionAmount(points, redemptionSettings = DEFAULT_REDEMPTION_SETTINGS) {
+    const { minimum_points, points_step, max_points_per_order } = redemptionSettings;
+    points = Number(points);
+    
+    if (!Number.isInteger(points) || points <= 0) {
+      return 'Invalid points amount';
+    }
+    
+    if (points < minimum_points) {
+      return `Minimum redemption is ${minimum_points} points`;
+    }
+    
+    if (points % points_step !== 0) {
+      return `Points must be a multiple of ${points_step}`;
+    }
+    
+    if (max_points_per_order !== null && points > max_points_per_order) {
+      return `Maximum redemption is ${max_points_per_order} points per order`;
     }
+    
+    return null;
   }
 
-  // Validate redemption before processing
-  static async validateRedemption(customerId, pointsToRedeem) {
-    try {
-      const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
-      
-      if (!customerPoints) {
-        return {
-          valid: false,
-          error: 'Customer not found'
-        };
-      }
-
-      if (pointsToRedeem <= 0) {
-        return {
-          valid: false,
-          error: 'Invalid points amount'
-        };
-      }
-
-      if (customerPoints.current_balance < pointsToRedeem) {
-        return {
-          valid: false,
-          error: `Insufficient points. You have ${customerPoints.current_balance} points.`
-        };
-      }
-
-      const discountAmount = this.calculatePointsDiscount(pointsToRedeem);
+  // Calculate discount amount from points, plus the customer's tier redemption bonus
+  static calculatePointsDiscount(points, redemptionSettings = DEFAULT_REDEMPTION_SETTINGS, redemptionBonus = 0) {
+    const { points_per_currency_unit, points_step } = redemptionSettings;
+    const redeemable = Math.floor(points / points_step) * points_step;
+    const discount = redeemable / points_per_currency_unit;
+    return this.roundCurrency(discount * (1 + redemptionBonus / 100));
+  }
 
-      return {
-        valid: true,
+  // Take points off a balance in a single conditional update, so two concurrent redemptions can't both pass
+  // the balance check. Returns the updated customer, or null if the balance is too low or redemption is blocked.
+  static async deductPoints(customerId, points) {
+    return CustomerPoints.findOneAndUpdate(
+      {
         customer_id: customerId,
-        points_to_redeem: pointsToRedeem,
-        discount_amount: discountAmount,
-        remaining_balance: customerPoints.current_balance - pointsToRedeem
-      };
+        current_balance: { $gte: points },
+        points_debt: { $not: { $gt: 0 } }
+      },
+      { $inc: { current_balance: -points, total_redeemed: points } },
+      { new: true }
+    );
+  }
 
-    } catch (error) {
-      console.error('[POINTS] Error validating redemption:', error);
-      return {
-        valid: false,
-        error: error.message
-      };
-    }
+  // Give back points taken by deductPoints when the rest of the redemption fails
+  static async refundDeductedPoints(customerId, points) {
+    return CustomerPoints.findOneAndUpdate(
+      { customer_id: customerId },
+      { $inc: { current_balance: points, total_redeemed: -points } },
+      { new: true }
+    );
   }
 
-  static calculatePointsDiscount(points, conversionRate = 0.01) {
-    // Default: 100 points = $1.00 discount
-    return Math.floor(points / 100) * 1.00;
+  // Why a deduction was refused, read after the fact for the error message
+  static async getDeductionError(customerId, points) {
+    const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+    
+    if (!customerPoints) {
+      return 'Customer not found';
+    }
+    
+    if (customerPoints.points_debt > 0) {
+      return `Redemption blocked until ${customerPoints.points_debt} points of reversed earnings are earned back`;
+    }
+    
+    return `Insufficient points. Available: ${customerPoints.current_balance}, Requested: ${points}`;
   }
 
   // Redeem points for discount
   static async redeemPoints(customerId, pointsToRedeem, orderId = null, description = null) {
     try {
+      const config = await this.getStoreConfig();
+      const redemptionSettings = this.getRedemptionSettings(config);
+      
       // Validate points amount
-      if (!pointsToRedeem || pointsToRedeem <= 0) {
-        throw new Error('Invalid points amount');
+      const amountError = this.checkRedemptionAmount(pointsToRedeem, redemptionSettings);
+      
+      if (amountError) {
+        throw new Error(amountError);
       }
 
       // Get customer
@@ -455,33 +1434,46 @@ class PointsService {
         throw new Error('Customer not found');
       }
 
+      // Outstanding clawback debt must be earned back before redeeming
+      if (customerPoints.points_debt > 0) {
+        throw new Error(`Redemption blocked until ${customerPoints.points_debt} points of reversed earnings are earned back`);
+      }
+
       // Check if customer has enough points
       if (customerPoints.current_balance < pointsToRedeem) {
         throw new Error(`Insufficient points. Available: ${customerPoints.current_balance}, Requested: ${pointsToRedeem}`);
       }
 
       // Calculate discount amount
-      const discountAmount = this.calculatePointsDiscount(pointsToRedeem);
+      const tier = this.getTier(customerPoints.tier, config.tier_settings);
+      const discountAmount = this.calculatePointsDiscount(pointsToRedeem, redemptionSettings, tier.redemption_bonus);
 
-      // Deduct points
-      customerPoints.current_balance -= pointsToRedeem;
-      customerPoints.total_redeemed += pointsToRedeem;
+      // Deduct points (the checks above can be stale by now, so the update re-checks the balance)
+      const updatedCustomer = await this.deductPoints(customerId, pointsToRedeem);
       
-      await customerPoints.save();
+      if (!updatedCustomer) {
+        throw new Error(await this.getDeductionError(customerId, pointsToRedeem));
+      }
 
       // Record redemption transaction
-      await this.recordTransaction({
-        customer_id: customerId,
-        order_id: orderId,
-        transaction_type: 'redeemed',
-        points: pointsToRedeem,
-        description: description || `Redeemed ${pointsToRedeem} points for $${discountAmount.toFixed(2)} discount`,
-        metadata: {
-          discount_amount: discountAmount,
-          redemption_rate: 0.01,
-          order_id: orderId
-        }
-      });
+      try {
+        await this.recordTransaction({
+          customer_id: customerId,
+          order_id: orderId,
+          transaction_type: 'redeemed',
+          points: pointsToRedeem,
+          description: description || `Redeemed ${pointsToRedeem} points for $${discountAmount.toFixed(2)} discount`,
+          metadata: {
+            discount_amount: discountAmount,
+            redemption_rate: 1 / redemptionSettings.points_per_currency_unit,
+            order_id: orderId
+          }
+        });
+      } catch (error) {
+        // Don't take points without a ledger entry for them
+        await this.refundDeductedPoints(customerId, pointsToRedeem);
+        throw error;
+      }
 
       console.log(`[POINTS] Redeemed ${pointsToRedeem} points for customer ${customerId}, discount: $${discountAmount}`);
 
@@ -490,8 +1482,8 @@ class PointsService {
         customer_id: customerId,
         points_redeemed: pointsToRedeem,
         discount_amount: discountAmount,
-        new_balance: customerPoints.current_balance,
-        tier: customerPoints.tier
+        new_balance: updatedCustomer.current_balance,
+        tier: updatedCustomer.tier
       };
 
     } catch (error) {
@@ -504,23 +1496,34 @@ class PointsService {
   static async getRedemptionOptions(customerId) {
     try {
       const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+      const config = await this.getStoreConfig();
+      const redemptionSettings = this.getRedemptionSettings(config);
       
       if (!customerPoints || customerPoints.current_balance <= 0) {
         return {
           available: false,
           balance: 0,
-          options: []
+          pending_balance: customerPoints?.pending_balance || 0,
+          options: [],
+          conversion_rate: this.describeConversionRate(redemptionSettings),
+          redemption_settings: redemptionSettings
         };
       }
 
       const balance = customerPoints.current_balance;
       const options = [];
+      const tier = this.getTier(customerPoints.tier, config.tier_settings);
 
-      // Generate redemption options (multiples of 100 points)
-      const maxRedemption = Math.floor(balance / 100) * 100;
+      // Generate redemption options in steps from the minimum up to what the customer can redeem
+      const maxRedemption = this.getMaxRedeemablePoints(balance, redemptionSettings);
       
-      for (let points = 100; points <= maxRedemption && points <= 2000; points += 100) {
-        const discount = this.calculatePointsDiscount(points);
+      // A minimum of 0 still starts at one step, never at 0 points
+      for (
+        let points = Math.max(redemptionSettings.minimum_points, redemptionSettings.points_step);
+        points <= maxRedemption && options.length < MAX_REDEMPTION_OPTIONS;
+        points += redemptionSettings.points_step
+      ) {
+        const discount = this.calculatePointsDiscount(points, redemptionSettings, tier.redemption_bonus);
         options.push({
           points: points,
           discount: discount,
@@ -531,9 +1534,12 @@ class PointsService {
       return {
         available: options.length > 0,
         balance: balance,
+        pending_balance: customerPoints.pending_balance || 0,
         customer_id: customerId,
         options: options,
-        conversion_rate: ' 100 points = $1.00'
+        conversion_rate: this.describeConversionRate(redemptionSettings),
+        redemption_settings: redemptionSettings,
+        tier_redemption_bonus: tier.redemption_bonus
       };
 
     } catch (error) {
@@ -554,26 +1560,21 @@ class PointsService {
         };
       }
 
-      if (pointsToRedeem <= 0) {
-        return {
-          valid: false,
-          error: 'Invalid points amount'
-        };
-      }
-
-      // Must be multiple of 100
-      if (pointsToRedeem % 100 !== 0) {
+      const config = await this.getStoreConfig();
+      const redemptionSettings = this.getRedemptionSettings(config);
+      const amountError = this.checkRedemptionAmount(pointsToRedeem, redemptionSettings);
+      
+      if (amountError) {
         return {
           valid: false,
-          error: 'Points must be a multiple of 100'
+          error: amountError
         };
       }
 
-      // Minimum 100 points
-      if (pointsToRedeem < 100) {
+      if (customerPoints.points_debt > 0) {
         return {
           valid: false,
-          error: 'Minimum redemption is 100 points'
+          error: `Redemption is blocked until ${customerPoints.points_debt} points from refunded orders are earned back.`
         };
       }
 
@@ -584,7 +1585,8 @@ class PointsService {
         };
       }
 
-      const discountAmount = this.calculatePointsDiscount(pointsToRedeem);
+      const tier = this.getTier(customerPoints.tier, config.tier_settings);
+      const discountAmount = this.calculatePointsDiscount(pointsToRedeem, redemptionSettings, tier.redemption_bonus);
 
       return {
         valid: true,
@@ -592,7 +1594,7 @@ class PointsService {
         points_to_redeem: pointsToRedeem,
         discount_amount: discountAmount,
         remaining_balance: customerPoints.current_balance - pointsToRedeem,
-        conversion_rate: '100 points = $1.00'
+        conversion_rate: this.describeConversionRate(redemptionSettings)
       };
 
     } catch (error) {
@@ -608,40 +1610,46 @@ class PointsService {
   static async getCouponRedemptionOptions(customerId) {
     try {
       const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+      const config = await this.getStoreConfig();
+      const redemptionSettings = this.getRedemptionSettings(config);
       
-      if (!customerPoints || customerPoints.current_balance < 100) {
+      if (!customerPoints || customerPoints.current_balance < redemptionSettings.minimum_points) {
         return {
           available: false,
           balance: customerPoints?.current_balance || 0,
           options: [],
-          message: 'Minimum 100 points required for discount codes'
+          message: `Minimum ${redemptionSettings.minimum_points} points required for discount codes`
         };
       }
 
       const balance = customerPoints.current_balance;
       const options = [];
+      const tier = this.getTier(customerPoints.tier, config.tier_settings);
 
-      // Generate options in increments of 100 points, up to customer's balance
-      const maxRedemption = Math.floor(balance / 100) * 100;
+      // Generate options in whole steps, up to what the customer can redeem
+      const maxRedemption = this.getMaxRedeemablePoints(balance, redemptionSettings);
       
-      // Common redemption amounts
-      const commonAmounts = [100, 200, 300, 500, 1000];
+      // Common redemption amounts (1, 2, 3, 5 and 10 steps)
+      const commonAmounts = [1, 2, 3, 5, 10]
+        .map(steps => steps * redemptionSettings.points_step)
+        .filter(points => points >= redemptionSettings.minimum_points);
       
       for (const points of commonAmounts) {
         if (points <= maxRedemption) {
-          const discount = this.calculatePointsDiscount(points);
+          const discount = this.calculatePointsDiscount(points, redemptionSettings, tier.redemption_bonus);
           options.push({
             points: points,
             discount: discount,
             label: `${points} points = ${discount.toFixed(2)} off`,
-            recommended: points === 200 // Highlight $2 option
+            recommended: points === 2 * redemptionSettings.points_step // Highlight the two step option
           });
         }
       }
 
       // Add custom max option if it's different from common amounts
-      if (maxRedemption > 1000 && !commonAmounts.includes(maxRedemption)) {
-        const discount = this.calculatePointsDiscount(maxRedemption);
+      const largestCommon = commonAmounts[commonAmounts.length - 1] || 0;
+      if (maxRedemption > largestCommon && !commonAmounts.includes(maxRedemption)) {
+        const discount = this.calculatePointsDiscount(maxRedemption, redemptionSettings, tier.redemption_bonus);
         options.push({
           points: maxRedemption,
           discount: discount,
@@ -655,7 +1663,8 @@ class PointsService {
         balance: balance,
         customer_id: customerId,
         options: options,
-        conversion_rate: '100 points = $1.00',
+        conversion_rate: this.describeConversionRate(redemptionSettings),
+        redemption_settings: redemptionSettings,
         instructions: 'Select points to get a discount code for checkout'
       };
 
@@ -667,4 +1676,6 @@ class PointsService {
 
 }
 
+PointsService.DEFAULT_REDEMPTION_SETTINGS = DEFAULT_REDEMPTION_SETTINGS;
+
 module.exports = PointsService;
\ No newline at end of file
@@ -0,0 +1,321 @@
+const { Redemption, PointsTransaction } = require('../models');
+const ShopifyService = require('./shopifyService');
+const PointsService = require('./pointsService');
+
+// Where a redemption may go from each state
+const TRANSITIONS = {
+  reserved: ['code_created', 'rolled_back'],
+  code_created: ['committed', 'rolled_back'],
+  committed: [],
+  rolled_back: []
+};
+
+// A redemption still reserved or code_created after this long was abandoned mid-way
+const STALE_AFTER_MS = 10 * 60 * 1000;
+
+// Spending points on a code runs as a saga: reserve the points, create the code, then commit
+// the ledger entry. When a step fails the earlier ones are undone - the code is deleted and the
+// points go back - so a customer never ends up with a code they didn't pay for, or paying for
+// a code they never got.
+class RedemptionService {
+
+  // Move a redemption to its next state, guarded on the state it is in now.
+  // Returns null when another process moved it first.
+  static async transition(redemption, to, fields = {}, reason = undefined) {
+    const from = redemption.status;
+
+    if (!TRANSITIONS[from]?.includes(to)) {
+      throw new Error(`Redemption ${redemption._id} cannot go from ${from} to ${to}`);
+    }
+
+    return Redemption.findOneAndUpdate(
+      { _id: redemption._id, status: from },
+      {
+        $set: { status: to, ...fields },
+        $push: { status_history: { status: to, at: new Date(), reason } }
+      },
+      { new: true }
+    );
+  }
+
+  // Save fields on a redemption straight away, without moving its status
+  static async track(redemption, fields) {
+    redemption.set(fields);
+    await Redemption.updateOne({ _id: redemption._id }, { $set: fields });
+  }
+
+  // Tag for what a redemption creates in Shopify, so rollback can look it up by name
+  static shopifyMarker(redemption) {
+    return `(redemption ${redemption._id})`;
+  }
+
+  // Create a redemption's discount code. The rule's title is saved before the call and its id as
+  // soon as the rule exists, so if we crash part way rollback can still find what to delete.
+  static async issueDiscountCode(redemption, priceRule, code) {
+    const title = `${priceRule.title} ${this.shopifyMarker(redemption)}`;
+    await this.track(redemption, { price_rule_title: title });
+
+    return ShopifyService.createDiscountCode({ ...priceRule, title }, code, {
+      onPriceRuleCreated: priceRuleId => this.track(redemption, { price_rule_id: priceRuleId })
+    });
+  }
+
+  // Issue a redemption's gift card. Its last characters are saved before the call, and the
+  // marker goes in the note, so rollback can find the card if its id was never saved.
+  static async issueGiftCard(redemption, giftCard) {
+    await this.track(redemption, { gift_card_last_characters: giftCard.code.slice(-4).toLowerCase() });
+
+    const created = await ShopifyService.createGiftCard({
+      ...giftCard,
+      note: [giftCard.note, this.shopifyMarker(redemption)].filter(Boolean).join(' ')
+    });
+    await this.track(redemption, { gift_card_id: created.gift_card_id });
+
+    return created;
+  }
+
+  // Fill in the ids of anything a redemption started creating in Shopify but never saved
+  static async findUnsavedShopifyIds(redemption) {
+    const found = {};
+
+    if (redemption.price_rule_title && !redemption.price_rule_id) {
+      // Allow for clock differences between us and Shopify
+      const createdAtMin = new Date(redemption.created_at.getTime() - 5 * 60 * 1000);
+      const priceRuleId = await ShopifyService.findPriceRuleByTitle(redemption.price_rule_title, createdAtMin);
+      if (priceRuleId) found.price_rule_id = priceRuleId;
+    }
+
+    if (redemption.gift_card_last_characters && !redemption.gift_card_id) {
+      const giftCardId = await ShopifyService.findGiftCard(redemption.gift_card_last_characters, this.shopifyMarker(redemption));
+      if (giftCardId) found.gift_card_id = giftCardId;
+    }
+
+    if (Object.keys(found).length > 0) {
+      console.log(`[REDEMPTION] Found unsaved Shopify ids for redemption ${redemption._id}:`, found);
+      await this.track(redemption, found);
+    }
+  }
+
+  // Take the points, guarded on the balance, and open a redemption for them
+  static async reserve({ customerId, points, source, rewardId }) {
+    const charged = await PointsService.deductPoints(customerId, points);
+
+    if (!charged) {
+      return null;
+    }
+
+    try {
+      const redemption = await Redemption.create({
+        customer_id: customerId,
+        points,
+        source,
+        reward_id: rewardId,
+        status_history: [{ status: 'reserved', at: new Date() }]
+      });
+
+      return { redemption, customer: charged };
+    } catch (error) {
+      await PointsService.refundDeductedPoints(customerId, points);
+      throw error;
+    }
+  }
+
+  // Run a redemption end to end.
+  // issueCode(redemption) creates the discount code or gift card and returns
+  // { code, price_rule_id, discount_code_id, gift_card_id, discount_amount, expires_at };
+  // describeTransaction(issued) returns the { description, metadata } for the ledger entry.
+  static async redeem({ customerId, points, source, rewardId, issueCode, describeTransaction }) {
+    // Step 1: Reserve the points
+    const reservation = await this.reserve({ customerId, points, source, rewardId });
+
+    if (!reservation) {
+      return {
+        success: false,
+        code: 'insufficient_points',
+        error: await PointsService.getDeductionError(customerId, points)
+      };
+    }
+
+    let redemption = reservation.redemption;
+    let issued;
+
+    // Step 2: Create the code
+    try {
+      issued = await issueCode(redemption);
+
+      // Keep what was issued on the in-memory copy too, so a rollback can find it
+      const codeFields = Object.fromEntries(Object.entries({
+        // Gift card codes are spendable like cash, so only their id is kept
+        discount_code: issued.gift_card_id ? undefined : issued.code,
+        price_rule_id: issued.price_rule_id,
+        discount_code_id: issued.discount_code_id,
+        gift_card_id: issued.gift_card_id,
+        discount_amount: issued.discount_amount,
+        code_expires_at: issued.expires_at
+      }).filter(([, value]) => value !== undefined && value !== null));
+      redemption.set(codeFields);
+
+      redemption = await this.transition(redemption, 'code_created', codeFields) || redemption;
+    } catch (error) {
+      console.error(`[REDEMPTION] Code creation failed for redemption ${redemption._id}:`, error.message);
+      await this.rollback(redemption, `Code creation failed: ${error.message}`);
+      throw error;
+    }
+
+    // Step 3: Commit the ledger entry
+    let transaction;
+
+    try {
+      const { description, metadata } = describeTransaction(issued);
+
+      transaction = await PointsService.recordTransaction({
+        customer_id: customerId,
+        transaction_type: 'redeemed',
+        points,
+        description,
+        metadata: { ...metadata, redemption_id: redemption._id.toString() }
+      });
+    } catch (error) {
+      console.error(`[REDEMPTION] Ledger entry failed for redemption ${redemption._id}:`, error.message);
+
+      // The entry may have been saved before a later step failed - then the redemption stands
+      transaction = await PointsTransaction.findOne({ 'metadata.redemption_id': redemption._id.toString() }).catch(() => null);
+
+      if (!transaction) {
+        await this.rollback(redemption, `Transaction failed: ${error.message}`);
+        throw error;
+      }
+    }
+
+    try {
+      redemption = await this.transition(redemption, 'committed', { transaction_id: transaction._id.toString() }) || redemption;
+    } catch (error) {
+      // The points and code are both settled; recovery finds the ledger entry and marks it committed
+      console.error(`[REDEMPTION] Could not mark redemption ${redemption._id} committed:`, error.message);
+    }
+
+    console.log(`[REDEMPTION] Redemption ${redemption._id} committed: ${points} points for ${redemption.discount_code || `gift card ${redemption.gift_card_id}`}`);
+
+    return {
+      success: true,
+      redemption,
+      issued,
+      customer: reservation.customer,
+      transaction
+    };
+  }
+
+  // Undo a redemption: remove the code, mark it rolled back, then give the points back.
+  // Returns false when it could not finish; the recovery job tries again later.
+  static async rollback(redemption, reason) {
+    try {
+      // A lookup that fails leaves the redemption for the recovery job rather than refunding blind
+      await this.findUnsavedShopifyIds(redemption);
+
+      if (redemption.price_rule_id) {
+        await ShopifyService.deletePriceRule(redemption.price_rule_id);
+      }
+
+      if (redemption.gift_card_id) {
+        await ShopifyService.disableGiftCard(redemption.gift_card_id);
+      }
+    } catch (error) {
+      // Leave it where it is - refunding now would leave a working code behind
+      console.error(`[REDEMPTION] Could not remove code for redemption ${redemption._id}:`, error.message);
+      await Redemption.updateOne(
+        { _id: redemption._id },
+        { $set: { failure_reason: reason, rollback_error: error.message } }
+      ).catch(() => {});
+      return false;
+    }
+
+    const rolledBack = await this.transition(redemption, 'rolled_back', { failure_reason: reason, rollback_error: null }, reason);
+
+    if (!rolledBack) {
+      console.log(`[REDEMPTION] Redemption ${redemption._id} was already moved on, not rolling back`);
+      return false;
+    }
+
+    return this.restorePoints(rolledBack);
+  }
+
+  // Give back the points of a rolled back redemption, exactly once
+  static async restorePoints(redemption) {
+    const claimed = await Redemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'rolled_back', points_restored: false },
+      { $set: { points_restored: true } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return false;
+    }
+
+    try {
+      await PointsService.refundDeductedPoints(claimed.customer_id, claimed.points);
+      console.log(`[REDEMPTION] Rolled back redemption ${claimed._id}: ${claimed.points} points returned to ${claimed.customer_id}`);
+      return true;
+    } catch (error) {
+      console.error(`[REDEMPTION] Could not return points for redemption ${claimed._id}:`, error.message);
+      await Redemption.updateOne(
+        { _id: claimed._id },
+        { $set: { points_restored: false, rollback_error: error.message } }
+      ).catch(() => {});
+      return false;
+    }
+  }
+
+  // Finish redemptions left half-done by a crash or a failed rollback: commit the ones
+  // that reached the ledger, roll back the rest, and return any points still owed
+  static async recoverStaleRedemptions(now = new Date()) {
+    const staleBefore = new Date(now.getTime() - STALE_AFTER_MS);
+    const stale = await Redemption.find({
+      $or: [
+        { status: { $in: ['reserved', 'code_created'] }, updated_at: { $lte: staleBefore } },
+        { status: 'rolled_back', points_restored: false }
+      ]
+    });
+
+    let committed = 0;
+    let rolledBack = 0;
+    let failed = 0;
+
+    for (const redemption of stale) {
+      try {
+        const transaction = redemption.status === 'code_created'
+          ? await PointsTransaction.findOne({ 'metadata.redemption_id': redemption._id.toString() })
+          : null;
+
+        if (redemption.status === 'rolled_back') {
+          if (await this.restorePoints(redemption)) {
+            rolledBack++;
+          } else {
+            failed++;
+          }
+        } else if (transaction) {
+          await this.transition(redemption, 'committed', { transaction_id: transaction._id.toString() }, 'Recovered');
+          committed++;
+        } else if (await this.rollback(redemption, 'Abandoned before commit')) {
+          rolledBack++;
+        } else {
+          failed++;
+        }
+      } catch (error) {
+        // Left for the next run
+        failed++;
+        console.error(`[REDEMPTION] Failed to recover redemption ${redemption._id}:`, error.message);
+      }
+    }
+
+    if (committed > 0 || rolledBack > 0) {
+      console.log(`[REDEMPTION] Recovered stale redemptions: ${committed} committed, ${rolledBack} rolled back`);
+    }
+
+    return { redemptions_committed: committed, redemptions_rolled_back: rolledBack, failed };
+  }
+
+}
+
+RedemptionService.TRANSITIONS = TRANSITIONS;
+
+module.exports = RedemptionService;
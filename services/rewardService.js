@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Reward, CustomerPoints } = require('../models');
+const ShopifyService = require('./shopifyService');
+const PointsService = require('./pointsService');
+const RedemptionService = require('./redemptionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REWARD_TYPE_LABELS = {
+  fixed_amount: 'Amount off',
+  percentage: 'Percentage off',
+  free_shipping: 'Free shipping',
+  free_product: 'Free product',
+  gift_card: 'Gift card'
+};
+
+class RewardService {
+
+  // Whether a customer's tier can redeem a reward (no tiers listed means every tier can)
+  static isTierEligible(reward, tierName) {
+    const tiers = reward.eligible_tiers || [];
+    return tiers.length === 0 || tiers.some(tier => tier.toLowerCase() === (tierName || '').toLowerCase());
+  }
+
+  // Active rewards with whether this customer can redeem each one
+  static async getCustomerCatalog(customerId) {
+    const [customerPoints, rewards] = await Promise.all([
+      CustomerPoints.findOne({ customer_id: customerId }),
+      Reward.find({ active: true }).sort({ points_cost: 1 })
+    ]);
+
+    const balance = customerPoints?.current_balance || 0;
+    const blocked = (customerPoints?.points_debt || 0) > 0;
+
+    return {
+      customer_id: customerId,
+      balance,
+      tier: customerPoints?.tier || null,
+      redemption_blocked: blocked,
+      rewards: rewards.map(reward => {
+        const tierEligible = this.isTierEligible(reward, customerPoints?.tier);
+
+        return {
+          ...reward.toObject(),
+          type_label: REWARD_TYPE_LABELS[reward.reward_type],
+          tier_eligible: tierEligible,
+          points_needed: Math.max(reward.points_cost - balance, 0),
+          can_redeem: Boolean(customerPoints) && tierEligible && !blocked && balance >= reward.points_cost
+        };
+      })
+    };
+  }
+
+  // Value of one free product reward: the variant's price, or the cheapest variant's when any variant
+  // will do. The discount is a fixed amount across the entitled items, so pricing it at a dearer
+  // variant would make more than the rewarded quantity of a cheaper one free.
+  static async getFreeProductEntitlement(reward) {
+    const { product_id, variant_id, quantity = 1 } = reward.product || {};
+
+    if (variant_id) {
+      const variant = await ShopifyService.getVariant(variant_id);
+      return {
+        entitled: { entitled_variant_ids: [variant_id] },
+        amount: PointsService.roundCurrency(parseFloat(variant.price) * quantity)
+      };
+    }
+
+    const product = await ShopifyService.getProduct(product_id);
+    const lowestPrice = Math.min(...product.variants.map(variant => parseFloat(variant.price)));
+
+    return {
+      entitled: { entitled_product_ids: [product_id] },
+      amount: PointsService.roundCurrency(lowestPrice * quantity)
+    };
+  }
+
+  // Shopify price rule for a discount reward, single use and restricted to the customer who redeemed it
+  static async buildPriceRule(reward, customerId, { startsAt, endsAt }) {
+    const priceRule = {
+      title: `Loyalty Reward - ${reward.name}`,
+      customer_selection: 'prerequisite',
+      prerequisite_customer_ids: [customerId],
+      usage_limit: 1,
+      once_per_customer: true,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString()
+    };
+
+    if (reward.minimum_cart_amount > 0) {
+      priceRule.prerequisite_subtotal_range = {
+        greater_than_or_equal_to: reward.minimum_cart_amount.toFixed(2)
+      };
+    }
+
+    // Amount and percentage off can be limited to collections; otherwise they apply to the whole order
+    const lineItemTarget = reward.collection_ids?.length > 0
+      ? { target_selection: 'entitled', entitled_collection_ids: reward.collection_ids }
+      : { target_selection: 'all' };
+
+    switch (reward.reward_type) {
+      case 'fixed_amount':
+        return {
+          priceRule: {
+            ...priceRule,
+            ...lineItemTarget,
+            target_type: 'line_item',
+            allocation_method: 'across',
+            value_type: 'fixed_amount',
+            value: `-${reward.value.toFixed(2)}`
+          },
+          discountAmount: reward.value
+        };
+
+      case 'percentage':
+        return {
+          priceRule: {
+            ...priceRule,
+            ...lineItemTarget,
+            target_type: 'line_item',
+            allocation_method: 'across',
+            value_type: 'percentage',
+            value: `-${reward.value}`
+          },
+          discountAmount: null
+        };
+
+      case 'free_shipping':
+        return {
+          priceRule: {
+            ...priceRule,
+            target_type: 'shipping_line',
+            target_selection: 'all',
+            allocation_method: 'each',
+            value_type: 'percentage',
+            value: '-100.0'
+          },
+          discountAmount: null
+        };
+
+      case 'free_product': {
+        // A fixed amount off the entitled item equal to its price, so exactly the rewarded quantity is free
+        const { entitled, amount } = await this.getFreeProductEntitlement(reward);
+
+        return {
+          priceRule: {
+            ...priceRule,
+            ...entitled,
+            target_type: 'line_item',
+            target_selection: 'entitled',
+            allocation_method: 'across',
+            value_type: 'fixed_amount',
+            value: `-${amount.toFixed(2)}`
+          },
+          discountAmount: amount
+        };
+      }
+
+      default:
+        throw new Error(`Reward type ${reward.reward_type} is not a discount`);
+    }
+  }
+
+  // Random code for a redeemed reward, e.g. REWARD-9F2C81D0
+  static generateCode(prefix = 'REWARD', bytes = 4) {
+    return `${prefix}-${crypto.randomBytes(bytes).toString('hex').toUpperCase()}`;
+  }
+
+  // Create the Shopify discount code or gift card a reward turns into
+  static async fulfilReward(reward, customerId, redemption, now = new Date()) {
+    const expiresAt = new Date(now.getTime() + (reward.code_expiry_days || 30) * DAY_MS);
+
+    if (reward.reward_type === 'gift_card') {
+      const code = crypto.randomBytes(8).toString('hex').toUpperCase();
+      const giftCard = await RedemptionService.issueGiftCard(redemption, {
+        initial_value: reward.value.toFixed(2),
+        code,
+        customer_id: customerId,
+        expires_on: expiresAt.toISOString().split('T')[0],
+        note: `Loyalty reward: ${reward.name}`
+      });
+
+      return {
+        fulfilment_type: 'gift_card',
+        code,
+        gift_card_id: giftCard.gift_card_id,
+        gift_card_last_characters: giftCard.last_characters,
+        discount_amount: reward.value,
+        expires_at: expiresAt
+      };
+    }
+
+    const { priceRule, discountAmount } = await this.buildPriceRule(reward, customerId, { startsAt: now, endsAt: expiresAt });
+    const discount = await RedemptionService.issueDiscountCode(redemption, priceRule, this.generateCode());
+
+    return {
+      fulfilment_type: 'discount_code',
+      code: discount.code,
+      price_rule_id: discount.price_rule_id,
+      discount_code_id: discount.discount_code_id,
+      discount_amount: discountAmount,
+      expires_at: expiresAt
+    };
+  }
+
+  // Spend a customer's points on a catalog reward
+  static async redeemReward(customerId, rewardId, { now = new Date() } = {}) {
+    try {
+      const reward = mongoose.isValidObjectId(rewardId) ? await Reward.findById(rewardId) : null;
+
+      if (!reward || !reward.active) {
+        return { success: false, code: 'not_found', error: 'Reward not found' };
+      }
+
+      const customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+
+      if (!customerPoints) {
+        return { success: false, code: 'customer_not_found', error: 'Customer not found' };
+      }
+
+      if (!this.isTierEligible(reward, customerPoints.tier)) {
+        return {
+          success: false,
+          code: 'tier_not_eligible',
+          error: `${reward.name} is only available to ${reward.eligible_tiers.join(', ')} members`
+        };
+      }
+
+      if (customerPoints.points_debt > 0) {
+        return {
+          success: false,
+          code: 'redemption_blocked',
+          error: `Redemption is blocked until ${customerPoints.points_debt} points from refunded orders are earned back.`
+        };
+      }
+
+      // Reserve the points, issue the reward, then record it - undoing the earlier steps if one fails
+      const result = await RedemptionService.redeem({
+        customerId,
+        points: reward.points_cost,
+        source: 'rewards_catalog',
+        rewardId: reward._id.toString(),
+        issueCode: redemption => this.fulfilReward(reward, customerId, redemption, now),
+        describeTransaction: fulfilment => ({
+          description: `Redeemed ${reward.points_cost} points for ${reward.name}`,
+          metadata: {
+            reward_id: reward._id.toString(),
+            reward_name: reward.name,
+            reward_type: reward.reward_type,
+            discount_code: fulfilment.fulfilment_type === 'discount_code' ? fulfilment.code : undefined,
+            price_rule_id: fulfilment.price_rule_id,
+            gift_card_id: fulfilment.gift_card_id,
+            gift_card_last_characters: fulfilment.gift_card_last_characters,
+            discount_amount: fulfilment.discount_amount,
+            expires_at: fulfilment.expires_at,
+            redemption_source: 'rewards_catalog'
+          }
+        })
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          code: 'insufficient_points',
+          error: `Insufficient points. ${reward.name} costs ${reward.points_cost} points and you have ${customerPoints.current_balance}.`
+        };
+      }
+
+      const fulfilment = result.issued;
+
+      console.log(`[REWARDS] Customer ${customerId} redeemed ${reward.points_cost} points for ${reward.name} (${fulfilment.fulfilment_type})`);
+
+      return {
+        success: true,
+        customer_id: customerId,
+        reward: {
+          id: reward._id.toString(),
+          name: reward.name,
+          reward_type: reward.reward_type
+        },
+        points_redeemed: reward.points_cost,
+        new_balance: result.customer.current_balance,
+        redemption_id: result.redemption._id.toString(),
+        transaction_id: result.transaction._id.toString(),
+        ...fulfilment
+      };
+    } catch (error) {
+      console.error('[REWARDS] Error redeeming reward:', error);
+      throw error;
+    }
+  }
+
+}
+
+RewardService.REWARD_TYPE_LABELS = REWARD_TYPE_LABELS;
+
+module.exports = RewardService;
@@ -0,0 +1,206 @@
+const axios = require('axios');
+
+const API_VERSION = '2023-10';
+
+// Collections are read 250 products a page; stop after this many pages
+const MAX_COLLECTION_PAGES = 40;
+
+class ShopifyService {
+
+  // Make Shopify Admin API request
+  static async request(endpoint, method = 'GET', data = null) {
+    const storeUrl = process.env.SHOPIFY_STORE_URL;
+    const accessToken = process.env.SHOPIFY_ACCESS_TOKEN;
+
+    if (!storeUrl || !accessToken) {
+      throw new Error('Shopify store URL and access token are required');
+    }
+
+    const config = {
+      method,
+      url: `https://${storeUrl}/admin/api/${API_VERSION}/${endpoint}`,
+      headers: {
+        'X-Shopify-Access-Token': accessToken,
+        'Content-Type': 'application/json'
+      }
+    };
+
+    if (data) {
+      config.data = data;
+    }
+
+    return axios(config);
+  }
+
+  // Get tags for a list of products, keyed by product id
+  static async getProductTags(productIds) {
+    const ids = [...new Set(productIds.filter(Boolean).map(id => id.toString()))];
+    const tagsByProduct = {};
+
+    if (ids.length === 0) {
+      return tagsByProduct;
+    }
+
+    // Shopify allows up to 250 ids per request
+    for (let i = 0; i < ids.length; i += 250) {
+      const batch = ids.slice(i, i + 250);
+      const response = await this.request(`products.json?ids=${batch.join(',')}&fields=id,tags&limit=250`);
+
+      for (const product of response.data.products) {
+        tagsByProduct[product.id.toString()] = (product.tags || '')
+          .split(',')
+          .map(tag => tag.trim().toLowerCase())
+          .filter(Boolean);
+      }
+    }
+
+    return tagsByProduct;
+  }
+
+  // Get a customer with their lifetime order count and spend
+  static async getCustomer(customerId) {
+    const response = await this.request(`customers/${customerId}.json?fields=id,email,orders_count,total_spent,tags`);
+    return response.data.customer;
+  }
+
+  // Get an order with the fields needed to check what it qualifies for
+  static async getOrder(orderId) {
+    const response = await this.request(`orders/${orderId}.json?fields=id,order_number,customer,total_price,subtotal_price,financial_status,cancelled_at`);
+    return response.data.order;
+  }
+
+  // Create a price rule with a single discount code.
+  // onPriceRuleCreated(priceRuleId) runs before the code is added, so callers can record the rule first.
+  static async createDiscountCode(priceRule, code, { onPriceRuleCreated } = {}) {
+    const priceRuleResponse = await this.request('price_rules.json', 'POST', { price_rule: priceRule });
+    const priceRuleId = priceRuleResponse.data.price_rule.id;
+
+    try {
+      if (onPriceRuleCreated) {
+        await onPriceRuleCreated(priceRuleId.toString());
+      }
+
+      const codeResponse = await this.request(`price_rules/${priceRuleId}/discount_codes.json`, 'POST', {
+        discount_code: { code }
+      });
+
+      return {
+        code,
+        price_rule_id: priceRuleId.toString(),
+        discount_code_id: codeResponse.data.discount_code.id.toString()
+      };
+    } catch (error) {
+      // Don't leave a price rule behind without a code
+      await this.deletePriceRule(priceRuleId).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Delete a price rule and its codes (already deleted counts as done)
+  static async deletePriceRule(priceRuleId) {
+    try {
+      await this.request(`price_rules/${priceRuleId}.json`, 'DELETE');
+      return true;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Find a price rule by its exact title among those created since createdAtMin, or null
+  static async findPriceRuleByTitle(title, createdAtMin) {
+    // Requests after the first may only carry limit, fields and the cursor
+    let endpoint = `price_rules.json?fields=id,title&limit=250&created_at_min=${encodeURIComponent(createdAtMin.toISOString())}`;
+
+    for (;;) {
+      const response = await this.request(endpoint);
+      const match = response.data.price_rules.find(rule => rule.title === title);
+
+      if (match) {
+        return match.id.toString();
+      }
+
+      const pageInfo = this.getNextPageInfo(response.headers?.link);
+
+      if (!pageInfo) {
+        return null;
+      }
+
+      endpoint = `price_rules.json?fields=id,title&limit=250&page_info=${pageInfo}`;
+    }
+  }
+
+  // Get a variant's price, for pricing a free product reward
+  static async getVariant(variantId) {
+    const response = await this.request(`variants/${variantId}.json?fields=id,product_id,title,price`);
+    return response.data.variant;
+  }
+
+  // Get a product with its variants' prices
+  static async getProduct(productId) {
+    const response = await this.request(`products/${productId}.json?fields=id,title,variants`);
+    return response.data.product;
+  }
+
+  // Issue a gift card (requires the write_gift_cards scope)
+  static async createGiftCard(giftCard) {
+    const response = await this.request('gift_cards.json', 'POST', { gift_card: giftCard });
+    const created = response.data.gift_card;
+
+    return {
+      gift_card_id: created.id.toString(),
+      last_characters: created.last_characters,
+      expires_on: created.expires_on
+    };
+  }
+
+  // Find a gift card by its last characters and a marker in its note, or null
+  static async findGiftCard(lastCharacters, noteMarker) {
+    const query = encodeURIComponent(`last_characters:${lastCharacters}`);
+    const response = await this.request(`gift_cards/search.json?query=${query}&fields=id,note&limit=250`);
+    const match = response.data.gift_cards.find(card => card.note?.includes(noteMarker));
+    return match ? match.id.toString() : null;
+  }
+
+  // Disable a gift card so it can no longer be spent
+  static async disableGiftCard(giftCardId) {
+    await this.request(`gift_cards/${giftCardId}/disable.json`, 'POST', { gift_card: { id: giftCardId } });
+  }
+
+  // page_info cursor for the next page from a paginated response's Link header, or null on the last page
+  static getNextPageInfo(linkHeader) {
+    const next = (linkHeader || '').split(',').find(link => link.includes('rel="next"'));
+    const match = next?.match(/[?&]page_info=([^&>]+)/);
+    return match ? match[1] : null;
+  }
+
+  // Get ids of all products in a custom or smart collection
+  static async getCollectionProductIds(collectionId) {
+    const productIds = [];
+    // Requests after the first may only carry limit, fields and the cursor
+    let endpoint = `collections/${collectionId}/products.json?fields=id&limit=250`;
+
+    for (let page = 1; ; page++) {
+      const response = await this.request(endpoint);
+      productIds.push(...response.data.products.map(product => product.id.toString()));
+
+      const pageInfo = this.getNextPageInfo(response.headers?.link);
+
+      if (!pageInfo) break;
+
+      if (page >= MAX_COLLECTION_PAGES) {
+        console.warn(`[SHOPIFY] Collection ${collectionId} has more than ${productIds.length} products, only the first ${productIds.length} are used`);
+        break;
+      }
+
+      endpoint = `collections/${collectionId}/products.json?fields=id&limit=250&page_info=${pageInfo}`;
+    }
+
+    return productIds;
+  }
+
+}
+
+module.exports = ShopifyService;
@@ -0,0 +1,112 @@
+const { SpinWheelAttempt } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value, places = 2) => Math.round(value * Math.pow(10, places)) / Math.pow(10, places);
+
+class SpinAnalyticsService {
+
+  // Spin wheel report for spins made in [since, until)
+  static async getAnalytics({ since, until = new Date() } = {}) {
+    const from = since || new Date(until.getTime() - 30 * DAY_MS);
+    const match = { created_at: { $gte: from, $lt: until } };
+
+    const [spinsPerDay, prizeDistribution, prizeTypes, incremental] = await Promise.all([
+      SpinWheelAttempt.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } },
+            spins: { $sum: 1 },
+            customers: { $addToSet: '$customer_id' }
+          }
+        },
+        { $sort: { _id: 1 } }
+      ]),
+
+      SpinWheelAttempt.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { prize_id: '$prize_id', label: '$prize_label', type: '$prize_type' },
+            wins: { $sum: 1 }
+          }
+        },
+        { $sort: { wins: -1 } }
+      ]),
+
+      // Points prizes are credited on the spot, so they always count as redeemed
+      SpinWheelAttempt.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: '$prize_type',
+            won: { $sum: 1 },
+            redeemed: { $sum: { $cond: ['$redeemed', 1, 0] } },
+            expired: { $sum: { $cond: [{ $and: [{ $not: ['$redeemed'] }, { $lt: ['$expires_at', new Date()] }] }, 1, 0] } },
+            discount_value_redeemed: { $sum: { $ifNull: ['$redeemed_discount_amount', 0] } },
+            points_awarded: { $sum: { $cond: [{ $eq: ['$prize_type', 'points'] }, '$prize_value', 0] } }
+          }
+        }
+      ]),
+
+      // Orders placed with a prize code, i.e. orders the wheel brought back
+      SpinWheelAttempt.aggregate([
+        { $match: { ...match, redeemed_order_id: { $ne: null } } },
+        {
+          $group: {
+            _id: null,
+            orders: { $addToSet: '$redeemed_order_id' },
+            customers: { $addToSet: '$customer_id' },
+            revenue: { $sum: { $ifNull: ['$redeemed_order_total', 0] } },
+            discounts: { $sum: { $ifNull: ['$redeemed_discount_amount', 0] } },
+            days_to_return: { $avg: { $divide: [{ $subtract: ['$redeemed_at', '$created_at'] }, DAY_MS] } }
+          }
+        }
+      ])
+    ]);
+
+    const totalSpins = spinsPerDay.reduce((sum, day) => sum + day.spins, 0);
+    const spinners = new Set(spinsPerDay.flatMap(day => day.customers));
+    const incrementalOrders = incremental[0];
+
+    return {
+      period: { since: from, until },
+      total_spins: totalSpins,
+      unique_customers: spinners.size,
+      spins_per_day: spinsPerDay.map(day => ({
+        date: day._id,
+        spins: day.spins,
+        customers: day.customers.length
+      })),
+      prize_distribution: prizeDistribution.map(prize => ({
+        prize_id: prize._id.prize_id,
+        label: prize._id.label,
+        type: prize._id.type,
+        wins: prize.wins,
+        share: totalSpins > 0 ? round(prize.wins / totalSpins * 100) : 0
+      })),
+      conversion_by_type: prizeTypes.map(type => ({
+        prize_type: type._id,
+        won: type.won,
+        redeemed: type.redeemed,
+        expired: type.expired,
+        redemption_rate: type.won > 0 ? round(type.redeemed / type.won * 100) : 0
+      })),
+      discount_value_redeemed: round(prizeTypes.reduce((sum, type) => sum + type.discount_value_redeemed, 0)),
+      points_awarded: prizeTypes.reduce((sum, type) => sum + type.points_awarded, 0),
+      incremental_orders: {
+        orders: incrementalOrders?.orders.length || 0,
+        customers: incrementalOrders?.customers.length || 0,
+        // Order totals are after the prize discount
+        revenue: round(incrementalOrders?.revenue || 0),
+        discounts_given: round(incrementalOrders?.discounts || 0),
+        average_days_to_return: incrementalOrders ? round(incrementalOrders.days_to_return || 0, 1) : null,
+        return_rate: spinners.size > 0 ? round((incrementalOrders?.customers.length || 0) / spinners.size * 100) : 0
+      }
+    };
+  }
+
+}
+
+module.exports = SpinAnalyticsService;
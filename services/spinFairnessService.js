@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+const { SpinSeed, SpinWheelAttempt } = require('../models');
+
+const MAX_CLIENT_SEED_LENGTH = 64;
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 approximation of erf)
+const normalCdf = (z) => {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+// Upper tail probability of a chi-square statistic (Wilson-Hilferty approximation)
+const chiSquarePValue = (statistic, degreesOfFreedom) => {
+  if (degreesOfFreedom <= 0) return null;
+
+  const k = degreesOfFreedom;
+  const z = (Math.cbrt(statistic / k) - (1 - 2 / (9 * k))) / Math.sqrt(2 / (9 * k));
+
+  return 1 - normalCdf(z);
+};
+
+// Provably fair spins: each spin's random number comes from HMAC-SHA256(server_seed, "client_seed:nonce").
+// The customer sees the server seed's hash before spinning and gets the seed itself once it is rotated,
+// so they can recompute every roll and check it against the hash they were shown.
+class SpinFairnessService {
+
+  static hashSeed(serverSeed) {
+    return crypto.createHash('sha256').update(serverSeed).digest('hex');
+  }
+
+  // Turn the seeds and nonce into a number in [0, 1) using the first 52 bits of the HMAC
+  static computeRoll(serverSeed, clientSeed, nonce) {
+    const hmac = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest('hex');
+    return parseInt(hmac.slice(0, 13), 16) / Math.pow(2, 52);
+  }
+
+  // Use the customer's seed if given, otherwise a random one
+  static normalizeClientSeed(clientSeed) {
+    if (clientSeed === undefined || clientSeed === null || clientSeed === '') {
+      return crypto.randomBytes(8).toString('hex');
+    }
+
+    return String(clientSeed).slice(0, MAX_CLIENT_SEED_LENGTH);
+  }
+
+  // The customer's current server seed, committing a new one if they have none
+  static async getActiveSeed(customerId) {
+    const existing = await SpinSeed.findOne({ customer_id: customerId, active: true });
+
+    if (existing) {
+      return existing;
+    }
+
+    const serverSeed = crypto.randomBytes(32).toString('hex');
+
+    try {
+      return await SpinSeed.create({
+        customer_id: customerId,
+        server_seed: serverSeed,
+        server_seed_hash: this.hashSeed(serverSeed)
+      });
+    } catch (error) {
+      // A concurrent request committed one first
+      if (error.code === 11000) {
+        return SpinSeed.findOne({ customer_id: customerId, active: true });
+      }
+      throw error;
+    }
+  }
+
+  // Take the next nonce from the customer's active seed
+  static async claimNonce(customerId) {
+    while (true) {
+      const seed = await this.getActiveSeed(customerId);
+
+      // Returns the seed as it was before the increment, i.e. with the nonce we claimed
+      const claimed = await SpinSeed.findOneAndUpdate(
+        { _id: seed._id, active: true },
+        { $inc: { nonce: 1 } }
+      );
+
+      if (claimed) {
+        return { seed: claimed, nonce: claimed.nonce };
+      }
+      // Rotated in between - try the new seed
+    }
+  }
+
+  // Reveal the customer's current server seed and commit a new one
+  static async rotateSeed(customerId, now = new Date()) {
+    const current = await SpinSeed.findOneAndUpdate(
+      { customer_id: customerId, active: true },
+      { $set: { active: false, revealed_at: now } },
+      { new: true }
+    );
+
+    const next = await this.getActiveSeed(customerId);
+
+    return {
+      revealed: current ? {
+        server_seed: current.server_seed,
+        server_seed_hash: current.server_seed_hash,
+        spins: current.nonce,
+        revealed_at: current.revealed_at
+      } : null,
+      server_seed_hash: next.server_seed_hash,
+      next_nonce: next.nonce
+    };
+  }
+
+  // Snapshot of the prizes in a draw, in wheel order
+  static buildDraw(prizes) {
+    return prizes.map(prize => ({
+      prize_id: prize._id.toString(),
+      label: prize.label,
+      probability: prize.probability
+    }));
+  }
+
+  // Recompute a spin from its stored seeds and check it landed on the recorded prize
+  static async verifyAttempt(attempt) {
+    const SpinWheelService = require('./spinWheelService');
+    const fairness = attempt.fairness;
+
+    if (!fairness || fairness.nonce === undefined || fairness.nonce === null) {
+      return { verifiable: false, reason: 'This spin was made before provably fair spins were enabled' };
+    }
+
+    const seed = await SpinSeed.findById(fairness.spin_seed_id);
+
+    if (!seed) {
+      return { verifiable: false, reason: 'Server seed not found' };
+    }
+
+    const roll = this.computeRoll(seed.server_seed, fairness.client_seed, fairness.nonce);
+    const expectedPrize = SpinWheelService.pickPrize(fairness.draw, roll);
+    const hashMatches = this.hashSeed(seed.server_seed) === fairness.server_seed_hash;
+    const prizeMatches = expectedPrize?.prize_id === attempt.prize_id;
+
+    return {
+      verifiable: true,
+      verified: hashMatches && prizeMatches && roll === fairness.roll,
+      server_seed_hash: fairness.server_seed_hash,
+      server_seed: seed.active ? null : seed.server_seed,
+      seed_revealed: !seed.active,
+      client_seed: fairness.client_seed,
+      nonce: fairness.nonce,
+      roll,
+      hash_matches: hashMatches,
+      draw: fairness.draw,
+      expected_prize: expectedPrize ? { prize_id: expectedPrize.prize_id, label: expectedPrize.label } : null,
+      recorded_prize: { prize_id: attempt.prize_id, label: attempt.prize_label }
+    };
+  }
+
+  // Compare how often each prize was won with how often it should have been.
+  // Expected counts use the weights in force at each spin, so sold out prizes don't skew the comparison.
+  static async getFairnessReport(prizes, { since = null, until = null } = {}) {
+    const query = { 'fairness.nonce': { $ne: null } };
+
+    if (since || until) {
+      query.created_at = {};
+      if (since) query.created_at.$gte = since;
+      if (until) query.created_at.$lt = until;
+    }
+
+    const totalProbability = prizes.reduce((sum, prize) => sum + prize.probability, 0);
+    const rows = new Map(prizes.map(prize => [prize._id.toString(), {
+      prize_id: prize._id.toString(),
+      label: prize.label,
+      configured_probability: totalProbability > 0 ? prize.probability / totalProbability * 100 : 0,
+      observed: 0,
+      expected: 0
+    }]));
+
+    let spins = 0;
+    const cursor = SpinWheelAttempt.find(query).select('prize_id prize_label fairness.draw').lean().cursor();
+
+    for await (const attempt of cursor) {
+      spins++;
+
+      const drawWeight = attempt.fairness.draw.reduce((sum, prize) => sum + prize.probability, 0);
+
+      for (const prize of attempt.fairness.draw) {
+        if (!rows.has(prize.prize_id)) {
+          // Prize has since been removed from the wheel
+          rows.set(prize.prize_id, { prize_id: prize.prize_id, label: prize.label, configured_probability: 0, observed: 0, expected: 0 });
+        }
+        rows.get(prize.prize_id).expected += drawWeight > 0 ? prize.probability / drawWeight : 0;
+      }
+
+      if (rows.has(attempt.prize_id)) {
+        rows.get(attempt.prize_id).observed++;
+      }
+    }
+
+    let chiSquare = 0;
+    let categories = 0;
+
+    const breakdown = [...rows.values()].map(row => {
+      if (row.expected > 0) {
+        chiSquare += Math.pow(row.observed - row.expected, 2) / row.expected;
+        categories++;
+      }
+
+      return {
+        ...row,
+        expected: Math.round(row.expected * 100) / 100,
+        observed_probability: spins > 0 ? Math.round(row.observed / spins * 10000) / 100 : 0,
+        configured_probability: Math.round(row.configured_probability * 100) / 100
+      };
+    });
+
+    const degreesOfFreedom = Math.max(categories - 1, 0);
+    const pValue = spins > 0 ? chiSquarePValue(chiSquare, degreesOfFreedom) : null;
+
+    return {
+      spins,
+      period: { since, until },
+      prizes: breakdown,
+      chi_square: Math.round(chiSquare * 1000) / 1000,
+      degrees_of_freedom: degreesOfFreedom,
+      p_value: pValue === null ? null : Math.round(pValue * 10000) / 10000,
+      // A very small p-value means results differ from the configured odds by more than chance would explain
+      consistent_with_configuration: pValue === null ? null : pValue >= 0.01
+    };
+  }
+
+}
+
+module.exports = SpinFairnessService;
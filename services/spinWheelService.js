@@ -0,0 +1,586 @@
+const crypto = require('crypto');
+const { CustomerPoints, SpinWheelAttempt, SpinDailyCount } = require('../models');
+const PointsService = require('./pointsService');
+const SpinFairnessService = require('./spinFairnessService');
+const ShopifyService = require('./shopifyService');
+const TierService = require('./tierService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SpinWheelService {
+
+  // Pick a prize by weighted probability. Weights need not add up to 100.
+  static pickPrize(prizes, random = Math.random()) {
+    const candidates = prizes.filter(prize => prize.probability > 0);
+    const totalWeight = candidates.reduce((sum, prize) => sum + prize.probability, 0);
+
+    if (totalWeight <= 0) {
+      return null;
+    }
+
+    let roll = random * totalWeight;
+
+    for (const prize of candidates) {
+      roll -= prize.probability;
+      if (roll < 0) {
+        return prize;
+      }
+    }
+
+    // Floating point leftovers land on the last prize
+    return candidates[candidates.length - 1];
+  }
+
+  // Start of the current day in UTC, when daily spin limits reset
+  static getDayStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  // Start of a prize inventory period (UTC), or null for an all-time limit
+  static getInventoryPeriodStart(period, now = new Date()) {
+    switch (period) {
+      case 'day':
+        return this.getDayStart(now);
+      case 'week': {
+        // Weeks start on Monday
+        const dayStart = this.getDayStart(now);
+        return new Date(dayStart.getTime() - ((dayStart.getUTCDay() + 6) % 7) * DAY_MS);
+      }
+      case 'month':
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+      default:
+        return null;
+    }
+  }
+
+  // Wins of a prize in its current inventory period
+  static async countPrizeWins(prize, now = new Date()) {
+    const query = { prize_id: prize._id.toString() };
+    const since = this.getInventoryPeriodStart(prize.inventory?.period, now);
+
+    if (since) {
+      query.created_at = { $gte: since };
+    }
+
+    return SpinWheelAttempt.countDocuments(query);
+  }
+
+  static hasInventoryLimit(prize) {
+    return prize.inventory?.limit !== null && prize.inventory?.limit !== undefined;
+  }
+
+  // Stock levels of prizes with an inventory limit
+  static async getPrizeInventory(prizes, now = new Date()) {
+    const inventory = [];
+
+    for (const prize of prizes.filter(prize => this.hasInventoryLimit(prize))) {
+      const won = await this.countPrizeWins(prize, now);
+
+      inventory.push({
+        prize_id: prize._id.toString(),
+        label: prize.label,
+        limit: prize.inventory.limit,
+        period: prize.inventory.period,
+        period_start: this.getInventoryPeriodStart(prize.inventory.period, now),
+        won,
+        remaining: Math.max(prize.inventory.limit - won, 0)
+      });
+    }
+
+    return inventory;
+  }
+
+  // Prizes still in stock. Sold out prizes drop out and the draw spreads their weight over the rest.
+  static async getAvailablePrizes(prizes, now = new Date()) {
+    const inventory = await this.getPrizeInventory(prizes, now);
+    const soldOut = new Set(inventory.filter(item => item.remaining === 0).map(item => item.prize_id));
+
+    return prizes.filter(prize => !soldOut.has(prize._id.toString()));
+  }
+
+  // Error for a customer who has used up today's spins
+  static getDailyLimitError(settings, now = new Date()) {
+    return {
+      code: 'daily_limit',
+      error: `Daily spin limit reached (${settings.daily_limit} per day)`,
+      next_spin_at: new Date(this.getDayStart(now).getTime() + DAY_MS)
+    };
+  }
+
+  // Take one of the customer's spins for today, guarded on the limit so concurrent spins
+  // can't both get the last one. Returns false when the limit is reached.
+  static async claimDailySpin(customerId, dailyLimit, now = new Date()) {
+    const dayStart = this.getDayStart(now);
+    const day = dayStart.toISOString().slice(0, 10);
+
+    // A second try covers two first spins of the day racing to create the counter
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const counter = await SpinDailyCount.findOneAndUpdate(
+          { customer_id: customerId, day, count: { $lt: dailyLimit } },
+          {
+            $inc: { count: 1 },
+            $setOnInsert: { expires_at: new Date(dayStart.getTime() + 2 * DAY_MS) }
+          },
+          { upsert: true, new: true }
+        );
+
+        return Boolean(counter);
+      } catch (error) {
+        // The day's counter exists but is at the limit, so the upsert tried to create another
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  // Give back a daily spin claimed for a spin that didn't go through
+  static async releaseDailySpin(customerId, now = new Date()) {
+    await SpinDailyCount.updateOne(
+      { customer_id: customerId, day: this.getDayStart(now).toISOString().slice(0, 10), count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  // Check whether a customer may spin for an order.
+  // Returns { eligible: true, order } or { eligible: false, code, error }.
+  static async checkEligibility(customerId, orderId, config, now = new Date()) {
+    const settings = config.spin_wheel_settings || {};
+
+    if (!settings.enabled) {
+      return { eligible: false, code: 'disabled', error: 'The spin wheel is not enabled' };
+    }
+
+    if (await SpinWheelAttempt.exists({ order_id: orderId })) {
+      return { eligible: false, code: 'already_spun', error: 'This order has already been used for a spin' };
+    }
+
+    if (settings.daily_limit > 0) {
+      const spinsToday = await SpinWheelAttempt.countDocuments({
+        customer_id: customerId,
+        created_at: { $gte: this.getDayStart(now) }
+      });
+
+      if (spinsToday >= settings.daily_limit) {
+        return { eligible: false, ...this.getDailyLimitError(settings, now) };
+      }
+    }
+
+    let order;
+    try {
+      order = await ShopifyService.getOrder(orderId);
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return { eligible: false, code: 'order_not_found', error: 'Order not found' };
+      }
+      throw error;
+    }
+
+    if (order.customer?.id?.toString() !== customerId.toString()) {
+      return { eligible: false, code: 'order_not_found', error: 'Order not found for this customer' };
+    }
+
+    if (order.cancelled_at) {
+      return { eligible: false, code: 'order_cancelled', error: 'Cancelled orders cannot be used for a spin' };
+    }
+
+    const orderTotal = parseFloat(order.total_price) || 0;
+
+    if (orderTotal < (settings.min_order_amount || 0)) {
+      return {
+        eligible: false,
+        code: 'order_too_small',
+        error: `Orders of $${settings.min_order_amount} or more qualify for a spin`
+      };
+    }
+
+    return { eligible: true, order, order_total: orderTotal };
+  }
+
+  // Credit a points prize to the customer straight away
+  static async awardPointsPrize(attempt, order, config, now = new Date()) {
+    const customerId = attempt.customer_id;
+    let customerPoints = await PointsService.creditPoints(customerId, attempt.prize_value, {
+      profile: {
+        email: order.customer?.email,
+        first_name: order.customer?.first_name,
+        last_name: order.customer?.last_name
+      }
+    });
+
+    // The prize is paid out now, so the attempt stands even if a later step fails
+    await this.trackAttempt(attempt, { redeemed: true, redeemed_at: now });
+
+    const settledDebt = await PointsService.settlePointsDebt(customerId);
+
+    if (settledDebt > 0) {
+      customerPoints = await CustomerPoints.findOne({ customer_id: customerId });
+    }
+
+    const transaction = await PointsService.recordTransaction({
+      customer_id: customerId,
+      order_id: attempt.order_id,
+      transaction_type: 'earned',
+      points: attempt.prize_value,
+      description: `Spin wheel prize: ${attempt.prize_label}`,
+      metadata: {
+        order_number: order.order_number?.toString(),
+        spin_wheel_result: attempt._id.toString()
+      }
+    });
+
+    if (settledDebt > 0) {
+      await PointsService.consumeLots(customerId, settledDebt);
+    }
+
+    await TierService.evaluateCustomer(customerPoints, config, { reason: 'spin_wheel', allowDowngrade: false });
+
+    if (customerPoints.isModified()) {
+      await customerPoints.save();
+    }
+
+    return { transaction, customerPoints };
+  }
+
+  // Build the single-use Shopify price rule for a discount or free shipping prize.
+  // Only the winner can use it, once, until the prize expires.
+  static buildPriceRule(attempt, now = new Date()) {
+    const priceRule = {
+      title: `Spin Wheel Prize - ${attempt.prize_label}`,
+      target_selection: 'all',
+      customer_selection: 'prerequisite',
+      prerequisite_customer_ids: [attempt.customer_id],
+      usage_limit: 1,
+      once_per_customer: true,
+      starts_at: now.toISOString(),
+      ends_at: attempt.expires_at.toISOString()
+    };
+
+    if (attempt.prize_type === 'free_shipping') {
+      return {
+        ...priceRule,
+        target_type: 'shipping_line',
+        allocation_method: 'each',
+        value_type: 'percentage',
+        value: '-100.0'
+      };
+    }
+
+    return {
+      ...priceRule,
+      target_type: 'line_item',
+      allocation_method: 'across',
+      value_type: 'percentage',
+      value: `-${attempt.prize_value}`
+    };
+  }
+
+  // Generate a discount code for a prize, e.g. SPIN10-4F9A2C or SPINSHIP-81D0E7
+  static generateDiscountCode(attempt) {
+    const prefix = attempt.prize_type === 'free_shipping' ? 'SPINSHIP' : `SPIN${attempt.prize_value}`;
+    return `${prefix}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  }
+
+  // Turn a discount or free shipping prize into a Shopify discount code (mutates the attempt, caller saves).
+  // The rule's title is saved before the call and its id as soon as the rule exists, so a rule
+  // whose code was never saved can still be found and removed.
+  static async createPrizeDiscount(attempt, now = new Date()) {
+    const priceRule = this.buildPriceRule(attempt, now);
+    const title = `${priceRule.title} (spin ${attempt._id})`;
+
+    await this.trackAttempt(attempt, { price_rule_title: title });
+
+    const discount = await ShopifyService.createDiscountCode({ ...priceRule, title }, this.generateDiscountCode(attempt), {
+      onPriceRuleCreated: priceRuleId => this.trackAttempt(attempt, { price_rule_id: priceRuleId })
+    });
+
+    attempt.discount_code = discount.code;
+    attempt.price_rule_id = discount.price_rule_id;
+    attempt.discount_code_id = discount.discount_code_id;
+
+    return discount;
+  }
+
+  // Save fields on an attempt straight away, keeping the in-memory copy in step
+  static async trackAttempt(attempt, fields) {
+    attempt.set(fields);
+    await SpinWheelAttempt.updateOne({ _id: attempt._id }, { $set: fields });
+  }
+
+  // Delete a prize's Shopify price rule, looking it up by title if its id was never saved
+  static async removePrizeDiscount(attempt) {
+    let priceRuleId = attempt.price_rule_id;
+
+    if (!priceRuleId && attempt.price_rule_title) {
+      // Allow for clock differences between us and Shopify
+      const createdAtMin = new Date(attempt.created_at.getTime() - 5 * 60 * 1000);
+      priceRuleId = await ShopifyService.findPriceRuleByTitle(attempt.price_rule_title, createdAtMin);
+    }
+
+    if (priceRuleId) {
+      await ShopifyService.deletePriceRule(priceRuleId);
+    }
+  }
+
+  // Spin the wheel for an order: check eligibility, draw a prize and record the attempt
+  static async spin(customerId, orderId, { clientSeed, now = new Date() } = {}) {
+    try {
+      const config = await PointsService.getStoreConfig();
+      const eligibility = await this.checkEligibility(customerId, orderId, config, now);
+
+      if (!eligibility.eligible) {
+        return { success: false, ...eligibility };
+      }
+
+      const settings = config.spin_wheel_settings;
+      const limitsDailySpins = settings.daily_limit > 0;
+
+      // The eligibility check read the count; taking the spin here is what enforces the limit
+      if (limitsDailySpins && !await this.claimDailySpin(customerId.toString(), settings.daily_limit, now)) {
+        return { success: false, ...this.getDailyLimitError(settings, now) };
+      }
+
+      let drawn;
+
+      try {
+        drawn = await this.drawPrize({
+          customer_id: customerId.toString(),
+          order_id: orderId.toString(),
+          order_total: eligibility.order_total,
+          expires_at: new Date(now.getTime() + (settings.prize_expiry_days || 30) * DAY_MS)
+        }, settings.prizes || [], { clientSeed, now });
+      } catch (error) {
+        if (limitsDailySpins) await this.releaseDailySpin(customerId.toString(), now);
+
+        // Another request spun for this order first
+        if (error.code === 11000) {
+          return { success: false, code: 'already_spun', error: 'This order has already been used for a spin' };
+        }
+        throw error;
+      }
+
+      if (!drawn) {
+        if (limitsDailySpins) await this.releaseDailySpin(customerId.toString(), now);
+        return { success: false, code: 'no_prizes', error: 'The spin wheel has no prizes left to win' };
+      }
+
+      const { prize, attempt } = drawn;
+
+      let newBalance = null;
+
+      try {
+        if (prize.type === 'points') {
+          const { transaction, customerPoints } = await this.awardPointsPrize(attempt, eligibility.order, config, now);
+
+          attempt.transaction_id = transaction._id.toString();
+          newBalance = customerPoints.current_balance;
+        } else {
+          await this.createPrizeDiscount(attempt, now);
+        }
+
+        await attempt.save();
+      } catch (error) {
+        if (attempt.redeemed) {
+          // The points were credited, so the prize stands and the spin stays used
+          console.error(`[SPIN] Points prize ${attempt._id} was credited but not fully recorded:`, error.message);
+          throw error;
+        }
+
+        // Nothing reached the customer: remove any code created for the prize, then give the spin back
+        try {
+          await this.removePrizeDiscount(attempt);
+        } catch (cleanupError) {
+          // Keep the attempt, unredeemed, so the expired prize cleanup removes the rule later
+          console.error(`[SPIN] Could not remove the discount of failed prize ${attempt._id}:`, cleanupError.message);
+          throw error;
+        }
+
+        await SpinWheelAttempt.deleteOne({ _id: attempt._id });
+        if (limitsDailySpins) await this.releaseDailySpin(customerId.toString(), now);
+        throw error;
+      }
+
+      console.log(`[SPIN] Customer ${customerId} won ${prize.label} on order ${orderId}`);
+
+      return {
+        success: true,
+        attempt,
+        prize: {
+          id: prize._id.toString(),
+          type: prize.type,
+          value: prize.value,
+          label: prize.label,
+          color: prize.color
+        },
+        discount_code: attempt.discount_code || null,
+        new_balance: newBalance,
+        fairness: {
+          server_seed_hash: attempt.fairness.server_seed_hash,
+          client_seed: attempt.fairness.client_seed,
+          nonce: attempt.fairness.nonce
+        }
+      };
+    } catch (error) {
+      console.error('[SPIN] Error spinning wheel:', error);
+      throw error;
+    }
+  }
+
+  // Draw a prize from those in stock with a provably fair roll and record the attempt.
+  // If a concurrent spin took the last of a limited prize first, the attempt is dropped and the
+  // same roll is applied again without it (the stored draw shows the prizes the roll was applied to).
+  static async drawPrize(attemptData, prizes, { clientSeed, now = new Date() } = {}) {
+    let available = await this.getAvailablePrizes(prizes, now);
+
+    if (!available.some(prize => prize.probability > 0)) {
+      return null;
+    }
+
+    const { seed, nonce } = await SpinFairnessService.claimNonce(attemptData.customer_id);
+    const normalizedClientSeed = SpinFairnessService.normalizeClientSeed(clientSeed);
+    const roll = SpinFairnessService.computeRoll(seed.server_seed, normalizedClientSeed, nonce);
+
+    while (true) {
+      const prize = this.pickPrize(available, roll);
+
+      if (!prize) {
+        return null;
+      }
+
+      const attempt = await SpinWheelAttempt.create({
+        ...attemptData,
+        prize_id: prize._id.toString(),
+        prize_type: prize.type,
+        prize_value: prize.value,
+        prize_label: prize.label,
+        fairness: {
+          spin_seed_id: seed._id.toString(),
+          server_seed_hash: seed.server_seed_hash,
+          client_seed: normalizedClientSeed,
+          nonce,
+          roll,
+          draw: SpinFairnessService.buildDraw(available)
+        }
+      });
+
+      if (!this.hasInventoryLimit(prize) || await this.countPrizeWins(prize, now) <= prize.inventory.limit) {
+        return { prize, attempt };
+      }
+
+      await SpinWheelAttempt.deleteOne({ _id: attempt._id });
+      available = available.filter(candidate => candidate !== prize);
+    }
+  }
+
+  // Prizes a customer has won and can still use
+  static async getOpenPrizes(customerId, now = new Date()) {
+    return SpinWheelAttempt.find({
+      customer_id: customerId,
+      redeemed: false,
+      expires_at: { $gt: now }
+    }).sort({ expires_at: 1 });
+  }
+
+  // Mark a prize as used. Returns the attempt, or { error, code } when it can't be redeemed.
+  static async redeemPrize(customerId, spinId, { orderId = null, now = new Date() } = {}) {
+    const update = { redeemed: true, redeemed_at: now };
+
+    if (orderId) {
+      update.redeemed_order_id = orderId.toString();
+    }
+
+    // Claim atomically so the same prize can't be redeemed twice
+    const attempt = await SpinWheelAttempt.findOneAndUpdate(
+      { _id: spinId, customer_id: customerId, redeemed: false, expires_at: { $gt: now } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (attempt) {
+      console.log(`[SPIN] Customer ${customerId} redeemed ${attempt.prize_label} (${attempt.discount_code || 'points'})`);
+      return { attempt };
+    }
+
+    const existing = await SpinWheelAttempt.findOne({ _id: spinId, customer_id: customerId });
+
+    if (!existing) {
+      return { code: 'not_found', error: 'Prize not found' };
+    }
+
+    if (existing.redeemed) {
+      return { code: 'already_redeemed', error: 'This prize has already been redeemed' };
+    }
+
+    return { code: 'expired', error: 'This prize has expired' };
+  }
+
+  // Mark prize codes used on an order as redeemed and tie them to the order (called from the orders/create webhook).
+  // Prizes already redeemed through the API keep their redeemed_at but gain the order details.
+  static async redeemPrizesFromOrder(orderData) {
+    const prizeCodes = (orderData.discount_codes || [])
+      .filter(discount => discount.code?.toUpperCase().startsWith('SPIN'));
+
+    const redeemed = [];
+
+    for (const discount of prizeCodes) {
+      const attempt = await SpinWheelAttempt.findOneAndUpdate(
+        { discount_code: discount.code.toUpperCase(), redeemed_order_id: null },
+        [{
+          $set: {
+            redeemed: true,
+            redeemed_at: { $ifNull: ['$redeemed_at', new Date(orderData.created_at || Date.now())] },
+            redeemed_order_id: orderData.id.toString(),
+            redeemed_order_total: parseFloat(orderData.total_price) || 0,
+            redeemed_discount_amount: parseFloat(discount.amount) || 0
+          }
+        }],
+        { new: true }
+      );
+
+      if (attempt) {
+        console.log(`[SPIN] Prize ${attempt.discount_code} redeemed on order #${orderData.order_number}`);
+        redeemed.push(attempt);
+      }
+    }
+
+    return redeemed;
+  }
+
+  // Remove the Shopify discounts of prizes that expired unredeemed (run from the scheduled job)
+  static async cleanupExpiredPrizes(now = new Date()) {
+    const expired = await SpinWheelAttempt.find({
+      redeemed: false,
+      cleaned_up_at: null,
+      expires_at: { $lte: now }
+    });
+
+    let cleanedUp = 0;
+    let failed = 0;
+
+    for (const attempt of expired) {
+      try {
+        await this.removePrizeDiscount(attempt);
+
+        attempt.cleaned_up_at = now;
+        await attempt.save();
+        cleanedUp++;
+      } catch (error) {
+        // Left for the next run
+        failed++;
+        console.error(`[SPIN] Failed to clean up prize ${attempt._id}:`, error.message);
+      }
+    }
+
+    if (cleanedUp > 0) {
+      console.log(`[SPIN] Cleaned up ${cleanedUp} expired unredeemed prizes`);
+    }
+
+    return { prizes_cleaned_up: cleanedUp, failed };
+  }
+
+}
+
+module.exports = SpinWheelService;
@@ -0,0 +1,381 @@
+const { CustomerPoints, PointsTransaction, TierChange } = require('../models');
+const ShopifyService = require('./shopifyService');
+const NotificationService = require('./notificationService');
+const EventService = require('./eventService');
+
+const TIER_ORDER = ['bronze', 'silver', 'gold', 'platinum'];
+
+const LEGACY_TIER_COLORS = {
+  bronze: '#CD7F32',
+  silver: '#C0C0C0',
+  gold: '#FFD700',
+  platinum: '#E5E4E2'
+};
+
+const DEFAULT_TIER_SETTINGS = {
+  bronze_threshold: 0,
+  silver_threshold: 500,
+  gold_threshold: 1500,
+  platinum_threshold: 5000
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TierService {
+
+  // Get the store's tiers from lowest to highest threshold.
+  // Stores without a custom ladder get the four legacy tiers built from their thresholds.
+  static getTierLadder(tierSettings = DEFAULT_TIER_SETTINGS) {
+    const customTiers = tierSettings?.tiers || [];
+
+    if (customTiers.length > 0) {
+      return customTiers
+        .map(tier => (tier.toObject ? tier.toObject() : { ...tier }))
+        .sort((a, b) =>
+          (a.threshold - b.threshold) ||
+          ((a.min_spend || 0) - (b.min_spend || 0)) ||
+          ((a.min_orders || 0) - (b.min_orders || 0))
+        );
+    }
+
+    const thresholds = { ...DEFAULT_TIER_SETTINGS, ...tierSettings };
+
+    return TIER_ORDER.map(name => ({
+      name,
+      threshold: thresholds[`${name}_threshold`],
+      earning_multiplier: 1,
+      redemption_bonus: 0,
+      badge_color: LEGACY_TIER_COLORS[name]
+    }));
+  }
+
+  // Look up a tier and its perks by name, falling back to the lowest tier
+  static getTier(tierName, tierSettings = DEFAULT_TIER_SETTINGS) {
+    const ladder = this.getTierLadder(tierSettings);
+
+    return ladder.find(tier => tier.name.toLowerCase() === tierName?.toLowerCase()) || ladder[0];
+  }
+
+  // Highest tier whose threshold the qualifying value reaches
+  static tierForValue(value, tierSettings = DEFAULT_TIER_SETTINGS) {
+    const ladder = this.getTierLadder(tierSettings);
+    let tier = ladder[0];
+
+    for (const candidate of ladder) {
+      if (value >= candidate.threshold) {
+        tier = candidate;
+      }
+    }
+
+    return tier.name;
+  }
+
+  // Check a tier's criteria against a customer's stats ({ points, spend, orders })
+  static qualifiesFor(tier, stats, qualification = {}) {
+    const metric = qualification.metric || 'points';
+
+    if (metric !== 'combined') {
+      return (stats[metric] || 0) >= tier.threshold;
+    }
+
+    const requirements = [
+      ['points', tier.threshold],
+      ['spend', tier.min_spend],
+      ['orders', tier.min_orders]
+    ].filter(([, minimum]) => minimum > 0);
+
+    // A tier with no requirements (usually the starting tier) is open to everyone
+    if (requirements.length === 0) {
+      return true;
+    }
+
+    const met = requirements.map(([key, minimum]) => (stats[key] || 0) >= minimum);
+
+    return qualification.combine === 'or' ? met.some(Boolean) : met.every(Boolean);
+  }
+
+  // Highest tier whose criteria the customer's stats meet
+  static tierForStats(stats, tierSettings = DEFAULT_TIER_SETTINGS) {
+    const ladder = this.getTierLadder(tierSettings);
+    const qualification = tierSettings?.qualification || {};
+    let tier = ladder[0];
+
+    for (const candidate of ladder) {
+      if (this.qualifiesFor(candidate, stats, qualification)) {
+        tier = candidate;
+      }
+    }
+
+    return tier.name;
+  }
+
+  // Position of a tier in the ladder (-1 if it is no longer on it)
+  static getTierRank(tierName, tierSettings) {
+    return this.getTierLadder(tierSettings)
+      .findIndex(tier => tier.name.toLowerCase() === tierName?.toLowerCase());
+  }
+
+  // Start of the qualification window, or null for lifetime qualification. Worked out in UTC
+  // so the boundary doesn't move with the server's time zone
+  static getWindowStart(qualification = {}, now = new Date()) {
+    switch (qualification.mode) {
+      case 'rolling': {
+        const start = new Date(now);
+        start.setUTCMonth(start.getUTCMonth() - (qualification.window_months || 12));
+        return start;
+      }
+      case 'calendar_year':
+        return new Date(Date.UTC(now.getUTCFullYear(), 0, 1));
+      default:
+        return null;
+    }
+  }
+
+  // Points earned (net of reversals) since the window start; spendable points only
+  static async getPointsEarned(customerId, since) {
+    const match = {
+      customer_id: customerId,
+      transaction_type: 'earned',
+      status: { $ne: 'pending' }
+    };
+
+    if (since) {
+      match.created_at = { $gte: since };
+    }
+
+    const result = await PointsTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: { $subtract: ['$points', { $ifNull: ['$reversed_points', 0] }] } }
+        }
+      }
+    ]);
+
+    return result[0]?.total || 0;
+  }
+
+  // Money spent and number of orders from the ledger since the window start.
+  // Only orders that earned points are on the ledger; fully reversed orders are not counted.
+  static async getOrderStats(customerId, since) {
+    const match = {
+      customer_id: customerId,
+      transaction_type: 'earned',
+      status: { $ne: 'pending' },
+      order_id: { $exists: true, $ne: null }
+    };
+
+    if (since) {
+      match.created_at = { $gte: since };
+    }
+
+    // Bonus transactions repeat the order total, so group by order first
+    const result = await PointsTransaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$order_id',
+          order_total: { $max: { $ifNull: ['$order_total', 0] } },
+          net_points: { $sum: { $subtract: ['$points', { $ifNull: ['$reversed_points', 0] }] } }
+        }
+      },
+      { $match: { net_points: { $gt: 0 } } },
+      { $group: { _id: null, spend: { $sum: '$order_total' }, orders: { $sum: 1 } } }
+    ]);
+
+    return {
+      spend: Math.round((result[0]?.spend || 0) * 100) / 100,
+      orders: result[0]?.orders || 0
+    };
+  }
+
+  // Lifetime spend and order count as Shopify reports them
+  static async getShopifyOrderStats(customerId) {
+    const customer = await ShopifyService.getCustomer(customerId);
+
+    return {
+      spend: parseFloat(customer.total_spent) || 0,
+      orders: customer.orders_count || 0
+    };
+  }
+
+  // Stats compared against tier criteria for this customer ({ points, spend, orders })
+  static async getQualifyingStats(customerPoints, tierSettings, now = new Date()) {
+    const qualification = tierSettings?.qualification || {};
+    const metric = qualification.metric || 'points';
+    const since = this.getWindowStart(qualification, now);
+    const stats = {};
+
+    if (metric === 'points' || metric === 'combined') {
+      stats.points = since
+        ? await this.getPointsEarned(customerPoints.customer_id, since)
+        : customerPoints.total_earned;
+    }
+
+    if (metric !== 'points') {
+      let orderStats = null;
+
+      // Shopify only knows lifetime totals, so windows always use the ledger
+      if (qualification.spend_source === 'shopify' && !since) {
+        try {
+          orderStats = await this.getShopifyOrderStats(customerPoints.customer_id);
+        } catch (error) {
+          console.warn(`[TIERS] Could not load Shopify totals for customer ${customerPoints.customer_id}, using ledger:`, error.message);
+        }
+      }
+
+      Object.assign(stats, orderStats || await this.getOrderStats(customerPoints.customer_id, since));
+    }
+
+    return stats;
+  }
+
+  // Store a tier change in the customer's tier history and publish it to event subscribers
+  static async recordTierChange(customerPoints, fromTier, toTier, direction, reason, qualifyingStats) {
+    const change = await TierChange.create({
+      customer_id: customerPoints.customer_id,
+      from_tier: fromTier,
+      to_tier: toTier,
+      direction,
+      reason,
+      qualifying_stats: qualifyingStats
+    });
+
+    EventService.publish(EventService.EVENTS.TIER_CHANGED, {
+      tier_change_id: change._id.toString(),
+      customer_id: change.customer_id,
+      email: customerPoints.email,
+      first_name: customerPoints.first_name,
+      from_tier: change.from_tier,
+      to_tier: change.to_tier,
+      direction: change.direction,
+      reason: change.reason,
+      qualifying_stats: qualifyingStats,
+      changed_at: change.created_at.toISOString()
+    });
+
+    return change;
+  }
+
+  // Email a customer about their new tier (subscribed to tier.changed)
+  static async sendTierChangeEmail({ data: change }) {
+    const PointsService = require('./pointsService');
+    const config = await PointsService.getStoreConfig();
+    const { enabled, include_downgrades: includeDowngrades } = config.tier_settings?.change_emails || {};
+
+    if (!enabled || (change.direction === 'down' && !includeDowngrades)) {
+      return null;
+    }
+
+    // No real address to send to
+    if (!change.email || change.email.includes('@unknown.com')) {
+      return null;
+    }
+
+    return NotificationService.send(change.email, 'tier-changed', {
+      ...change,
+      tier: this.getTier(change.to_tier, config.tier_settings),
+      store_name: process.env.STORE_NAME || config.store_domain
+    });
+  }
+
+  // Re-evaluate a customer's tier. Upgrades apply immediately; downgrades wait out the grace period.
+  // Mutates the document (caller saves) and returns the change, if any.
+  static async evaluateCustomer(customerPoints, config, { reason, allowDowngrade = true, now = new Date() } = {}) {
+    const tierSettings = config.tier_settings;
+    const qualifyingStats = await this.getQualifyingStats(customerPoints, tierSettings, now);
+    const qualifiedTier = this.tierForStats(qualifyingStats, tierSettings);
+    const currentRank = this.getTierRank(customerPoints.tier, tierSettings);
+    const qualifiedRank = this.getTierRank(qualifiedTier, tierSettings);
+    const previousTier = customerPoints.tier;
+
+    customerPoints.tier_qualifying_stats = qualifyingStats;
+
+    if (qualifiedRank >= currentRank || currentRank === -1) {
+      // Still qualifies (or better) - cancel any scheduled downgrade
+      customerPoints.tier_downgrade_at = undefined;
+
+      if (qualifiedTier === previousTier) {
+        return null;
+      }
+    } else {
+      if (!allowDowngrade) {
+        return null;
+      }
+
+      const graceDays = tierSettings?.qualification?.downgrade_grace_days || 0;
+
+      if (!customerPoints.tier_downgrade_at && graceDays > 0) {
+        customerPoints.tier_downgrade_at = new Date(now.getTime() + graceDays * DAY_MS);
+        console.log(`[TIERS] Customer ${customerPoints.customer_id} will drop from ${previousTier} to ${qualifiedTier} on ${customerPoints.tier_downgrade_at.toISOString()} unless they requalify`);
+        return null;
+      }
+
+      if (customerPoints.tier_downgrade_at && customerPoints.tier_downgrade_at > now) {
+        return null;
+      }
+
+      customerPoints.tier_downgrade_at = undefined;
+    }
+
+    customerPoints.tier = qualifiedTier;
+
+    const direction = currentRank === -1 ? 'reassigned' : (qualifiedRank > currentRank ? 'up' : 'down');
+    const change = await this.recordTierChange(customerPoints, previousTier, qualifiedTier, direction, reason, qualifyingStats);
+
+    console.log(`[TIERS] Customer ${customerPoints.customer_id} moved from ${previousTier} to ${qualifiedTier} (${reason})`);
+
+    return change;
+  }
+
+  // Re-evaluate every customer's tier and report how many moved
+  static async evaluateTiers(config, { reason, now = new Date() } = {}) {
+    const tierSettings = config.tier_settings;
+    const results = {
+      customers_checked: 0,
+      moved_up: 0,
+      moved_down: 0,
+      reassigned: 0,
+      downgrades_scheduled: 0,
+      unchanged: 0
+    };
+
+    const cursor = CustomerPoints.find().cursor();
+
+    for await (const customer of cursor) {
+      results.customers_checked++;
+
+      const hadScheduledDowngrade = !!customer.tier_downgrade_at;
+      const change = await this.evaluateCustomer(customer, config, { reason, now });
+
+      if (!change) {
+        if (customer.tier_downgrade_at && !hadScheduledDowngrade) {
+          results.downgrades_scheduled++;
+        } else {
+          results.unchanged++;
+        }
+      } else if (change.direction === 'reassigned') {
+        // Old tier was renamed or removed from the ladder
+        results.reassigned++;
+      } else if (change.direction === 'up') {
+        results.moved_up++;
+      } else {
+        results.moved_down++;
+      }
+
+      if (customer.isModified()) {
+        await customer.save();
+      }
+    }
+
+    console.log(`[TIERS] Evaluated ${results.customers_checked} customers: ${results.moved_up} moved up, ${results.moved_down} moved down, ${results.reassigned} reassigned, ${results.downgrades_scheduled} downgrades scheduled`);
+
+    return results;
+  }
+
+}
+
+TierService.DEFAULT_TIER_SETTINGS = DEFAULT_TIER_SETTINGS;
+
+module.exports = TierService;
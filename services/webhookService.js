@@ -0,0 +1,67 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const PointsService = require('./pointsService');
+
+const RETRY_DELAYS_MS = [1000, 5000];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class WebhookService {
+
+  // HMAC-SHA256 of the raw body, base64 encoded (same scheme Shopify uses for its webhooks)
+  static sign(body, secret) {
+    return crypto.createHmac('sha256', secret).update(body, 'utf8').digest('base64');
+  }
+
+  // Webhooks that want this event
+  static getSubscribedWebhooks(config, eventName) {
+    return (config.outbound_webhooks || []).filter(webhook =>
+      webhook.active && (webhook.events.includes('*') || webhook.events.includes(eventName))
+    );
+  }
+
+  // POST an event to one webhook, retrying failed deliveries a couple of times
+  static async deliver(webhook, event) {
+    const body = JSON.stringify(event);
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Loyalty-Event': event.event,
+      'X-Loyalty-Event-Id': event.id
+    };
+
+    if (webhook.secret) {
+      headers['X-Loyalty-Signature'] = this.sign(body, webhook.secret);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.post(webhook.url, body, { headers, timeout: 10000 });
+        return { delivered: true, status: response.status, attempts: attempt + 1 };
+      } catch (error) {
+        if (attempt >= RETRY_DELAYS_MS.length) {
+          throw error;
+        }
+        await wait(RETRY_DELAYS_MS[attempt]);
+      }
+    }
+  }
+
+  // Forward an internal event to every subscribed webhook (subscribed to all events)
+  static async dispatch(event) {
+    const config = await PointsService.getStoreConfig();
+    const webhooks = this.getSubscribedWebhooks(config, event.event);
+
+    const results = await Promise.allSettled(webhooks.map(webhook => this.deliver(webhook, event)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        console.error(`[WEBHOOKS] Failed to deliver ${event.event} (${event.id}) to ${webhooks[index].url}:`, result.reason.message);
+      }
+    });
+
+    return results;
+  }
+
+}
+
+module.exports = WebhookService;
@@ -0,0 +1,37 @@
+const EventService = require('../services/eventService');
+const TierService = require('../services/tierService');
+const WebhookService = require('../services/webhookService');
+
+const { EVENTS } = EventService;
+
+// Event subscribers, registered once at startup
+const subscribers = [
+  {
+    name: 'tier-change-email',
+    event: EVENTS.TIER_CHANGED,
+    handle: (event) => TierService.sendTierChangeEmail(event)
+  },
+  {
+    name: 'outbound-webhooks',
+    event: '*',
+    handle: (event) => WebhookService.dispatch(event)
+  }
+];
+
+let registered = false;
+
+// Subscribe every handler to its event
+const registerSubscribers = () => {
+  if (registered) return;
+  registered = true;
+
+  for (const subscriber of subscribers) {
+    EventService.subscribe(subscriber.event, subscriber.name, subscriber.handle);
+    console.log(`✅ [EVENTS] ${subscriber.name} subscribed to ${subscriber.event}`);
+  }
+};
+
+module.exports = {
+  subscribers,
+  registerSubscribers
+};
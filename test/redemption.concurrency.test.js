@@ -0,0 +1,177 @@
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryServer, DryMongoBinary } = require('mongodb-memory-server-core');
+
+const { CustomerPoints, PointsTransaction, Redemption, StoreConfig } = require('../models');
+const PointsService = require('../services/pointsService');
+const RedemptionService = require('../services/redemptionService');
+
+const CUSTOMER_ID = 'test-customer';
+
+// Why the suite can't run here, or null. An in-memory server needs a mongod binary that is
+// already installed; it is not downloaded during the tests.
+async function getSkipReason() {
+  if (process.env.TEST_MONGODB_URI) {
+    return null;
+  }
+
+  const binary = await DryMongoBinary.locateBinary({}).catch(() => undefined);
+
+  return binary
+    ? null
+    : 'no MongoDB available - set TEST_MONGODB_URI, or MONGOMS_SYSTEM_BINARY to a local mongod';
+}
+
+function createCustomer(fields = {}) {
+  return CustomerPoints.create({
+    customer_id: CUSTOMER_ID,
+    email: 'customer@example.com',
+    ...fields
+  });
+}
+
+// Redeem through the saga with a code that needs no Shopify call
+function redeem(points) {
+  return RedemptionService.redeem({
+    customerId: CUSTOMER_ID,
+    points,
+    source: 'test',
+    issueCode: async (redemption) => ({ code: `TEST-${redemption._id}`, discount_amount: points / 100 }),
+    describeTransaction: (issued) => ({
+      description: `Redeemed for ${issued.code}`,
+      metadata: { discount_code: issued.code }
+    })
+  });
+}
+
+describe('concurrent balance changes', async () => {
+  const skip = await getSkipReason();
+  let mongod = null;
+
+  if (!skip) {
+    before(async () => {
+      let uri = process.env.TEST_MONGODB_URI;
+
+      if (!uri) {
+        mongod = await MongoMemoryServer.create();
+        uri = mongod.getUri();
+      }
+
+      await mongoose.connect(uri, { dbName: 'loyalty-concurrency-test' });
+      await mongoose.connection.db.dropDatabase();
+      await Promise.all([CustomerPoints.init(), PointsTransaction.init(), Redemption.init(), StoreConfig.init()]);
+    });
+
+    after(async () => {
+      await mongoose.connection.db?.dropDatabase();
+      await mongoose.disconnect();
+
+      if (mongod) {
+        await mongod.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Promise.all([
+        CustomerPoints.deleteMany({}),
+        PointsTransaction.deleteMany({}),
+        Redemption.deleteMany({})
+      ]);
+
+      // Created up front so parallel calls don't race to create the default config
+      await PointsService.getStoreConfig();
+    });
+  }
+
+  test('parallel redemptions never spend more than the balance', { skip }, async () => {
+    await createCustomer({ current_balance: 300, total_earned: 300 });
+
+    const results = await Promise.allSettled(Array.from({ length: 10 }, () => PointsService.redeemPoints(CUSTOMER_ID, 100)));
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+
+    const customer = await CustomerPoints.findOne({ customer_id: CUSTOMER_ID });
+    assert.equal(customer.current_balance, 0);
+    assert.equal(customer.total_redeemed, 300);
+    assert.equal(await PointsTransaction.countDocuments({ transaction_type: 'redeemed' }), 3);
+  });
+
+  test('parallel saga redemptions commit only what the balance covers', { skip }, async () => {
+    await createCustomer({ current_balance: 100, total_earned: 100 });
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => redeem(30)));
+    const succeeded = results.filter(result => result.success);
+
+    assert.equal(succeeded.length, 3);
+    assert.ok(results.filter(result => !result.success).every(result => result.code === 'insufficient_points'));
+
+    const customer = await CustomerPoints.findOne({ customer_id: CUSTOMER_ID });
+    assert.equal(customer.current_balance, 10);
+    assert.equal(customer.total_redeemed, 90);
+    assert.equal(await Redemption.countDocuments({ status: 'committed' }), 3);
+    assert.equal(await PointsTransaction.countDocuments({ transaction_type: 'redeemed' }), 3);
+  });
+
+  test('failed saga redemptions running in parallel each return their points once', { skip }, async () => {
+    await createCustomer({ current_balance: 100, total_earned: 100 });
+
+    const results = await Promise.allSettled(Array.from({ length: 4 }, () => RedemptionService.redeem({
+      customerId: CUSTOMER_ID,
+      points: 25,
+      source: 'test',
+      issueCode: async () => { throw new Error('Shopify unavailable'); },
+      describeTransaction: () => ({ description: 'Never recorded', metadata: {} })
+    })));
+
+    assert.ok(results.every(result => result.status === 'rejected'));
+
+    const customer = await CustomerPoints.findOne({ customer_id: CUSTOMER_ID });
+    assert.equal(customer.current_balance, 100);
+    assert.equal(customer.total_redeemed, 0);
+    assert.equal(await Redemption.countDocuments({ status: 'rolled_back', points_restored: true }), 4);
+  });
+
+  test('earning and redeeming at the same time keeps every change', { skip }, async () => {
+    await createCustomer({ current_balance: 100, total_earned: 100 });
+
+    await Promise.all([
+      ...Array.from({ length: 5 }, () => PointsService.creditPoints(CUSTOMER_ID, 10)),
+      ...Array.from({ length: 5 }, () => PointsService.deductPoints(CUSTOMER_ID, 20))
+    ]);
+
+    const customer = await CustomerPoints.findOne({ customer_id: CUSTOMER_ID });
+    assert.equal(customer.current_balance, 50);
+    assert.equal(customer.total_earned, 150);
+    assert.equal(customer.total_redeemed, 100);
+  });
+
+  test('clawback debt is settled exactly once by concurrent earns', { skip }, async () => {
+    await createCustomer({ current_balance: 0, points_debt: 30 });
+
+    const settled = await Promise.all(Array.from({ length: 3 }, async () => {
+      await PointsService.creditPoints(CUSTOMER_ID, 20);
+      return PointsService.settlePointsDebt(CUSTOMER_ID);
+    }));
+
+    assert.equal(settled.reduce((sum, points) => sum + points, 0), 30);
+
+    const customer = await CustomerPoints.findOne({ customer_id: CUSTOMER_ID });
+    assert.equal(customer.current_balance, 30);
+    assert.equal(customer.points_debt, 0);
+  });
+
+  test('only one of several concurrent first earns creates the customer', { skip }, async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => PointsService.createCustomerPoints(CUSTOMER_ID, {
+      email: 'customer@example.com',
+      current_balance: 100,
+      total_earned: 100
+    })));
+
+    assert.equal(results.filter(result => result.inserted).length, 1);
+    assert.equal(await CustomerPoints.countDocuments({ customer_id: CUSTOMER_ID }), 1);
+
+    const customer = await CustomerPoints.findOne({ customer_id: CUSTOMER_ID });
+    assert.equal(customer.current_balance, 100);
+  });
+});